@@ -0,0 +1,232 @@
+/**
+ * Token budgeting for synthesis payloads
+ * Estimates prompt tokens per provider and model, then trims bitsCrunch data to
+ * a budget: media fields (image URLs, traits) are dropped, long arrays become
+ * stats plus a small sample, and the fields least relevant to the intent are
+ * pruned until the payload fits. Every cut is reported in `omitted`.
+ */
+
+// Data tokens per synthesis prompt when SYNTHESIS_TOKEN_BUDGET is not set
+const DEFAULT_SYNTHESIS_BUDGET = 1500;
+
+// Rough characters per token; JSON-heavy text tokenizes worse than prose
+const CHARS_PER_TOKEN = {
+  openai: 3.5,
+  gemini: 4,
+  cohere: 3.5,
+  local: 3
+};
+const DEFAULT_CHARS_PER_TOKEN = 3.5;
+
+// Context windows of the default and common models, in tokens
+const CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gemini-pro': 30720,
+  'gemini-1.5-flash': 1048576,
+  'gemini-1.5-pro': 2097152,
+  command: 4096,
+  'command-r': 128000,
+  'command-r-plus': 128000,
+  llama3: 8192
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Room kept for the template, format instructions and system prompt
+const PROMPT_OVERHEAD_TOKENS = 800;
+
+// Arrays longer than this are summarized; SAMPLE_SIZE items are kept as examples
+const MAX_ARRAY_ITEMS = 10;
+const SAMPLE_SIZE = 3;
+
+// Fields that cost tokens without informing an analysis
+const MEDIA_KEYS = /^(?:image|imageUrl|image_url|thumbnail\w*|animation\w*|media\w*|icon\w*|banner\w*|logo\w*|avatar\w*|traits|attributes|socials)$/i;
+
+// Never pruned: what the data is about and how to read it
+const IDENTITY_KEYS = ['address', 'chain', 'name', 'currency', 'timeRange'];
+
+// Sections in priority order and the fields that matter most, per intent type
+const RELEVANCE = {
+  wallet_analysis: {
+    sections: ['wallet', 'market'],
+    fields: /value|profit|count|age|reputation|risk|whale|holdings/i
+  },
+  collection_analysis: {
+    sections: ['collection', 'market'],
+    fields: /floor|volume|sales|holders|traders|marketCap|score|supply|change/i
+  },
+  market_insights: {
+    sections: ['market', 'transactions'],
+    fields: /volume|sales|transactions|wallets|floor|change|washTrade/i
+  },
+  risk_assessment: {
+    sections: ['wallet', 'collection', 'market'],
+    fields: /risk|reputation|wash|score|fraud|suspicious|flag|factors/i
+  },
+  batch_wallet_analysis: {
+    sections: ['summary', 'riskiest'],
+    fields: /risk|reputation|wash|flag|count|unique/i
+  }
+};
+
+/**
+ * Estimated token count of `text` for a provider
+ */
+function estimateTokens(text, provider) {
+  const ratio = CHARS_PER_TOKEN[provider] || DEFAULT_CHARS_PER_TOKEN;
+  return Math.ceil(String(text || '').length / ratio);
+}
+
+function sizeOf(value, provider) {
+  return estimateTokens(JSON.stringify(value ?? null), provider);
+}
+
+/**
+ * Data budget for a provider chain: the configured budget, capped so the
+ * prompt and reply fit the smallest context window of any provider that may
+ * answer. `providers` are { name, model } entries.
+ */
+function resolveBudget(providers = [], { budget = DEFAULT_SYNTHESIS_BUDGET, maxTokens = 0 } = {}) {
+  const windows = providers.map(({ model }) => CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW);
+  if (windows.length === 0) return budget;
+
+  return Math.max(0, Math.min(budget, Math.min(...windows) - maxTokens - PROMPT_OVERHEAD_TOKENS));
+}
+
+/**
+ * Numeric min/max/avg of each field across array items (or of the items themselves)
+ */
+function summarizeArray(items) {
+  const fields = {};
+  const addValue = (field, value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return;
+    (fields[field] = fields[field] || []).push(value);
+  };
+
+  items.forEach(item => {
+    if (item && typeof item === 'object') {
+      Object.entries(item).forEach(([key, value]) => addValue(key, value));
+    } else {
+      addValue('value', item);
+    }
+  });
+
+  const round = value => Math.round(value * 100) / 100;
+  const stats = Object.fromEntries(Object.entries(fields).map(([field, values]) => [field, {
+    min: round(Math.min(...values)),
+    max: round(Math.max(...values)),
+    avg: round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  }]));
+
+  return { count: items.length, stats, sample: items.slice(0, SAMPLE_SIZE) };
+}
+
+/**
+ * Drop media fields and summarize long arrays. Paths use `[]` for array items,
+ * so 50 holdings with images report one `wallet.holdings[].imageUrl` entry.
+ */
+function compact(value, path, omitted) {
+  if (Array.isArray(value)) {
+    const items = value.map(item => compact(item, `${path}[]`, omitted));
+    if (items.length <= MAX_ARRAY_ITEMS) return items;
+
+    omitted.push({ path, reason: 'summarized', kept: SAMPLE_SIZE, total: items.length });
+    return summarizeArray(items);
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const itemPath = path ? `${path}.${key}` : key;
+      if (MEDIA_KEYS.test(key)) {
+        if (!omitted.some(entry => entry.path === itemPath)) omitted.push({ path: itemPath, reason: 'media' });
+        return;
+      }
+      result[key] = compact(item, itemPath, omitted);
+    });
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Pruning candidates: the fields of each section, scored by how much the
+ * intent type cares about them (lowest goes first), then whole sections
+ */
+function rankFields(data, intentType, provider) {
+  const relevance = RELEVANCE[intentType] || { sections: [], fields: /(?!)/ };
+  const sectionScore = section => {
+    const index = relevance.sections.indexOf(section);
+    return index === -1 ? 0 : (relevance.sections.length - index) * 2;
+  };
+
+  const candidates = [];
+  Object.entries(data).forEach(([section, value]) => {
+    if (IDENTITY_KEYS.includes(section)) return;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, item]) => {
+        if (IDENTITY_KEYS.includes(key)) return;
+        candidates.push({
+          path: [section, key],
+          score: sectionScore(section) + (relevance.fields.test(key) ? 3 : 0) - (key === 'units' ? 1 : 0),
+          tokens: sizeOf(item, provider)
+        });
+      });
+    }
+    // Whole sections go only after every field, least relevant section first
+    candidates.push({ path: [section], score: 100 + sectionScore(section), tokens: sizeOf(value, provider) });
+  });
+
+  return candidates.sort((a, b) => a.score - b.score || b.tokens - a.tokens);
+}
+
+/**
+ * Trim `data` to `budget` tokens for the given provider. Returns
+ * { data, tokens, budget, omitted } where omitted lists { path, reason }
+ * entries (`media`, `summarized` with kept/total, or `budget`).
+ */
+function fitToBudget(data, { intentType, budget = DEFAULT_SYNTHESIS_BUDGET, provider } = {}) {
+  const omitted = [];
+  const result = compact(data, '', omitted);
+  let tokens = sizeOf(result, provider);
+
+  if (tokens > budget && result && typeof result === 'object' && !Array.isArray(result)) {
+    for (const candidate of rankFields(result, intentType, provider)) {
+      if (tokens <= budget) break;
+
+      const [section, key] = candidate.path;
+      if (key === undefined) {
+        if (!(section in result)) continue;
+        delete result[section];
+      } else {
+        if (!result[section] || !(key in result[section])) continue;
+        delete result[section][key];
+      }
+      omitted.push({ path: candidate.path.join('.'), reason: 'budget' });
+      tokens = sizeOf(result, provider);
+    }
+  }
+
+  return { data: result, tokens, budget, omitted };
+}
+
+/**
+ * One-line description of omitted fields for prompts and bot footers
+ */
+function describeOmitted(omitted) {
+  return omitted.map(({ path, reason, kept, total }) => {
+    if (reason === 'summarized') return `${path} (${kept} of ${total} items, rest as stats)`;
+    return reason === 'media' ? `${path} (media)` : path;
+  }).join(', ');
+}
+
+module.exports = {
+  estimateTokens,
+  resolveBudget,
+  fitToBudget,
+  describeOmitted,
+  DEFAULT_SYNTHESIS_BUDGET
+};
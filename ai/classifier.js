@@ -0,0 +1,188 @@
+/**
+ * Rule-based intent classifier
+ * Scores keywords and extracted entities to produce the same intent schema as
+ * the LLM classifier, with no provider call. Used first for clear-cut queries
+ * and as the fallback when the LLM is unavailable or returns unusable JSON.
+ * Follow-ups ("is it risky?", "same wallet over 90 days") are resolved
+ * against the conversation's active entities (see ConversationMemory).
+ */
+
+const { extractWalletAddresses, extractCollectionNames, extractTimeframe } = require('../utils/helpers');
+const { resolveChain, extractChain } = require('../utils/chains');
+
+const INTENT_TYPES = ['wallet_analysis', 'collection_analysis', 'market_insights', 'risk_assessment', 'general_question'];
+
+// [pattern, weight] per intent; extracted entities add ENTITY_WEIGHT on top
+const KEYWORDS = {
+  wallet_analysis: [
+    [/\bwallets?\b/i, 1],
+    [/\b(?:portfolio|holdings?|my nfts?)\b/i, 1],
+    [/\b(?:address|profile|pnl|profit|trades?|trading history)\b/i, 0.5]
+  ],
+  collection_analysis: [
+    [/\bcollections?\b/i, 1],
+    [/\bfloor(?: price)?\b/i, 1],
+    [/\b(?:project|holders|mint(?:ing)?|supply)\b/i, 0.5]
+  ],
+  market_insights: [
+    [/\bmarkets?\b/i, 1.5],
+    [/\b(?:trends?|trending|sentiment)\b/i, 1],
+    [/\btop(?: \d+)? collections\b/i, 1.5],
+    [/\b(?:volume|overall|outlook|bullish|bearish)\b/i, 0.5]
+  ],
+  risk_assessment: [
+    [/\b(?:risk|risky|riskiness)\b/i, 2],
+    [/\b(?:fraud|scam|rug(?: ?pull)?|wash[- ]?trad(?:e|ing)|suspicious|manipulat\w*)\b/i, 2],
+    [/\b(?:safe|legit|trust(?:worthy)?|reputation)\b/i, 1.5]
+  ],
+  general_question: [
+    [/\b(?:what (?:is|are)|explain|how (?:do|does|can)|define|meaning of|difference between)\b/i, 1],
+    [/\b(?:nft|blockchain|gas|royalt(?:y|ies)|smart contract)s?\b/i, 0.5]
+  ]
+};
+
+const ENTITY_WEIGHT = 2;
+
+// Below this the orchestrator asks the LLM for a second opinion
+const RULES_CONFIDENCE_THRESHOLD = 0.8;
+
+// "that wallet", "the same collection": a named reference to the active entity
+const WALLET_REFERENCE = /\b(?:that|this|the|same|previous|last)\s+(?:same\s+)?(?:wallet|address|account)\b/i;
+const COLLECTION_REFERENCE = /\b(?:that|this|the|same|previous|last)\s+(?:same\s+)?(?:collection|project)\b/i;
+// "is it risky?", "what about 30 days?": whichever entity was discussed last
+const FOLLOW_UP = /\b(?:it|its|it's|they|them|their|this one|that one)\b|^\s*(?:and|what about|how about|same)\b/i;
+
+const SUGGESTED_ACTIONS = {
+  wallet_analysis: ['Analyze wallet activity', 'Check wallet reputation', 'Review NFT holdings'],
+  collection_analysis: ['Check collection health', 'Compare floor price and volume', 'Review holder distribution'],
+  market_insights: ['Review market volume trends', 'Check fraud alerts', 'Find trending collections'],
+  risk_assessment: ['Check wallet reputation', 'Review fraud alerts', 'Look for wash trading'],
+  general_question: ['Ask about a wallet address', 'Ask about a collection', 'Ask for market trends']
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Pull wallet address, chain, collection, timeframe and numbers out of a query.
+ * A pinned chain decides the address format; otherwise EVM, then Solana, is tried.
+ */
+function extractEntities(query, requestedChain) {
+  const mentioned = extractChain(query);
+  const chain = resolveChain(requestedChain) || mentioned;
+
+  let addresses = extractWalletAddresses(query, chain);
+  if (addresses.length === 0 && !requestedChain && !mentioned) {
+    addresses = extractWalletAddresses(query, 'solana');
+  }
+
+  // Numbers outside addresses, e.g. "top 5" or "above 10 ETH"
+  const withoutAddresses = addresses.reduce((text, address) => text.split(new RegExp(address, 'i')).join(' '), query);
+  const numbers = withoutAddresses.match(/\b\d+(?:\.\d+)?\b/g) || [];
+
+  return {
+    wallet_address: addresses[0] || null,
+    chain: mentioned ? mentioned.name : null,
+    collection_name: extractCollectionNames(query)[0] || null,
+    timeframe: extractTimeframe(query),
+    numbers
+  };
+}
+
+/**
+ * Fill entities a follow-up leaves out from the conversation's active entities
+ * ({ wallet, collection, chain, timeframe, focus }). Returns { entities,
+ * resolved } where resolved holds only the fields taken from `active`.
+ */
+function resolveFollowUp(query, entities, active) {
+  const resolved = {};
+  // LLM intents may spell a missing entity as "null"
+  const named = field => entities[field] && entities[field] !== 'null';
+  if (!active || named('wallet_address') || named('collection_name')) {
+    return { entities, resolved };
+  }
+
+  const text = String(query || '');
+  if (WALLET_REFERENCE.test(text) && active.wallet) {
+    resolved.wallet_address = active.wallet;
+  } else if (COLLECTION_REFERENCE.test(text) && active.collection) {
+    resolved.collection_name = active.collection;
+  } else if (FOLLOW_UP.test(text)) {
+    if (active.focus === 'collection' && active.collection) {
+      resolved.collection_name = active.collection;
+    } else if (active.wallet) {
+      resolved.wallet_address = active.wallet;
+    }
+  }
+
+  // The chain and timeframe carry over with the entity unless the follow-up names its own
+  if (Object.keys(resolved).length > 0) {
+    if (!named('chain') && active.chain) resolved.chain = active.chain;
+    if (!named('timeframe') && active.timeframe) resolved.timeframe = active.timeframe;
+  }
+
+  return { entities: { ...entities, ...resolved }, resolved };
+}
+
+/**
+ * Classify a query without an LLM. Resolves the same intent shape as
+ * AIOrchestrator.analyzeIntent, with `source: 'rules'`.
+ * Confidence grows with the winning score and its lead over the runner-up.
+ * options.active resolves follow-ups against the conversation's active entities.
+ */
+function classifyIntent(query, options = {}) {
+  const text = String(query || '');
+  const { entities, resolved } = resolveFollowUp(text, extractEntities(text, options.chain), options.active);
+  const scores = Object.fromEntries(INTENT_TYPES.map(type => [type, 0]));
+  const matched = [];
+
+  Object.entries(KEYWORDS).forEach(([type, rules]) => {
+    rules.forEach(([pattern, weight]) => {
+      const match = text.match(pattern);
+      if (match) {
+        scores[type] += weight;
+        matched.push(match[0].toLowerCase());
+      }
+    });
+  });
+
+  // An entity from earlier in the conversation only decides the intent of a
+  // follow-up with no keywords of its own ("what about it this month?")
+  const scoreResolved = matched.length === 0;
+  if (entities.wallet_address && (!resolved.wallet_address || scoreResolved)) {
+    // An address also backs a risk question ("is 0x... safe?")
+    scores.wallet_analysis += ENTITY_WEIGHT;
+    scores.risk_assessment += ENTITY_WEIGHT / 2;
+    matched.push(resolved.wallet_address ? 'wallet from earlier in the conversation' : 'wallet address');
+  }
+  if (entities.collection_name && (!resolved.collection_name || scoreResolved)) {
+    scores.collection_analysis += ENTITY_WEIGHT;
+    matched.push(`collection ${entities.collection_name}${resolved.collection_name ? ' from earlier in the conversation' : ''}`);
+  }
+
+  const [[type, best], [, second]] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const intentType = best > 0 ? type : 'general_question';
+  const confidence = best > 0
+    ? Math.min(0.95, 0.45 + 0.1 * best + 0.1 * (best - second))
+    : 0.4;
+
+  return {
+    type: intentType,
+    confidence: round(Math.max(0.3, confidence)),
+    entities,
+    resolvedEntities: resolved,
+    suggestedActions: SUGGESTED_ACTIONS[intentType],
+    requiresBitsCrunch: intentType !== 'general_question',
+    reasoning: matched.length > 0 ? `Matched ${[...new Set(matched)].join(', ')}` : 'No intent keywords matched',
+    source: 'rules'
+  };
+}
+
+module.exports = {
+  classifyIntent,
+  extractEntities,
+  resolveFollowUp,
+  INTENT_TYPES,
+  RULES_CONFIDENCE_THRESHOLD
+};
@@ -0,0 +1,121 @@
+/**
+ * Rolling conversation summaries
+ * Interactions that scroll out of the recent window are folded into a running
+ * summary: { text, entities: { wallets, collections, goals }, coveredInteractions,
+ * from, to, updatedAt, source }. The LLM writes the text when it can
+ * ('llm'); otherwise it is a dated list of the questions asked ('extractive').
+ * Entities are always extracted from the interactions themselves, so wallets,
+ * collections and stated goals survive either way.
+ */
+
+const { extractWalletAddresses, extractCollectionNames, truncateText } = require('../utils/helpers');
+
+// Most recent entries kept per entity list
+const ENTITY_LIMITS = { wallets: 10, collections: 10, goals: 5 };
+
+// Lines and characters kept in an extractive summary
+const MAX_SUMMARY_LINES = 20;
+const MAX_SUMMARY_LENGTH = 2000;
+
+// "I want to flip BAYC", "my goal is a long-term portfolio"
+const GOAL_PATTERN = /\b(?:i(?:'d| would)? (?:want|like|hope|need) to|i(?:'m| am) (?:planning|looking|trying|hoping) to|i plan to|my goal is(?: to)?|i(?:'m| am) interested in)\s+([^.!?\n]{3,120})/gi;
+
+/**
+ * Append items to a list, moving repeats to the end and keeping the last `limit`
+ */
+function appendRecent(list, items, limit, key = item => item.toLowerCase()) {
+  const merged = [...list];
+  items.forEach(item => {
+    const index = merged.findIndex(existing => key(existing) === key(item));
+    if (index !== -1) merged.splice(index, 1);
+    merged.push(item);
+  });
+  return merged.slice(-limit);
+}
+
+function emptyEntities() {
+  return { wallets: [], collections: [], goals: [] };
+}
+
+/**
+ * Merge entity lists, the later ones counting as more recent
+ */
+function mergeEntities(...lists) {
+  return lists.filter(Boolean).reduce((merged, entities) => {
+    Object.entries(ENTITY_LIMITS).forEach(([field, limit]) => {
+      merged[field] = appendRecent(merged[field], (entities[field] || []).filter(Boolean).map(String), limit);
+    });
+    return merged;
+  }, emptyEntities());
+}
+
+/**
+ * Wallets, collections and stated goals mentioned in interactions
+ */
+function extractEntities(interactions) {
+  return interactions.reduce((entities, { userQuery = '', intent = {} }) => {
+    const found = intent.entities || {};
+    const goals = [...userQuery.matchAll(GOAL_PATTERN)].map(match => match[1].trim());
+    return mergeEntities(entities, {
+      wallets: [...extractWalletAddresses(userQuery, intent.chain), found.wallet_address],
+      collections: [...extractCollectionNames(userQuery), found.collection_name],
+      goals
+    });
+  }, emptyEntities());
+}
+
+/**
+ * Fold interactions into a summary without a model: the previous text plus one
+ * dated line per question, newest lines kept
+ */
+function summarizeExtractive(previous, interactions) {
+  const lines = interactions.map(({ timestamp, userQuery = '', intent = {} }) =>
+    `- ${timestamp.slice(0, 10)}: ${truncateText(userQuery.replace(/\s+/g, ' ').trim(), 160)}${intent.type ? ` (${intent.type})` : ''}`);
+  const text = [previous?.text, ...lines].filter(Boolean).join('\n').split('\n').slice(-MAX_SUMMARY_LINES).join('\n');
+
+  return buildSummary(previous, interactions, {
+    text: text.length > MAX_SUMMARY_LENGTH ? text.slice(-MAX_SUMMARY_LENGTH).replace(/^[^\n]*\n/, '') : text,
+    entities: extractEntities(interactions),
+    source: 'extractive'
+  });
+}
+
+/**
+ * Summary record covering `previous` plus `interactions`; `entities` from the
+ * summarizer are merged over the previous ones
+ */
+function buildSummary(previous, interactions, { text, entities, source }) {
+  return {
+    text,
+    entities: mergeEntities(previous?.entities, entities),
+    coveredInteractions: (previous?.coveredInteractions || 0) + interactions.length,
+    from: previous?.from || interactions[0]?.timestamp || null,
+    to: interactions[interactions.length - 1]?.timestamp || previous?.to || null,
+    updatedAt: new Date().toISOString(),
+    source
+  };
+}
+
+/**
+ * Prompt rendering of a summary: the text, then the entities worth remembering
+ */
+function formatSummary(summary) {
+  if (!summary || !summary.text) return '';
+
+  const { wallets, collections, goals } = summary.entities || emptyEntities();
+  return [
+    summary.text,
+    wallets.length > 0 ? `Wallets discussed: ${wallets.join(', ')}` : null,
+    collections.length > 0 ? `Collections discussed: ${collections.join(', ')}` : null,
+    goals.length > 0 ? `Stated goals: ${goals.join('; ')}` : null
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  summarizeExtractive,
+  buildSummary,
+  extractEntities,
+  mergeEntities,
+  formatSummary,
+  ENTITY_LIMITS
+};
@@ -0,0 +1,200 @@
+/**
+ * Grounding check for syntheses
+ * Every number and address in an AI analysis is matched against the
+ * bitsCrunch data the analysis was written from. Matches become citations
+ * ({ claim, path }); figures the data does not contain are annotated as
+ * unverified or removed, and the share of supported claims is the grounding
+ * score.
+ */
+
+const { SYNTHESIS_SECTIONS } = require('./schemas');
+
+const GROUNDING_MODES = ['annotate', 'remove'];
+const UNVERIFIED_MARK = ' [unverified]';
+
+// Rounding slack on top of the precision the figure was written with
+const RELATIVE_TOLERANCE = 0.005;
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+const EVM_ADDRESS = /0x[a-fA-F0-9]{40}/g;
+const SHORT_EVM_ADDRESS = /0x[a-fA-F0-9]{3,}(?:\.{2,3}|…)[a-fA-F0-9]{3,}/g;
+const SOLANA_ADDRESS = /(?<![\w])[1-9A-HJ-NP-Za-km-z]{32,44}(?![\w])/g;
+const NUMBER = /(?<![\w.\-/#])([$€£]|Ξ)?\s?(-|−)?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?:\s?(k|m|bn|b|thousand|million|billion)\b)?(\s?%)?/gi;
+// "7d", "24 hours": timeframes echo the request rather than the data
+const TIMEFRAME_SUFFIX = /^\s?(?:[hdwmy]\b|hours?\b|days?\b|weeks?\b|months?\b|years?\b)/i;
+
+/**
+ * Every numeric value and address in the data, with its path
+ */
+function indexSource(value, path = '', index = { numbers: [], addresses: [] }) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => indexSource(item, `${path}[${i}]`, index));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => indexSource(item, path ? `${path}.${key}` : key, index));
+  } else if (typeof value === 'number' && Number.isFinite(value)) {
+    index.numbers.push({ path, value });
+  } else if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (/^-?\d+(?:\.\d+)?$/.test(trimmed)) {
+      index.numbers.push({ path, value: parseFloat(trimmed) });
+    } else if (/^0x[a-fA-F0-9]{40}$/.test(trimmed) || /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(trimmed)) {
+      index.addresses.push({ path, value: trimmed });
+    }
+  }
+  return index;
+}
+
+/**
+ * Numeric and address claims in a text: { kind, claim, start, end, value, ... }
+ */
+function extractClaims(text) {
+  const claims = [];
+  let masked = text;
+  const mask = (match, offset) => {
+    masked = masked.slice(0, offset) + ' '.repeat(match.length) + masked.slice(offset + match.length);
+  };
+
+  for (const pattern of [EVM_ADDRESS, SHORT_EVM_ADDRESS, SOLANA_ADDRESS]) {
+    for (const match of masked.matchAll(pattern)) {
+      // Base58 also matches long plain words; require a digit
+      if (pattern === SOLANA_ADDRESS && !/\d/.test(match[0])) continue;
+      claims.push({ kind: 'address', claim: match[0], start: match.index, end: match.index + match[0].length, value: match[0] });
+      mask(match[0], match.index);
+    }
+  }
+
+  for (const match of masked.matchAll(NUMBER)) {
+    const [raw, currency, sign, integer, decimals = '', suffix, percent] = match;
+    const end = match.index + raw.length;
+    if (!suffix && !percent && TIMEFRAME_SUFFIX.test(masked.slice(end))) continue;
+
+    const digits = integer.replace(/,/g, '');
+    const number = parseFloat(`${digits}${decimals ? `.${decimals}` : ''}`);
+    const multiplier = suffix ? MULTIPLIERS[suffix.toLowerCase()] : 1;
+    const hasUnit = Boolean(currency || suffix || percent || decimals);
+    // Small counts ("top 3") and years are not data claims
+    if (!hasUnit && (number < 10 || (digits.length === 4 && number >= 1990 && number <= 2100 && !integer.includes(',')))) continue;
+
+    const start = match.index + raw.indexOf(currency || sign || integer);
+    claims.push({
+      kind: 'number',
+      claim: text.slice(start, end).trim(),
+      start,
+      end,
+      value: (sign ? -1 : 1) * number * multiplier,
+      percent: Boolean(percent),
+      decimals: decimals.length,
+      // Written precision: trailing zeros of a whole number, keeping two significant digits
+      trailingZeros: decimals ? 0 : Math.min(digits.length - digits.replace(/0+$/, '').length, Math.max(0, digits.length - 2)),
+      multiplier
+    });
+  }
+
+  return claims.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Source path of the value a claim cites, or null when no value matches
+ */
+function findSource(claim, index) {
+  if (claim.kind === 'address') {
+    const short = claim.value.match(/^(0x[a-fA-F0-9]+)(?:\.{2,3}|…)([a-fA-F0-9]+)$/);
+    const matches = short
+      ? entry => entry.value.toLowerCase().startsWith(short[1].toLowerCase()) && entry.value.toLowerCase().endsWith(short[2].toLowerCase())
+      : entry => (entry.value.startsWith('0x') ? entry.value.toLowerCase() === claim.value.toLowerCase() : entry.value === claim.value);
+    return index.addresses.find(matches)?.path ?? null;
+  }
+
+  const unit = claim.decimals > 0 ? 10 ** -claim.decimals : 10 ** claim.trailingZeros;
+  const tolerance = Math.max(unit * claim.multiplier / 2, Math.abs(claim.value) * RELATIVE_TOLERANCE);
+  let best = null;
+
+  for (const entry of index.numbers) {
+    // Percentages may be stored as fractions; signs are often spelled out ("dropped 12%")
+    const candidates = claim.percent ? [entry.value, entry.value * 100] : [entry.value];
+    for (const candidate of candidates) {
+      const difference = Math.abs(Math.abs(candidate) - Math.abs(claim.value));
+      if (difference <= tolerance + 1e-9 && (!best || difference < best.difference)) {
+        best = { path: entry.path, difference };
+      }
+    }
+  }
+
+  return best ? best.path : null;
+}
+
+/**
+ * Annotate (or, in remove mode, drop the sentences carrying) unsupported claims
+ */
+function rewrite(text, claims, mode) {
+  const unsupported = claims.filter(claim => !claim.path);
+  if (unsupported.length === 0) return text;
+
+  if (mode === 'remove') {
+    // Sentence ends are punctuation followed by whitespace, so "12.35" stays whole
+    const ends = [...text.matchAll(/[.!?]+(?=\s|$)/g)].map(match => match.index + match[0].length);
+    if (ends[ends.length - 1] !== text.length) ends.push(text.length);
+
+    let start = 0;
+    return ends.map(end => {
+      const sentence = text.slice(start, end);
+      const keep = !unsupported.some(claim => claim.start >= start && claim.start < end);
+      start = end;
+      return keep ? sentence : '';
+    }).join('').trim();
+  }
+
+  return unsupported.reduceRight((result, claim) => `${result.slice(0, claim.end)}${UNVERIFIED_MARK}${result.slice(claim.end)}`, text);
+}
+
+/**
+ * Check a structured synthesis ({ summary, insights, risks, recommendations })
+ * against its source data. `sources` are checked in order, so derived data
+ * (such as summarized arrays) can back claims the raw data cannot; `query`
+ * backs figures echoed from the question. Returns { sections, grounding }
+ * where grounding is { score, claims, supported, mode, citations } and each
+ * citation is { claim, kind, section, path } (path null when unsupported).
+ */
+function groundSections(sections, sources, { query = '', mode = 'annotate' } = {}) {
+  const index = { numbers: [], addresses: [] };
+  sources.forEach(source => indexSource(source, '', index));
+  const queryIndex = { numbers: [], addresses: [] };
+  extractClaims(query).forEach(claim => queryIndex[claim.kind === 'address' ? 'addresses' : 'numbers'].push({ path: 'query', value: claim.value }));
+
+  const citations = [];
+  const check = (text, section) => {
+    const claims = extractClaims(text).map(claim => ({
+      ...claim,
+      path: findSource(claim, index) ?? findSource(claim, queryIndex)
+    }));
+    claims.forEach(({ claim, kind, path }) => citations.push({ claim, kind, section, path }));
+    return rewrite(text, claims, mode);
+  };
+
+  const grounded = { ...sections, summary: check(sections.summary, 'summary') };
+  Object.keys(SYNTHESIS_SECTIONS).forEach(key => {
+    const items = (sections[key] || []).map((item, i) => ({ item, text: check(item, `${key}[${i}]`) }));
+    grounded[key] = items.map(({ text }) => text).filter(Boolean);
+  });
+  if (!grounded.summary) grounded.summary = 'Figures that could not be verified against the data were removed.';
+
+  const supported = citations.filter(citation => citation.path).length;
+  return {
+    sections: grounded,
+    grounding: {
+      score: citations.length > 0 ? Math.round((supported / citations.length) * 100) / 100 : 1,
+      claims: citations.length,
+      supported,
+      mode,
+      citations
+    }
+  };
+}
+
+module.exports = {
+  groundSections,
+  extractClaims,
+  indexSource,
+  GROUNDING_MODES
+};
@@ -0,0 +1,141 @@
+/**
+ * Identity linking across platforms
+ * One person may chat from Discord, Telegram and the web under unrelated ids.
+ * An account asks for a one-time link code, and the same person redeems it
+ * from another platform; both accounts then share one identity, so their
+ * conversation memory is merged. Links live in the conversation store, codes
+ * only in this process.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// How long a link code can be redeemed
+const LINK_CODE_TTL_MS = 10 * 60 * 1000;
+
+// No 0/O, 1/I/L: codes are read off one screen and typed into another
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+class IdentityLinkError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'IdentityLinkError';
+    this.code = code;
+  }
+}
+
+class IdentityLinker {
+  /**
+   * @param {object} store - Conversation store holding the links (ai/memory-store.js)
+   */
+  constructor(store) {
+    this.store = store;
+    this.codes = new Map(); // code -> { userId, platform, expiresAt }
+  }
+
+  /**
+   * Issue a one-time code for an account, replacing any code it already had.
+   * Returns { code, expiresAt }.
+   */
+  createCode(userId, platform) {
+    this.prune();
+    for (const [code, owner] of this.codes.entries()) {
+      if (owner.userId === String(userId) && owner.platform === platform) this.codes.delete(code);
+    }
+
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+    } while (this.codes.has(code));
+
+    const expiresAt = Date.now() + LINK_CODE_TTL_MS;
+    this.codes.set(code, { userId: String(userId), platform, expiresAt });
+    logger.info(`🔗 Link code issued for ${platform} user ${userId}`);
+    return { code, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Redeem a code from another platform, linking the two accounts (and any
+   * accounts either was already linked to). Resolves to { identityId, accounts }.
+   * Throws IdentityLinkError for unknown, expired or same-platform codes.
+   */
+  async redeemCode(code, userId, platform) {
+    this.prune();
+    const normalized = String(code || '').trim().toUpperCase();
+    const owner = this.codes.get(normalized);
+    if (!owner) {
+      throw new IdentityLinkError('INVALID_CODE', 'This link code is invalid or has expired. Run /link again for a new one.');
+    }
+    if (owner.platform === platform) {
+      throw new IdentityLinkError('SAME_PLATFORM', `This code was issued on ${platform}; redeem it from another platform.`);
+    }
+    this.codes.delete(normalized);
+
+    const redeemer = { userId: String(userId), platform };
+    const ownerIdentity = await this.store.getIdentity(owner.userId, owner.platform);
+    const redeemerIdentity = await this.store.getIdentity(redeemer.userId, redeemer.platform);
+    const identityId = ownerIdentity || redeemerIdentity || `id_${crypto.randomUUID()}`;
+
+    // Joining two existing groups moves the redeemer's group over
+    const moving = redeemerIdentity && redeemerIdentity !== identityId
+      ? await this.store.listAccounts(redeemerIdentity)
+      : [redeemer];
+    for (const account of [owner, ...moving]) {
+      await this.store.setIdentity(account.userId, account.platform, identityId);
+    }
+
+    logger.info(`🔗 Linked ${platform} user ${userId} with ${owner.platform} user ${owner.userId}`);
+    return { identityId, accounts: await this.store.listAccounts(identityId) };
+  }
+
+  /**
+   * Identity of an account: its identity id when linked, else "platform:userId"
+   */
+  async resolve(userId, platform) {
+    return (await this.store.getIdentity(userId, platform)) || `${platform}:${userId}`;
+  }
+
+  /**
+   * Every account linked with this one, itself included; just itself when unlinked
+   */
+  async getLinkedAccounts(userId, platform) {
+    const identityId = await this.store.getIdentity(userId, platform);
+    return identityId ? this.store.listAccounts(identityId) : [{ userId: String(userId), platform }];
+  }
+
+  /**
+   * Detach an account from its identity. A single account left behind is
+   * detached too. Resolves to the accounts that remain linked.
+   */
+  async unlink(userId, platform) {
+    const identityId = await this.store.getIdentity(userId, platform);
+    if (!identityId) {
+      throw new IdentityLinkError('NOT_LINKED', 'This account is not linked to any other account.');
+    }
+
+    await this.store.setIdentity(userId, platform, null);
+    const remaining = await this.store.listAccounts(identityId);
+    if (remaining.length === 1) {
+      await this.store.setIdentity(remaining[0].userId, remaining[0].platform, null);
+    }
+
+    logger.info(`🔗 Unlinked ${platform} user ${userId}`);
+    return remaining.length > 1 ? remaining : [];
+  }
+
+  /**
+   * Drop expired codes
+   */
+  prune(now = Date.now()) {
+    for (const [code, { expiresAt }] of this.codes.entries()) {
+      if (expiresAt <= now) this.codes.delete(code);
+    }
+  }
+}
+
+module.exports = {
+  IdentityLinker,
+  IdentityLinkError,
+  LINK_CODE_TTL_MS
+};
@@ -0,0 +1,349 @@
+/**
+ * Conversation memory stores
+ * Storage backends for ConversationMemory. Each user/platform pair has one
+ * record: { interactions: [], context: { totalInteractions,
+ * lastInteractionTime, commonTopics, preferredAnalysisTypes, riskTolerance },
+ * summary, activeEntities } where the topic and analysis type tallies are
+ * { name: count } objects, summary condenses interactions no longer kept
+ * verbatim (ai/conversation-summary.js), or is null, and activeEntities holds
+ * what follow-ups refer to: { wallet, collection, chain, timeframe, focus,
+ * updatedAt }.
+ *
+ * Every store implements the same async interface:
+ *   get(userId, platform) -> record | null
+ *   set(userId, platform, record)
+ *   delete(userId, platform)
+ *   list() -> [{ userId, platform }]
+ *   getIdentity(userId, platform) -> identityId | null
+ *   setIdentity(userId, platform, identityId) (null unlinks)
+ *   listAccounts(identityId) -> [{ userId, platform }]
+ *   getStats() -> { type, users, conversations, interactions, identities, ... }
+ *   flush() -> resolves once pending changes are saved
+ *
+ * Identities group the accounts one person uses on different platforms
+ * (see ai/identity.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Apply `change` to every conversation record of a stored document
+ */
+function mapRecords(document, change) {
+  return {
+    ...document,
+    conversations: Object.fromEntries(Object.entries(document.conversations).map(([userId, platforms]) => [
+      userId,
+      Object.fromEntries(Object.entries(platforms).map(([platform, record]) => [platform, change(record)]))
+    ]))
+  };
+}
+
+/**
+ * Schema migrations for the JSON file, applied in order to documents with a
+ * lower schemaVersion. Each `up` receives the parsed document and returns it
+ * at `version`.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'conversations keyed by user, then platform',
+    up: document => ({ ...document, conversations: document.conversations || {} })
+  },
+  {
+    version: 2,
+    description: 'identity links between platform accounts',
+    up: document => ({ ...document, identities: document.identities || {} })
+  },
+  {
+    version: 3,
+    description: 'rolling summaries of older interactions',
+    up: document => mapRecords(document, record => ({ summary: null, ...record }))
+  },
+  {
+    version: 4,
+    description: 'active entities for follow-up questions',
+    up: document => mapRecords(document, record => ({ activeEntities: null, ...record }))
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring a stored document up to SCHEMA_VERSION. Returns { document, from }.
+ */
+function migrate(document) {
+  const from = document.schemaVersion || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Memory store schema v${from} is newer than this version supports (v${SCHEMA_VERSION})`);
+  }
+
+  const migrated = MIGRATIONS
+    .filter(({ version }) => version > from)
+    .reduce((current, { version, description, up }) => {
+      logger.info(`📦 Migrating memory store to schema v${version}: ${description}`);
+      return { ...up(current), schemaVersion: version };
+    }, document);
+
+  return { document: migrated, from };
+}
+
+/**
+ * Records grouped per user: Map(userId -> Map(platform -> record)), plus
+ * identity links. Maps keep user-supplied ids like "__proto__" from touching
+ * prototypes.
+ */
+class ConversationMap {
+  constructor() {
+    this.users = new Map();
+    this.identities = new Map(); // platform:userId -> identityId
+  }
+
+  getIdentity(userId, platform) {
+    return this.identities.get(`${platform}:${userId}`) || null;
+  }
+
+  setIdentity(userId, platform, identityId) {
+    if (identityId) {
+      this.identities.set(`${platform}:${userId}`, identityId);
+    } else {
+      this.identities.delete(`${platform}:${userId}`);
+    }
+  }
+
+  listAccounts(identityId) {
+    return [...this.identities.entries()]
+      .filter(([, id]) => id === identityId)
+      .map(([account]) => {
+        // Platform names never contain ':'; user ids may
+        const separator = account.indexOf(':');
+        return { userId: account.substring(separator + 1), platform: account.substring(0, separator) };
+      });
+  }
+
+  get(userId, platform) {
+    return this.users.get(String(userId))?.get(platform) || null;
+  }
+
+  set(userId, platform, record) {
+    const id = String(userId);
+    if (!this.users.has(id)) this.users.set(id, new Map());
+    this.users.get(id).set(platform, record);
+  }
+
+  delete(userId, platform) {
+    const id = String(userId);
+    const platforms = this.users.get(id);
+    if (!platforms) return;
+
+    platforms.delete(platform);
+    if (platforms.size === 0) this.users.delete(id);
+  }
+
+  list() {
+    return [...this.users.entries()].flatMap(([userId, platforms]) => [...platforms.keys()].map(platform => ({ userId, platform })));
+  }
+
+  counts() {
+    let conversations = 0;
+    let interactions = 0;
+    for (const platforms of this.users.values()) {
+      for (const record of platforms.values()) {
+        conversations++;
+        interactions += record.interactions.length;
+      }
+    }
+    return { users: this.users.size, conversations, interactions, identities: new Set(this.identities.values()).size };
+  }
+}
+
+/**
+ * Process-local store; history is lost on restart.
+ * Records are copied in and out so callers never share state with the store.
+ */
+class InMemoryConversationStore {
+  constructor() {
+    this.type = 'memory';
+    this.records = new ConversationMap();
+  }
+
+  async get(userId, platform) {
+    const record = this.records.get(userId, platform);
+    return record ? structuredClone(record) : null;
+  }
+
+  async set(userId, platform, record) {
+    this.records.set(userId, platform, structuredClone(record));
+  }
+
+  async delete(userId, platform) {
+    this.records.delete(userId, platform);
+  }
+
+  async list() {
+    return this.records.list();
+  }
+
+  async getIdentity(userId, platform) {
+    return this.records.getIdentity(userId, platform);
+  }
+
+  async setIdentity(userId, platform, identityId) {
+    this.records.setIdentity(userId, platform, identityId);
+  }
+
+  async listAccounts(identityId) {
+    return this.records.listAccounts(identityId);
+  }
+
+  async getStats() {
+    return { type: this.type, ...this.records.counts() };
+  }
+
+  async flush() {}
+}
+
+/**
+ * JSON file store
+ * The document is loaded (and migrated) once at startup. Changes are batched:
+ * the file is rewritten at most once per `writeDelay` ms (default 1000; 0
+ * writes after every change), one write at a time. Call flush() before exit.
+ */
+class JsonFileConversationStore extends InMemoryConversationStore {
+  constructor(options = {}) {
+    super();
+    this.type = 'file';
+    this.file = options.file || path.join(process.cwd(), 'data', 'conversations.json');
+    this.writeDelay = options.writeDelay ?? 1000;
+    this.writes = Promise.resolve();
+    this.timer = null;
+    this.dirty = false;
+    this.stats = { writes: 0, errors: 0, changes: 0 };
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Read and migrate the file; a migrated file is backed up, then rewritten
+   */
+  load() {
+    let stored = {};
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Cannot read memory store ${this.file}: ${error.message}`);
+      }
+    }
+
+    const { document, from } = migrate(stored);
+    Object.entries(document.conversations).forEach(([userId, platforms]) => {
+      Object.entries(platforms).forEach(([platform, record]) => this.records.set(userId, platform, record));
+    });
+    Object.entries(document.identities).forEach(([account, identityId]) => this.records.identities.set(account, identityId));
+
+    if (from < SCHEMA_VERSION) {
+      if (from > 0) fs.copyFileSync(this.file, `${this.file}.v${from}.bak`);
+      this.writeSync();
+    }
+    logger.info(`💾 Conversation memory loaded from ${this.file} (${this.records.counts().conversations} conversations)`);
+  }
+
+  serialize() {
+    const conversations = Object.fromEntries([...this.records.users.entries()].map(([userId, platforms]) => [userId, Object.fromEntries(platforms)]));
+    const identities = Object.fromEntries(this.records.identities);
+    return JSON.stringify({ schemaVersion: SCHEMA_VERSION, updatedAt: new Date().toISOString(), conversations, identities });
+  }
+
+  writeSync() {
+    const tempPath = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, this.serialize());
+    fs.renameSync(tempPath, this.file);
+  }
+
+  /**
+   * Note a change; the file is rewritten once the write delay has passed, so
+   * a burst of interactions costs one write
+   */
+  persist() {
+    this.dirty = true;
+    this.stats.changes++;
+    if (this.writeDelay <= 0) return this.flush();
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.writeDelay);
+      this.timer.unref();
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Rewrite the file now if anything changed; write-then-rename so a crash
+   * never leaves half a file
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.dirty) return this.writes;
+    this.dirty = false;
+
+    this.writes = this.writes.then(async () => {
+      const tempPath = `${this.file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.writeFile(tempPath, this.serialize());
+        await fs.promises.rename(tempPath, this.file);
+        this.stats.writes++;
+      } catch (error) {
+        this.stats.errors++;
+        logger.error(`Memory store write failed for ${this.file}:`, error.message);
+      }
+    });
+    return this.writes;
+  }
+
+  async set(userId, platform, record) {
+    await super.set(userId, platform, record);
+    await this.persist();
+  }
+
+  async delete(userId, platform) {
+    await super.delete(userId, platform);
+    await this.persist();
+  }
+
+  async setIdentity(userId, platform, identityId) {
+    await super.setIdentity(userId, platform, identityId);
+    await this.persist();
+  }
+
+  async getStats() {
+    return { ...await super.getStats(), file: this.file, schemaVersion: SCHEMA_VERSION, ...this.stats };
+  }
+}
+
+/**
+ * Build a conversation store from a backend name ('memory', 'file')
+ */
+function createConversationStore(type = 'memory', options = {}) {
+  switch (type) {
+    case 'memory':
+      return new InMemoryConversationStore();
+    case 'file':
+    case 'json':
+      return new JsonFileConversationStore(options);
+    default:
+      throw new Error(`Unknown memory store: ${type}`);
+  }
+}
+
+module.exports = {
+  InMemoryConversationStore,
+  JsonFileConversationStore,
+  createConversationStore,
+  migrate,
+  MIGRATIONS,
+  SCHEMA_VERSION
+};
@@ -1,47 +1,92 @@
 /**
  * Conversation Memory System
- * Manages conversation context and history across platforms
+ * Manages conversation context and history across platforms, kept in a
+ * pluggable store (ai/memory-store.js) so history can survive restarts.
+ * Accounts linked into one identity (ai/identity.js) share their context.
+ * Older interactions are folded into a rolling summary
+ * (ai/conversation-summary.js) instead of being forgotten. The wallet,
+ * collection, chain and timeframe last discussed stay active so follow-ups
+ * ("is it risky?") can refer to them.
  */
 
 const logger = require('../utils/logger');
+const { InMemoryConversationStore } = require('./memory-store');
+const { IdentityLinker } = require('./identity');
+const { summarizeExtractive, buildSummary, extractEntities, mergeEntities } = require('./conversation-summary');
 
 class ConversationMemory {
-  constructor() {
-    // In-memory storage for conversation data
-    // Format: { userId: { platform: { interactions: [], context: {} } } }
-    this.memory = new Map();
+  /**
+   * @param {object} store - Conversation store (see ai/memory-store.js); in-memory by default
+   */
+  constructor(store = new InMemoryConversationStore()) {
+    // One record per user and platform: { interactions: [], context: {}, summary, activeEntities }
+    this.store = store;
+    this.identity = new IdentityLinker(store);
+    this.locks = new Map(); // userId|platform -> tail of the pending updates
+    this.compactions = new Map(); // userId|platform -> running compaction
     this.maxInteractionsPerUser = 50; // Limit memory usage
     this.contextWindowSize = 10; // Number of recent interactions to consider for context
+    this.summaryThreshold = 30; // Interactions kept verbatim before older ones are summarized
+    this.recentWindowSize = 20; // Interactions left verbatim after summarizing
+
+    // async ({ summary, interactions, userId, platform }) -> { text, entities } | null,
+    // set by the orchestrator; without it (or when it fails) summaries are extractive
+    this.summarizer = null;
   }
 
   /**
-   * Add a new interaction to user's memory
+   * Empty record for a user on a platform
    */
-  addInteraction(userId, platform, userQuery, aiResponse, intent = {}) {
-    try {
-      // Initialize user memory if it doesn't exist
-      if (!this.memory.has(userId)) {
-        this.memory.set(userId, new Map());
-      }
+  createRecord() {
+    return {
+      interactions: [],
+      context: {
+        totalInteractions: 0,
+        lastInteractionTime: null,
+        commonTopics: {},
+        preferredAnalysisTypes: {},
+        riskTolerance: 'unknown'
+      },
+      summary: null,
+      activeEntities: null
+    };
+  }
 
-      const userMemory = this.memory.get(userId);
-
-      // Initialize platform memory if it doesn't exist
-      if (!userMemory.has(platform)) {
-        userMemory.set(platform, {
-          interactions: [],
-          context: {
-            totalInteractions: 0,
-            lastInteractionTime: null,
-            commonTopics: new Map(),
-            preferredAnalysisTypes: new Map(),
-            riskTolerance: 'unknown'
-          }
-        });
-      }
+  /**
+   * Run `task` after every pending write to the same user and platform, so
+   * reads, writes and deletes of one conversation never interleave
+   */
+  withLock(userId, platform, task) {
+    const key = `${userId}|${platform}`;
+    const run = (this.locks.get(key) || Promise.resolve()).then(task);
+
+    const tail = run.catch(() => {});
+    this.locks.set(key, tail);
+    tail.then(() => {
+      if (this.locks.get(key) === tail) this.locks.delete(key);
+    });
+    return run;
+  }
 
-      const platformMemory = userMemory.get(platform);
+  /**
+   * Read-modify-write a record. Updates to the same user and platform run one
+   * at a time so concurrent messages are not lost. A change returning false
+   * leaves the record unwritten. Resolves to the record.
+   */
+  update(userId, platform, change) {
+    return this.withLock(userId, platform, async () => {
+      const record = (await this.store.get(userId, platform)) || this.createRecord();
+      if (change(record) === false) return record;
+      await this.store.set(userId, platform, record);
+      return record;
+    });
+  }
 
+  /**
+   * Add a new interaction to user's memory
+   */
+  async addInteraction(userId, platform, userQuery, aiResponse, intent = {}) {
+    try {
       // Create interaction record
       const interaction = {
         timestamp: new Date().toISOString(),
@@ -51,18 +96,26 @@ class ConversationMemory {
         id: this.generateInteractionId()
       };
 
-      // Add interaction to memory
-      platformMemory.interactions.push(interaction);
+      const record = await this.update(userId, platform, platformMemory => {
+        platformMemory.interactions.push(interaction);
 
-      // Update context
-      this.updateContext(platformMemory, interaction);
+        // Update context
+        this.updateContext(platformMemory, interaction);
 
-      // Trim memory if it exceeds limit
-      if (platformMemory.interactions.length > this.maxInteractionsPerUser) {
-        platformMemory.interactions = platformMemory.interactions.slice(-this.maxInteractionsPerUser);
-      }
+        // Trim memory if it exceeds limit, keeping what is trimmed in the summary
+        if (platformMemory.interactions.length > this.maxInteractionsPerUser) {
+          const trimmed = platformMemory.interactions.slice(0, -this.maxInteractionsPerUser);
+          platformMemory.summary = summarizeExtractive(platformMemory.summary, trimmed);
+          platformMemory.interactions = platformMemory.interactions.slice(-this.maxInteractionsPerUser);
+        }
+      });
 
-      logger.info(`Added interaction for ${userId} on ${platform}. Total: ${platformMemory.context.totalInteractions}`);
+      logger.info(`Added interaction for ${userId} on ${platform}. Total: ${record.context.totalInteractions}`);
+
+      // Summarize in the background; the reply does not wait for it
+      if (record.interactions.length > this.summaryThreshold) {
+        this.compact(userId, platform);
+      }
 
     } catch (error) {
       logger.error('Error adding interaction to memory:', error);
@@ -70,66 +123,209 @@ class ConversationMemory {
   }
 
   /**
-   * Get conversation context for a user
+   * Fold all but the last recentWindowSize interactions into the summary.
+   * One compaction per conversation runs at a time; resolves to the new
+   * summary, or null when there was nothing to fold.
    */
-  getContext(userId, platform) {
+  compact(userId, platform) {
+    const key = `${userId}|${platform}`;
+    if (this.compactions.has(key)) return this.compactions.get(key);
+
+    const run = (async () => {
+      const record = await this.store.get(userId, platform);
+      if (!record || record.interactions.length <= this.recentWindowSize) return null;
+
+      const folding = record.interactions.slice(0, -this.recentWindowSize);
+      const summary = await this.summarize(record.summary || null, folding, userId, platform);
+      const folded = new Set(folding.map(interaction => interaction.id));
+      let applied = false;
+
+      await this.update(userId, platform, platformMemory => {
+        // Cleared or re-summarized while the summarizer ran: this summary is stale
+        if (!platformMemory.interactions.some(interaction => folded.has(interaction.id)) ||
+          (platformMemory.summary?.updatedAt || null) !== (record.summary?.updatedAt || null)) {
+          return false;
+        }
+        platformMemory.interactions = platformMemory.interactions.filter(interaction => !folded.has(interaction.id));
+        platformMemory.summary = summary;
+        applied = true;
+      });
+
+      if (!applied) return null;
+      logger.info(`🗜️ Summarized ${folding.length} interactions for ${userId} on ${platform} (${summary.source})`);
+      return summary;
+    })().catch(error => {
+      logger.error('Error summarizing conversation:', error);
+      return null;
+    }).finally(() => this.compactions.delete(key));
+
+    this.compactions.set(key, run);
+    return run;
+  }
+
+  /**
+   * Summary of `previous` plus `interactions` from the summarizer, or extractive
+   * when there is none or it fails
+   */
+  async summarize(previous, interactions, userId, platform) {
+    if (this.summarizer) {
+      try {
+        const result = await this.summarizer({ summary: previous, interactions, userId, platform });
+        if (result && result.text) {
+          return buildSummary(previous, interactions, {
+            text: result.text,
+            entities: mergeEntities(extractEntities(interactions), result.entities),
+            source: 'llm'
+          });
+        }
+      } catch (error) {
+        logger.warn(`Conversation summary for ${userId} on ${platform} fell back to extractive: ${error.message}`);
+      }
+    }
+    return summarizeExtractive(previous, interactions);
+  }
+
+  /**
+   * One summary for several records: texts in time order, entities merged
+   */
+  mergeSummaries(records) {
+    const summaries = records.map(({ platform, record }) => ({ platform, summary: record.summary }))
+      .filter(({ summary }) => summary && summary.text)
+      .sort((a, b) => a.summary.updatedAt.localeCompare(b.summary.updatedAt));
+    if (summaries.length === 0) return null;
+    if (summaries.length === 1) return summaries[0].summary;
+
+    return {
+      text: summaries.map(({ platform, summary }) => `[${platform}]\n${summary.text}`).join('\n'),
+      entities: mergeEntities(...summaries.map(({ summary }) => summary.entities)),
+      coveredInteractions: summaries.reduce((total, { summary }) => total + summary.coveredInteractions, 0),
+      from: summaries.map(({ summary }) => summary.from).filter(Boolean).sort()[0] || null,
+      to: summaries.map(({ summary }) => summary.to).filter(Boolean).sort().pop() || null,
+      updatedAt: summaries[summaries.length - 1].summary.updatedAt,
+      source: summaries.every(({ summary }) => summary.source === 'llm') ? 'llm' : 'extractive'
+    };
+  }
+
+  /**
+   * Most frequent keys of a { name: count } tally
+   */
+  topEntries(counts, limit) {
+    return Object.entries(counts || {})
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Records of an account and every account linked with it:
+   * { accounts, records: [{ userId, platform, record }] }
+   */
+  async loadLinked(userId, platform) {
+    const accounts = await this.identity.getLinkedAccounts(userId, platform);
+    const loaded = await Promise.all(accounts.map(async account => ({
+      ...account,
+      record: await this.store.get(account.userId, account.platform)
+    })));
+    return { accounts, records: loaded.filter(({ record }) => record) };
+  }
+
+  /**
+   * Interactions of several records in time order, tagged with their platform
+   */
+  mergeInteractions(records) {
+    return records
+      .flatMap(({ platform, record }) => record.interactions.map(interaction => ({ ...interaction, platform })))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Active entities of the most recently updated record, or null
+   */
+  latestActiveEntities(records) {
+    return records.map(({ record }) => record.activeEntities)
+      .filter(Boolean)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] || null;
+  }
+
+  /**
+   * The wallet, collection, chain and timeframe last discussed by a user (on
+   * any linked account): { wallet, collection, chain, timeframe, focus,
+   * updatedAt } where focus names the entity mentioned last; null without any
+   */
+  async getActiveEntities(userId, platform) {
+    try {
+      const { records } = await this.loadLinked(userId, platform);
+      return this.latestActiveEntities(records);
+
+    } catch (error) {
+      logger.error('Error getting active entities from memory:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get conversation context for a user, merged across linked accounts
+   */
+  async getContext(userId, platform) {
+    const empty = {
+      hasHistory: false,
+      totalInteractions: 0,
+      recentInteractions: [],
+      commonTopics: [],
+      preferredAnalysisTypes: [],
+      riskTolerance: 'unknown',
+      summary: null,
+      activeEntities: null,
+      linkedAccounts: []
+    };
+
     try {
-      const userMemory = this.memory.get(userId);
-      if (!userMemory || !userMemory.has(platform)) {
-        return {
-          hasHistory: false,
-          totalInteractions: 0,
-          recentInteractions: [],
-          commonTopics: [],
-          preferredAnalysisTypes: [],
-          riskTolerance: 'unknown'
-        };
+      const { accounts, records } = await this.loadLinked(userId, platform);
+      const linkedAccounts = accounts.length > 1 ? accounts : [];
+      if (records.length === 0) {
+        return { ...empty, linkedAccounts };
       }
 
-      const platformMemory = userMemory.get(platform);
-      const recentInteractions = platformMemory.interactions.slice(-this.contextWindowSize);
+      const interactions = this.mergeInteractions(records);
+      const contexts = records.map(({ record }) => record.context)
+        .sort((a, b) => (b.lastInteractionTime || '').localeCompare(a.lastInteractionTime || ''));
+      const tally = field => contexts.reduce((totals, context) => {
+        Object.entries(context[field] || {}).forEach(([name, count]) => {
+          totals[name] = (totals[name] || 0) + count;
+        });
+        return totals;
+      }, {});
 
       return {
-        hasHistory: platformMemory.interactions.length > 0,
-        totalInteractions: platformMemory.context.totalInteractions,
-        recentInteractions,
-        commonTopics: Array.from(platformMemory.context.commonTopics.entries())
-          .sort((a, b) => b[1] - a[1])
-          .slice(0, 5)
-          .map(([topic]) => topic),
-        preferredAnalysisTypes: Array.from(platformMemory.context.preferredAnalysisTypes.entries())
-          .sort((a, b) => b[1] - a[1])
-          .slice(0, 3)
-          .map(([type]) => type),
-        riskTolerance: platformMemory.context.riskTolerance,
-        lastInteractionTime: platformMemory.context.lastInteractionTime
+        hasHistory: interactions.length > 0,
+        totalInteractions: contexts.reduce((total, context) => total + context.totalInteractions, 0),
+        recentInteractions: interactions.slice(-this.contextWindowSize),
+        commonTopics: this.topEntries(tally('commonTopics'), 5),
+        preferredAnalysisTypes: this.topEntries(tally('preferredAnalysisTypes'), 3),
+        // The most recently active account that has shown a preference
+        riskTolerance: (contexts.find(context => context.riskTolerance !== 'unknown') || contexts[0]).riskTolerance,
+        lastInteractionTime: contexts[0].lastInteractionTime,
+        summary: this.mergeSummaries(records),
+        activeEntities: this.latestActiveEntities(records),
+        linkedAccounts
       };
 
     } catch (error) {
       logger.error('Error getting context from memory:', error);
-      return {
-        hasHistory: false,
-        totalInteractions: 0,
-        recentInteractions: [],
-        commonTopics: [],
-        preferredAnalysisTypes: [],
-        riskTolerance: 'unknown'
-      };
+      return empty;
     }
   }
 
   /**
-   * Get conversation history for a user
+   * Get conversation history for a user, merged across linked accounts unless
+   * options.linked is false
    */
-  getHistory(userId, platform, limit = 10) {
+  async getHistory(userId, platform, limit = 10, options = {}) {
     try {
-      const userMemory = this.memory.get(userId);
-      if (!userMemory || !userMemory.has(platform)) {
-        return [];
-      }
-
-      const platformMemory = userMemory.get(platform);
-      return platformMemory.interactions.slice(-limit);
+      const { records } = options.linked === false
+        ? { records: [{ userId: String(userId), platform, record: await this.store.get(userId, platform) }].filter(({ record }) => record) }
+        : await this.loadLinked(userId, platform);
+      return this.mergeInteractions(records).slice(-limit);
 
     } catch (error) {
       logger.error('Error getting history from memory:', error);
@@ -140,18 +336,9 @@ class ConversationMemory {
   /**
    * Clear memory for a user on a specific platform
    */
-  clear(userId, platform) {
+  async clear(userId, platform) {
     try {
-      const userMemory = this.memory.get(userId);
-      if (userMemory && userMemory.has(platform)) {
-        userMemory.delete(platform);
-        
-        // If no platforms left for this user, remove user entirely
-        if (userMemory.size === 0) {
-          this.memory.delete(userId);
-        }
-      }
-
+      await this.withLock(userId, platform, () => this.store.delete(userId, platform));
       logger.info(`Cleared memory for ${userId} on ${platform}`);
 
     } catch (error) {
@@ -172,19 +359,47 @@ class ConversationMemory {
     // Extract and count topics from user query
     const topics = this.extractTopics(interaction.userQuery);
     topics.forEach(topic => {
-      const count = context.commonTopics.get(topic) || 0;
-      context.commonTopics.set(topic, count + 1);
+      context.commonTopics[topic] = (context.commonTopics[topic] || 0) + 1;
     });
 
     // Track preferred analysis types
     if (interaction.intent && interaction.intent.type) {
       const type = interaction.intent.type;
-      const count = context.preferredAnalysisTypes.get(type) || 0;
-      context.preferredAnalysisTypes.set(type, count + 1);
+      context.preferredAnalysisTypes[type] = (context.preferredAnalysisTypes[type] || 0) + 1;
     }
 
     // Infer risk tolerance from queries
     this.updateRiskTolerance(context, interaction.userQuery);
+
+    this.updateActiveEntities(platformMemory, interaction);
+  }
+
+  /**
+   * Remember the entities an interaction was about. A chain named with no
+   * entity switches the chain alone; otherwise the chain follows the entity.
+   */
+  updateActiveEntities(platformMemory, interaction) {
+    const intent = interaction.intent || {};
+    // LLM intents may spell a missing entity as "null"
+    const entities = Object.fromEntries(Object.entries(intent.entities || {}).filter(([, value]) => value && value !== 'null'));
+    const active = { ...(platformMemory.activeEntities || { wallet: null, collection: null, chain: null, timeframe: null, focus: null }) };
+
+    if (entities.collection_name) {
+      active.collection = entities.collection_name;
+      active.focus = 'collection';
+    }
+    if (entities.wallet_address) {
+      active.wallet = entities.wallet_address;
+      active.focus = 'wallet';
+    }
+    if (entities.chain || entities.wallet_address || entities.collection_name) {
+      active.chain = entities.chain || intent.chain || active.chain;
+    }
+    if (entities.timeframe) active.timeframe = entities.timeframe;
+
+    if (entities.wallet_address || entities.collection_name || entities.chain || entities.timeframe) {
+      platformMemory.activeEntities = { ...active, updatedAt: interaction.timestamp };
+    }
   }
 
   /**
@@ -272,49 +487,43 @@ class ConversationMemory {
   }
 
   /**
-   * Get memory statistics
+   * Get memory statistics from the store
    */
-  getMemoryStats() {
+  async getMemoryStats() {
+    const stats = await this.store.getStats();
     return {
-      totalUsers: this.memory.size,
-      totalInteractions: Array.from(this.memory.values())
-        .reduce((total, userMemory) => {
-          return total + Array.from(userMemory.values())
-            .reduce((userTotal, platformMemory) => {
-              return userTotal + platformMemory.interactions.length;
-            }, 0);
-        }, 0),
-      memoryUsage: `${this.memory.size} users tracked`
+      totalUsers: stats.users,
+      totalInteractions: stats.interactions,
+      memoryUsage: `${stats.users} users tracked`,
+      store: stats
     };
   }
 
   /**
    * Clean up old memory (for production use)
    */
-  cleanup(maxAgeHours = 24) {
+  async cleanup(maxAgeHours = 24) {
     const cutoffTime = new Date(Date.now() - (maxAgeHours * 60 * 60 * 1000));
     let cleanedCount = 0;
 
-    for (const [userId, userMemory] of this.memory.entries()) {
-      for (const [platform, platformMemory] of userMemory.entries()) {
+    for (const { userId, platform } of await this.store.list()) {
+      await this.withLock(userId, platform, async () => {
+        const platformMemory = await this.store.get(userId, platform);
+        if (!platformMemory) return;
+
         const originalLength = platformMemory.interactions.length;
-        
         platformMemory.interactions = platformMemory.interactions.filter(
           interaction => new Date(interaction.timestamp) > cutoffTime
         );
-
         cleanedCount += originalLength - platformMemory.interactions.length;
 
-        // Remove platform if no interactions left
+        // Remove the conversation if no interactions are left
         if (platformMemory.interactions.length === 0) {
-          userMemory.delete(platform);
+          await this.store.delete(userId, platform);
+        } else {
+          await this.store.set(userId, platform, platformMemory);
         }
-      }
-
-      // Remove user if no platforms left
-      if (userMemory.size === 0) {
-        this.memory.delete(userId);
-      }
+      });
     }
 
     logger.info(`Cleaned up ${cleanedCount} old interactions`);
@@ -1,289 +1,898 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { ConversationMemory } = require('./memory');
-const { getSystemPrompt, getAnalysisPrompt } = require('./prompts');
+const { createPromptRegistry } = require('./prompts');
 const logger = require('../utils/logger');
+const { truncateText } = require('../utils/helpers');
+const { resolveChain, extractChain, DEFAULT_CHAIN } = require('../utils/chains');
+const { BitsCrunchToolkit, parseAgentReply } = require('./tools');
+const { createProviderChain } = require('./providers');
+const { classifyIntent, resolveFollowUp, RULES_CONFIDENCE_THRESHOLD } = require('./classifier');
+const { INTENT_SCHEMA, SYNTHESIS_SCHEMA, SUMMARY_SCHEMA, completeStructured, renderSections } = require('./schemas');
+const {
+  detectInjection,
+  sanitizeUntrusted,
+  fenceUntrusted,
+  redactOutput,
+  logSecurityEvent,
+  SECURITY_NOTICE,
+  REFUSAL_TEXT
+} = require('./safety');
+const { resolveBudget, fitToBudget, describeOmitted, DEFAULT_SYNTHESIS_BUDGET } = require('./budget');
+const { UsageMeter, estimateUsage, QUOTA_MESSAGE } = require('./usage');
+const { ResponseCache } = require('./response-cache');
+const { groundSections, GROUNDING_MODES } = require('./grounding');
+const { formatSummary } = require('./conversation-summary');
+const { PredictiveAIEngine } = require('./prediction');
+
+// Model turns per chat query in the tool loop; the last turn must answer
+const MAX_AGENT_ROUNDS = 3;
+
+// Fields per tool listed in the data-only answer used when no LLM responds
+const MAX_FALLBACK_FIELDS = 8;
+
+// Reply tokens for a synthesis unless the intent sets maxTokens
+const SYNTHESIS_MAX_TOKENS = 400;
+
+const USER_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Earlier turns quoted in chat prompts after the conversation summary
+const RECENT_TURNS = 3;
+const RECENT_TURN_LENGTH = 400;
+
+// Synthesis intents whose collection or market models get a forecast from the predictive engine
+const FORECAST_INTENTS = ['collection_analysis', 'market_insights'];
+
+// Questions about where things are heading get the predictive synthesis template
+const PREDICTIVE_QUERY = /\b(?:predict\w*|forecast\w*|outlook|projection|next (?:week|month|quarter)|will (?:it|the \w+|prices?|floors?) (?:go|rise|drop|fall|recover))\b/i;
 
 class AIOrchestrator {
-  constructor(config) {
+  /**
+   * @param {object} config - AI provider configuration
+   * @param {object} services
+   * @param {object} services.bitsCrunchAPI - Enables the tool loop so chat answers from live data
+   * @param {object} services.responseCache - utils/cache store for repeated chat answers
+   * @param {object} services.memoryStore - Conversation store (ai/memory-store.js); in-memory by default
+   */
+  constructor(config, services = {}) {
     this.config = config;
-    this.memory = new ConversationMemory();
-    this.isDemoMode = false; // Always use real APIs
+    this.memory = new ConversationMemory(services.memoryStore);
+    this.isDemoMode = Boolean(config.demoMode); // bitsCrunch data served by the local mock server
+    this.tools = services.bitsCrunchAPI ? new BitsCrunchToolkit(services.bitsCrunchAPI) : null;
+    this.prompts = createPromptRegistry(config.promptsDir);
+    this.outputGuards = this.buildOutputGuards(config, services);
+    this.usage = new UsageMeter({ prices: config.llmPrices, dailyBudget: config.dailyBudget });
+    this.responseCache = services.responseCache ? new ResponseCache(services.responseCache) : null;
+    this.groundingMode = GROUNDING_MODES.includes(config.groundingMode) ? config.groundingMode : 'annotate';
+    this.predictor = new PredictiveAIEngine();
     
     // Initialize real AI providers
     this.initializeAI(config);
+    this.llm.onCompletion = completion => this.recordUsage(completion);
+    this.memory.summarizer = request => this.summarizeConversation(request);
   }
 
-initializeAI(config) {
-  try {
-    // Google Gemini (FREE)
-    if (config.provider === 'gemini' && config.googleApiKey && 
-        config.googleApiKey !== 'your_free_gemini_key_here') {
-      
-      this.genAI = new GoogleGenerativeAI(config.googleApiKey);
-      
-      // Try different model names in order of preference
-      const modelNames = ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-pro'];
-      
-      for (const modelName of modelNames) {
-        try {
-          this.model = this.genAI.getGenerativeModel({ model: modelName });
-          logger.info(`✅ AI Orchestrator initialized with Google Gemini ${modelName} (LIVE)`);
-          return;
-        } catch (error) {
-          logger.warn(`Model ${modelName} not available, trying next...`);
-        }
+  /**
+   * Build the LLM provider chain (primary provider first, the rest as fallbacks).
+   * With no provider, intents come from the rule-based classifier and answers from the data alone.
+   */
+  initializeAI(config) {
+    this.llm = createProviderChain(config);
+
+    if (this.llm.providers.length === 0) {
+      logger.warn('No LLM provider configured: using rule-based intents and data-only answers');
+      return;
+    }
+
+    const [primary, ...fallbacks] = this.llm.providers;
+    logger.info(`✅ AI Orchestrator initialized with ${primary.name} ${primary.model} (LIVE)${fallbacks.length > 0 ? `, fallbacks: ${fallbacks.map(({ name }) => name).join(', ')}` : ''}`);
+  }
+
+  /**
+   * Usage hook for every provider call, tagged by the caller's `meter`
+   * ({ userId, platform, intentType }); unreported token counts are estimated
+   */
+  recordUsage({ provider, model, usage, prompt, system, text, meter }) {
+    this.usage.record({
+      ...meter,
+      provider,
+      model,
+      usage: usage || estimateUsage({ prompt, system, text, provider }),
+      estimated: !usage
+    });
+  }
+
+  /**
+   * Memory summarizer: the model condenses older turns into the running summary.
+   * Resolves to { text, entities }, or null without a provider or budget so
+   * memory falls back to an extractive summary. Wallets are left to extraction
+   * so a model can never invent one.
+   */
+  async summarizeConversation({ summary, interactions, userId, platform }) {
+    if (this.llm.providers.length === 0 || this.usage.checkBudget(userId, platform).exceeded) {
+      return null;
+    }
+
+    const prompt = this.prompts.render('conversation_summary', { summary, interactions });
+    const { data } = await completeStructured(this.llm, prompt.text, SUMMARY_SCHEMA, {
+      system: `You summarize conversations for an NFT analytics assistant. Respond only with valid JSON.\n\n${SECURITY_NOTICE}`,
+      temperature: 0.2,
+      maxTokens: 400,
+      meter: { userId, platform, intentType: 'conversation_summary' }
+    });
+
+    return { text: data.summary.trim(), entities: { collections: data.collections, goals: data.goals } };
+  }
+
+  /**
+   * Credentials and system prompt lines that must never appear in an answer
+   */
+  buildOutputGuards(config, services) {
+    const secrets = [config.apiKey, config.googleApiKey, config.cohereApiKey, config.local?.apiKey, services.bitsCrunchAPI?.apiKey];
+    const protectedLines = ['system', 'analysis'].flatMap(name => this.prompts.render(name, { intent: {}, context: {} }).text.split('\n'))
+      .concat(SECURITY_NOTICE.split('\n'))
+      .map(line => line.trim())
+      .filter(line => line.length >= 40);
+
+    return { secrets: secrets.filter(Boolean), protectedLines };
+  }
+
+  /**
+   * Process user query with real AI
+   * options.chain pins the chain; otherwise it comes from the query text or defaults to Ethereum
+   */
+  async processQuery(userQuery, userId, platform = 'web', options = {}) {
+    try {
+      let result;
+      for await (const event of this.queryEvents(userQuery, userId, platform, { ...options, stream: false })) {
+        if (event.type === 'message') result = event.message;
       }
+      return result;
       
-      throw new Error('No valid Gemini model found');
+    } catch (error) {
+      logger.error('Error processing query:', error);
+      throw new Error(`AI processing failed: ${error.message}`);
     }
-    
-    // OpenAI (if available)
-    if (config.provider === 'openai' && config.apiKey && 
-        config.apiKey !== 'your_openai_api_key_here') {
-      
-      const OpenAI = require('openai');
-      this.aiClient = new OpenAI({ apiKey: config.apiKey });
-      this.modelName = config.model || 'gpt-3.5-turbo';
-      logger.info(`✅ AI Orchestrator initialized with OpenAI ${this.modelName} (LIVE)`);
+  }
+
+  /**
+   * Streaming processQuery. Yields { type: 'intent', intent }, { type: 'tool', ... }
+   * progress, { type: 'delta', text } tokens and finally { type: 'message', message }
+   * carrying the processQuery result, whose `response` is the authoritative text.
+   */
+  streamQuery(userQuery, userId, platform = 'web', options = {}) {
+    return this.queryEvents(userQuery, userId, platform, { ...options, stream: true });
+  }
+
+  /**
+   * Query pipeline shared by processQuery and streamQuery; options.stream picks
+   * streaming generation
+   */
+  async *queryEvents(userQuery, userId, platform, options) {
+    logger.info(`Processing query from ${platform} user ${userId}: ${userQuery.substring(0, 100)}...`);
+
+    // 0. Screen for injection; requests for prompts or configuration never reach a model
+    const screening = detectInjection(userQuery);
+    const security = screening.flagged ? { categories: screening.categories, refused: screening.refuse } : null;
+    if (screening.flagged) {
+      logSecurityEvent({ userId, platform, source: 'user_query', ...screening });
+    }
+    if (screening.refuse) {
+      yield* this.cannedReplyEvents(userQuery, platform, options, REFUSAL_TEXT, { security });
       return;
     }
+
+    // Users past their daily AI budget get the quota message instead
+    const quota = this.usage.checkBudget(userId, platform);
+    if (quota.exceeded) {
+      logger.warn(`Daily AI budget reached for ${platform} user ${userId} ($${quota.spent} of $${quota.limit})`);
+      yield* this.cannedReplyEvents(userQuery, platform, options, QUOTA_MESSAGE, { security, quotaExceeded: true });
+      return;
+    }
+    
+    // 1. Analyze intent with real AI
+    const intent = await this.analyzeIntent(userQuery, userId, { ...options, platform });
+    yield { type: 'intent', intent };
+    
+    // 2. Get conversation context
+    const context = await this.memory.getContext(userId, platform);
+    context.userLevel = USER_LEVELS.includes(options.userLevel) ? options.userLevel : this.inferUserLevel(context);
+    context.requester = { userId, platform };
+    
+    // 3. Fetch the data the intent calls for; the same user asking the same
+    // question on the same data, with the same conversation behind it, is
+    // answered from the response cache
+    const prefetched = this.tools ? yield* this.executeTools(this.tools.planFromIntent(intent, userQuery), 1, intent) : [];
+    const cacheKey = this.responseCache && !security
+      ? this.responseCache.keyFor({
+        owner: await this.memory.identity.resolve(userId, platform),
+        conversation: this.conversationParts(context),
+        query: userQuery,
+        intent,
+        userLevel: context.userLevel,
+        toolsInvoked: prefetched
+      })
+      : null;
+    const cached = cacheKey ? await this.responseCache.get(cacheKey) : null;
+
+    let reply;
+    if (cached) {
+      logger.info(`♻️ Response cache hit for ${intent.type} query (stored ${cached.storedAt})`);
+      if (options.stream) yield { type: 'delta', text: cached.response };
+      reply = {
+        response: cached.response,
+        provider: cached.provider,
+        model: cached.model,
+        toolsInvoked: prefetched,
+        prompts: cached.prompts,
+        usingRealAI: true,
+        security,
+        cachedAt: cached.storedAt
+      };
+    } else {
+      // 4. Generate intelligent response, fetching more bitsCrunch data through tools when available
+      let completion;
+      let toolsInvoked = [];
+      if (this.tools) {
+        ({ completion, toolsInvoked } = yield* this.runAgent(userQuery, intent, context, options.stream, prefetched));
+      } else if (options.stream) {
+        completion = yield* this.streamResponse(userQuery, intent, context);
+      } else {
+        completion = await this.generateResponse(userQuery, intent, context, userId);
+      }
+      const guarded = redactOutput(completion.text, this.outputGuards);
+      if (guarded.leaked) {
+        logSecurityEvent({ userId, platform, source: 'model_output', categories: ['output_leak'] });
+      }
+      reply = {
+        response: guarded.text,
+        provider: completion.provider,
+        model: completion.model,
+        toolsInvoked,
+        prompts: completion.prompts || [],
+        usingRealAI: !completion.degraded,
+        security: guarded.leaked ? { refused: false, ...security, categories: [...(security?.categories || []), 'output_leak'] } : security,
+        cachedAt: null
+      };
+
+      if (cacheKey && !completion.degraded && !guarded.leaked) {
+        const { response, provider, model, prompts } = reply;
+        await this.responseCache.set(cacheKey, { response, provider, model, prompts }, this.responseCache.ttlFor(intent, toolsInvoked));
+      }
+    }
     
-    // No valid API key found
-    throw new Error('No valid AI API key found. Please configure Google Gemini or OpenAI API key.');
+    // 5. Update memory
+    await this.memory.addInteraction(userId, platform, userQuery, reply.response, intent);
     
-  } catch (error) {
-    logger.error('Error initializing AI:', error);
-    throw error;
+    yield {
+      type: 'message',
+      message: {
+        response: reply.response,
+        provider: reply.provider,
+        model: reply.model,
+        intent,
+        chain: intent.chain,
+        confidence: intent.confidence,
+        suggestedActions: intent.suggestedActions,
+        toolsInvoked: reply.toolsInvoked,
+        prompts: reply.prompts,
+        usingRealAI: reply.usingRealAI,
+        security: reply.security,
+        quotaExceeded: false,
+        cached: Boolean(cached),
+        cachedAt: reply.cachedAt,
+        platform,
+        timestamp: new Date().toISOString()
+      }
+    };
   }
-}
 
   /**
-   * Process user query with real AI
+   * Events for a query answered with a fixed reply (refusal, quota): a
+   * rule-based intent and the reply, without a model call or a memory entry.
+   * `extra` is merged into the message.
    */
-  async processQuery(userQuery, userId, platform = 'web') {
-    try {
-      logger.info(`Processing query from ${platform} user ${userId}: ${userQuery.substring(0, 100)}...`);
-      
-      // 1. Analyze intent with real AI
-      const intent = await this.analyzeIntent(userQuery, userId);
-      
-      // 2. Get conversation context
-      const context = this.memory.getContext(userId, platform);
-      
-      // 3. Generate intelligent response
-      const response = await this.generateResponse(userQuery, intent, context, userId);
-      
-      // 4. Update memory
-      this.memory.addInteraction(userId, platform, userQuery, response, intent);
-      
-      return {
-        response,
+  async *cannedReplyEvents(userQuery, platform, options, text, extra = {}) {
+    const intent = classifyIntent(userQuery, { chain: options.chain });
+    intent.chain = this.resolveIntentChain(userQuery, intent, options.chain);
+    yield { type: 'intent', intent };
+    if (options.stream) yield { type: 'delta', text };
+
+    yield {
+      type: 'message',
+      message: {
+        response: text,
+        provider: null,
+        model: null,
         intent,
+        chain: intent.chain,
         confidence: intent.confidence,
         suggestedActions: intent.suggestedActions,
-        usingRealAI: true,
+        toolsInvoked: [],
+        prompts: [],
+        usingRealAI: false,
+        security: null,
+        quotaExceeded: false,
+        cached: false,
+        cachedAt: null,
+        ...extra,
         platform,
         timestamp: new Date().toISOString()
-      };
-      
-    } catch (error) {
-      logger.error('Error processing query:', error);
-      throw new Error(`AI processing failed: ${error.message}`);
+      }
+    };
+  }
+
+  /**
+   * Intent analysis: the rule-based classifier answers clear-cut queries; the
+   * LLM is asked otherwise (once per distinct question while the response
+   * cache holds it), and its result replaces the rules unless it fails or
+   * returns an unusable intent. Entities a follow-up leaves out ("is it
+   * risky?") come from the conversation's active entities and are listed in
+   * `intent.resolvedEntities`.
+   */
+  async analyzeIntent(query, userId, options = {}) {
+    const active = userId ? await this.memory.getActiveEntities(userId, options.platform) : null;
+    const rulesIntent = classifyIntent(query, { chain: options.chain, active });
+    let intent = rulesIntent;
+
+    if (rulesIntent.confidence < RULES_CONFIDENCE_THRESHOLD && this.llm.providers.length > 0) {
+      const cached = this.responseCache ? await this.responseCache.getIntent(query, options.chain) : null;
+      if (cached) {
+        intent = cached;
+      } else {
+        try {
+          intent = await this.analyzeIntentWithLLM(query, { userId, platform: options.platform, intentType: 'intent_detection' });
+          if (this.responseCache) await this.responseCache.setIntent(query, options.chain, intent);
+        } catch (error) {
+          logger.warn(`LLM intent analysis failed, using rule-based intent: ${error.message}`);
+        }
+      }
     }
+
+    if (intent !== rulesIntent) {
+      // Cached LLM intents are shared between users; resolve on a copy
+      const { entities, resolved } = resolveFollowUp(query, intent.entities || {}, active);
+      intent = { ...intent, entities, resolvedEntities: resolved };
+    }
+    if (Object.keys(intent.resolvedEntities).length > 0) {
+      logger.info(`🧩 Follow-up resolved from conversation: ${Object.entries(intent.resolvedEntities).map(([field, value]) => `${field}=${value}`).join(', ')}`);
+    }
+
+    intent.chain = this.resolveIntentChain(query, intent, options.chain);
+    logger.info(`✅ Intent analyzed (${intent.source}): ${intent.type} on ${intent.chain} (confidence: ${intent.confidence})`);
+    return intent;
   }
 
   /**
-   * Advanced intent analysis with real AI
+   * Ask the LLM for the intent JSON, validated against INTENT_SCHEMA.
+   * Throws StructuredOutputError when repairs do not produce a valid intent.
+   * `meter` tags the calls for usage accounting.
    */
-  async analyzeIntent(query, userId) {
-    const prompt = `Analyze this NFT/blockchain query and extract intent. Respond with ONLY valid JSON:
-
-User Query: "${query}"
-
-Required JSON format:
-{
-  "type": "wallet_analysis|collection_analysis|market_insights|risk_assessment|general_question",
-  "confidence": 0.8,
-  "entities": {
-    "wallet_address": "0x... or null",
-    "collection_name": "collection name or null",
-    "timeframe": "timeframe or null",
-    "numbers": ["any numbers found"]
-  },
-  "suggestedActions": ["array of actions"],
-  "requiresBitsCrunch": true/false,
-  "reasoning": "brief explanation"
-}
+  async analyzeIntentWithLLM(query, meter = {}) {
+    const prompt = this.prompts.render('intent', { query });
 
-Examples:
-- "Analyze wallet 0x123..." → wallet_analysis
-- "How is BAYC doing?" → collection_analysis
-- "Market trends?" → market_insights
-- "Is this risky?" → risk_assessment`;
+    const completion = await completeStructured(this.llm, prompt.text, INTENT_SCHEMA, {
+      system: `Respond only with valid JSON.\n\n${SECURITY_NOTICE}`,
+      temperature: 0.1,
+      maxTokens: 500,
+      meter
+    });
+
+    return { ...completion.data, source: 'llm', prompt: prompt.id };
+  }
+
+  /**
+   * Pick the chain for an intent: explicit request option, then the model's
+   * entity, then a chain named in the query, then the default
+   */
+  resolveIntentChain(query, intent, requestedChain) {
+    const candidates = [requestedChain, intent.entities?.chain];
+    for (const candidate of candidates) {
+      if (candidate === undefined || candidate === null || candidate === '' || candidate === 'null') continue;
+      const chain = resolveChain(candidate);
+      if (chain) return chain.name;
+    }
+
+    const mentioned = extractChain(query);
+    return mentioned ? mentioned.name : DEFAULT_CHAIN;
+  }
+
+  /**
+   * Generate intelligent response with real AI
+   * Resolves to the provider completion ({ text, provider, model, usage })
+   */
+  async generateResponse(query, intent, context, userId) {
+    const { prompt, options, prompts } = this.buildResponsePrompt(query, intent, context);
 
     try {
-      let intentResponse;
+      return { ...await this.llm.complete(prompt, options), prompts };
       
-      if (this.model) {
-        // Use Google Gemini
-        const result = await this.model.generateContent(prompt);
-        intentResponse = result.response.text();
-      } else if (this.aiClient) {
-        // Use OpenAI
-        const completion = await this.aiClient.chat.completions.create({
-          model: this.modelName,
-          messages: [
-            { role: 'system', content: 'Respond only with valid JSON.' },
-            { role: 'user', content: prompt }
-          ],
-          temperature: 0.1,
-          max_tokens: 500
-        });
-        intentResponse = completion.choices[0].message.content;
-      } else {
-        throw new Error('No AI provider configured');
+    } catch (error) {
+      logger.error('Error generating response:', error);
+      return this.fallbackCompletion(intent, [], error);
+    }
+  }
+
+  /**
+   * Streaming generateResponse: yields { type: 'delta', text } and returns the completion
+   */
+  async *streamResponse(query, intent, context) {
+    const { prompt, options, prompts } = this.buildResponsePrompt(query, intent, context);
+
+    try {
+      let completion;
+      for await (const chunk of this.llm.stream(prompt, options)) {
+        if (chunk.done) {
+          const { done, ...rest } = chunk;
+          completion = { ...rest, prompts };
+        } else {
+          yield { type: 'delta', text: chunk.delta };
+        }
       }
+      return completion;
 
-      // Clean and parse JSON
-      const cleanResponse = intentResponse
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .replace(/^[^{]*/, '')
-        .replace(/[^}]*$/, '')
-        .trim();
-      
-      const intent = JSON.parse(cleanResponse);
-      logger.info(`✅ Intent analyzed: ${intent.type} (confidence: ${intent.confidence})`);
-      return intent;
-      
     } catch (error) {
-      logger.error('Error analyzing intent:', error);
-      throw new Error(`Intent analysis failed: ${error.message}`);
+      logger.error('Error streaming response:', error);
+      return this.fallbackCompletion(intent, [], error);
     }
   }
 
   /**
-   * Generate intelligent response with real AI
+   * System prompt for a chat answer: the shared personality plus the intent's
+   * template, educational at the user's level for general questions, then the
+   * security rules. Resolves to { text, prompts } where prompts are the template ids used.
    */
-  async generateResponse(query, intent, context, userId) {
-    const systemPrompt = `You are NFT Intelligence AI, an expert blockchain analyst for the bitsCrunch x AI Builders Hack 2025.
+  buildChatSystemPrompt(query, intent, context) {
+    const system = this.prompts.render('system');
+    const guidance = intent.type === 'general_question'
+      ? this.prompts.render('educational', { topic: query, userLevel: context.userLevel })
+      : this.prompts.render('analysis', { intent, context });
+
+    return { text: `${system.text}\n\n${guidance.text}\n\n${SECURITY_NOTICE}`, prompts: [system.id, guidance.id] };
+  }
 
-PERSONALITY: Professional, knowledgeable, helpful, enthusiastic about NFTs
-EXPERTISE: NFT analytics, wallet analysis, market trends, risk assessment
-STYLE: Clear, data-driven insights with actionable recommendations
+  /**
+   * Explanation depth from how much the user has asked before
+   */
+  inferUserLevel(context) {
+    if (context.totalInteractions >= 20) return 'advanced';
+    if (context.totalInteractions >= 5) return 'intermediate';
+    return 'beginner';
+  }
 
-Current Analysis Type: ${intent.type}
-User Context: ${context.hasHistory ? `Previous ${context.totalInteractions} interactions` : 'New user'}
+  /**
+   * The history a chat prompt quotes: { totalInteractions, summary, turns },
+   * or null without history
+   */
+  conversationParts(context) {
+    if (!context.hasHistory) return null;
+
+    return {
+      totalInteractions: context.totalInteractions,
+      summary: formatSummary(context.summary),
+      turns: (context.recentInteractions || []).slice(-RECENT_TURNS).map(({ userQuery, aiResponse }) =>
+        `User: ${truncateText(userQuery, RECENT_TURN_LENGTH)}\nAssistant: ${truncateText(aiResponse, RECENT_TURN_LENGTH)}`)
+    };
+  }
+
+  /**
+   * What the user discussed before: the rolling summary and the last few turns,
+   * fenced since both repeat user text. Empty without history.
+   */
+  buildConversationContext(context) {
+    const parts = this.conversationParts(context);
+    if (!parts) return '';
+
+    const { summary, turns } = parts;
+    return [
+      `Previous Context: User has asked ${context.totalInteractions} questions before. Remember our conversation flow.`,
+      summary ? `Conversation summary:\n${fenceUntrusted('conversation summary', summary)}` : null,
+      turns.length > 0 ? `Recent turns:\n${fenceUntrusted('recent turns', turns.join('\n\n'))}` : null
+    ].filter(Boolean).join('\n\n');
+  }
 
-Provide a comprehensive response that:
-1. Directly answers the user's question
-2. Includes relevant insights and data points
-3. Offers actionable recommendations
-4. Uses appropriate emojis for clarity
-5. Mentions bitsCrunch data integration when relevant`;
+  /**
+   * Prompt and generation options for a tool-less response
+   */
+  buildResponsePrompt(query, intent, context) {
+    const system = this.buildChatSystemPrompt(query, intent, context);
 
-    const userPrompt = `User Query: "${query}"
+    const userPrompt = `User Query:
+${fenceUntrusted('user query', query)}
 
-Intent Analysis: ${JSON.stringify(intent)}
+Analysis Type: ${intent.type}
+Blockchain: ${intent.chain || DEFAULT_CHAIN}
+Intent Analysis: ${JSON.stringify(sanitizeUntrusted(intent).value)}
 
-${context.hasHistory ? `Previous Context: User has asked ${context.totalInteractions} questions before. Remember our conversation flow.` : ''}
+${this.buildConversationContext(context)}
 
 Please provide a detailed, helpful response about this NFT/blockchain query.`;
 
-    try {
-      let response;
-      
-      if (this.model) {
-        // Use Google Gemini
-        const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
-        const result = await this.model.generateContent(fullPrompt);
-        response = result.response.text();
-      } else if (this.aiClient) {
-        // Use OpenAI
-        const completion = await this.aiClient.chat.completions.create({
-          model: this.modelName,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          temperature: 0.7,
-          max_tokens: 1000
-        });
-        response = completion.choices[0].message.content;
-      } else {
-        throw new Error('No AI provider configured');
+    return {
+      prompt: userPrompt,
+      options: {
+        system: system.text,
+        temperature: 0.7,
+        maxTokens: 1000,
+        meter: { ...context.requester, intentType: intent.type }
+      },
+      prompts: system.prompts
+    };
+  }
+
+  /**
+   * Tool loop: run the tools the intent calls for (or take `prefetched` results
+   * of them), then let the model either answer from the results or request more
+   * tools, for up to MAX_AGENT_ROUNDS turns.
+   * Yields { type: 'tool' } progress events (and { type: 'delta' } tokens when
+   * streaming); returns { completion, toolsInvoked } with each tool's raw result.
+   * The model only sees sanitized results; flagged fields are logged against
+   * `context.requester`.
+   */
+  async *runAgent(query, intent, context, stream = false, prefetched = null) {
+    const requester = context.requester || {};
+    const toolsInvoked = [];
+    const screened = [];
+    const system = this.buildChatSystemPrompt(query, intent, context);
+    const addResults = results => {
+      toolsInvoked.push(...results);
+      screened.push(...results.map(call => this.screenUntrusted(call, requester, `tool:${call.tool}`)));
+    };
+    let calls = prefetched ? [] : this.tools.planFromIntent(intent, query);
+    let completion;
+    if (prefetched) addResults(prefetched);
+
+    for (let round = 1; round <= MAX_AGENT_ROUNDS; round++) {
+      if (calls.length > 0) {
+        addResults(yield* this.executeTools(calls, round, intent));
       }
 
-      return response;
-      
-    } catch (error) {
-      logger.error('Error generating response:', error);
-      throw new Error(`Response generation failed: ${error.message}`);
+      const allowTools = round < MAX_AGENT_ROUNDS;
+      const prompt = this.buildAgentPrompt(query, intent, context, screened, allowTools);
+      const options = {
+        system: `${system.text}\n\nAnswer only from the tool results you are given.`,
+        temperature: 0.4,
+        maxTokens: 1000,
+        meter: { ...requester, intentType: intent.type }
+      };
+      let streamed = false;
+      try {
+        if (stream) {
+          ({ completion, streamed } = yield* this.streamTurn(prompt, options));
+        } else {
+          completion = await this.llm.complete(prompt, options);
+        }
+      } catch (error) {
+        logger.error('Agent round failed:', error.message);
+        return { completion: this.fallbackCompletion(intent, toolsInvoked, error), toolsInvoked };
+      }
+      const decision = parseAgentReply(completion.text);
+
+      if (!decision.toolCalls) {
+        // A JSON-wrapped answer was held back while streaming; send it now
+        if (stream && !streamed) yield { type: 'delta', text: decision.answer };
+        return { completion: { ...completion, text: decision.answer, prompts: system.prompts }, toolsInvoked };
+      }
+      if (!allowTools) break;
+
+      calls = this.tools.filterNewCalls(decision.toolCalls, toolsInvoked);
+      logger.info(`Agent round ${round} requested ${calls.length} new tool calls`);
     }
+
+    return {
+      completion: {
+        ...completion,
+        text: 'I could not finish this analysis with the data available. Please try a more specific question.',
+        prompts: system.prompts
+      },
+      toolsInvoked
+    };
   }
 
-/**
-   * Synthesize bitsCrunch data with AI insights - UPDATED FOR SHORTER RESPONSES
+  /**
+   * Run tool calls in parallel, yielding { type: 'tool' } started and
+   * completed/failed events. Returns the tool results.
    */
-  async synthesizeData(data, intent, originalQuery) {
-    const prompt = `As an expert NFT analyst, provide a CONCISE analysis (max 150 words):
+  async *executeTools(calls, round, intent) {
+    for (const { tool, args } of calls) {
+      yield { type: 'tool', status: 'started', round, tool, args };
+    }
+    const results = await Promise.all(calls.map(call => this.tools.execute(call, intent.chain)));
+    for (const { tool, args, chain, success, durationMs, error } of results) {
+      yield { type: 'tool', status: success ? 'completed' : 'failed', round, tool, args, chain, durationMs, error };
+    }
+    return results;
+  }
 
-Original Query: "${originalQuery}"
+  /**
+   * Stream one agent turn. Replies that open like JSON may be tool requests, so
+   * they are held back; prose is passed on as { type: 'delta' } events.
+   * Returns { completion, streamed }.
+   */
+  async *streamTurn(prompt, options) {
+    let held = '';
+    let streamed = null;
+    let completion;
+
+    for await (const chunk of this.llm.stream(prompt, options)) {
+      if (chunk.done) {
+        const { done, ...rest } = chunk;
+        completion = rest;
+      } else if (streamed) {
+        yield { type: 'delta', text: chunk.delta };
+      } else if (streamed === null) {
+        held += chunk.delta;
+        const opening = held.trimStart();
+        if (opening) {
+          streamed = !opening.startsWith('{') && !opening.startsWith('`');
+          if (streamed) yield { type: 'delta', text: held };
+        }
+      }
+    }
+
+    return { completion, streamed: Boolean(streamed) };
+  }
+
+  /**
+   * Sanitized copy of bitsCrunch data for a prompt; instruction-like fields
+   * (NFT names, descriptions) are logged as a security event
+   */
+  screenUntrusted(data, requester, source) {
+    const { value, flagged } = sanitizeUntrusted(data);
+    if (flagged.length > 0) {
+      logSecurityEvent({
+        userId: requester.userId,
+        platform: requester.platform,
+        source,
+        categories: [...new Set(flagged.flatMap(({ categories }) => categories))],
+        paths: flagged.map(({ path }) => path)
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Agent prompt: the question, sanitized tool results so far and, while rounds
+   * remain, the tool menu
+   */
+  buildAgentPrompt(query, intent, context, toolsInvoked, allowTools) {
+    const results = toolsInvoked.length > 0
+      ? fenceUntrusted('tool results', toolsInvoked.map(call => JSON.stringify({
+        tool: call.tool,
+        args: call.args,
+        ...(call.success ? { data: call.model } : { error: call.error })
+      })).join('\n'))
+      : 'No tools have been called yet.';
+
+    const instructions = allowTools
+      ? `If you need more data, reply with ONLY JSON: {"tool_calls": [{"tool": "name", "args": {...}}]}
+Otherwise reply with the final answer as plain text.
+
+Available tools (chain defaults to ${intent.chain || DEFAULT_CHAIN}):
+${this.tools.describe()}`
+      : 'Tools are no longer available. Reply with the final answer as plain text.';
+
+    return `User Query:
+${fenceUntrusted('user query', query)}
 Analysis Type: ${intent.type}
-Data: ${JSON.stringify(data, null, 2)}
+Blockchain: ${intent.chain || DEFAULT_CHAIN}
+${context.hasHistory ? `${this.buildConversationContext(context)}\n` : ''}
+Tool Results:
+${results}
 
-Requirements:
-- Be direct and actionable
-- Use bullet points for key insights
-- Include specific numbers when available
-- Highlight risks or opportunities
-- Keep response under 150 words
-- Focus on what matters most to the user
+${instructions}
 
-Response:`;
+Final answers should directly answer the question, cite specific numbers from the tool results with their units, flag risks, and suggest next steps. Say so plainly when the data does not cover something; never invent figures.`;
+  }
+
+  /**
+   * Data-only answer for when no LLM responds: lists what the tools fetched,
+   * or points at follow-up questions when nothing was fetched
+   */
+  fallbackCompletion(intent, toolsInvoked, error) {
+    const lines = toolsInvoked.filter(call => call.success).map(call => {
+      const model = call.model;
+      if (Array.isArray(model)) {
+        const names = model.slice(0, 3).map(item => item.name || item.collectionName || item.type || item.address).filter(Boolean);
+        return `• ${call.tool}: ${model.length} results${names.length > 0 ? ` (${names.join(', ')})` : ''}`;
+      }
+
+      const fields = Object.entries(model || {})
+        .filter(([, value]) => value !== null && typeof value !== 'object')
+        .slice(0, MAX_FALLBACK_FIELDS)
+        .map(([key, value]) => `${key} ${value}`);
+      return `• ${call.tool}: ${fields.join(', ') || 'no data'}`;
+    });
+
+    const text = lines.length > 0
+      ? `⚠️ AI analysis is unavailable right now. Here is the bitsCrunch data for your question:\n\n${lines.join('\n')}`
+      : `⚠️ AI analysis is unavailable right now. Suggested next steps: ${(intent.suggestedActions || []).join(', ')}.`;
+
+    return { text, provider: null, model: null, usage: null, degraded: true, error: error.message };
+  }
+
+  /**
+   * Synthesis prompt: the risk template for risk assessments, the predictive
+   * template for forecast questions, otherwise the concise data template; the
+   * structured output format is appended to each, after a note on any fields
+   * trimmed to fit the token budget. Resolves to { text, prompts }.
+   */
+  buildSynthesisPrompt(data, intent, originalQuery, omitted = []) {
+    let body;
+    if (intent.type === 'risk_assessment') {
+      body = this.prompts.render('risk_assessment', {
+        walletData: data.wallet,
+        collectionData: data.collection,
+        marketContext: data.market
+      });
+    } else if (PREDICTIVE_QUERY.test(originalQuery)) {
+      body = this.prompts.render('predictive', {
+        historicalData: data,
+        currentTrends: data.market,
+        timeframe: intent.entities?.timeframe || data.market?.timeRange || '30d'
+      });
+    } else {
+      body = this.prompts.render('data_synthesis', {
+        data,
+        query: originalQuery,
+        intent: { ...intent, chain: intent.chain || DEFAULT_CHAIN }
+      });
+    }
+    const format = this.prompts.render('synthesis_format', { query: originalQuery });
+    const note = omitted.length > 0
+      ? `\n\nSome fields were left out or summarized to fit the token budget: ${describeOmitted(omitted)}. Do not guess their values.`
+      : '';
+
+    return { text: `${body.text}${note}\n\n${format.text}`, prompts: [body.id, format.id] };
+  }
+
+  /**
+   * Forecast from the predictive engine for collection and market synthesis:
+   * { timeframe, direction, confidence, floorPrice, trend, sentiment, keyFactors, insights },
+   * or null when the intent or data has nothing to forecast. `floorPrice` is
+   * only set when the model reports one.
+   */
+  async buildForecast(data, intent) {
+    const source = data.collection || data.market;
+    if (!FORECAST_INTENTS.includes(intent.type) || !source) return null;
+
+    const timeframe = intent.entities?.timeframe || source.timeRange || '7d';
+    const forecast = await this.predictor.predictMarketMovement(data, timeframe);
+    const price = forecast.predictions.price;
+
+    return {
+      timeframe,
+      direction: forecast.overallDirection,
+      confidence: forecast.confidence,
+      floorPrice: source.floorPrice !== null && source.floorPrice !== undefined && price?.currentPrice !== undefined ? {
+        direction: price.direction,
+        current: price.currentPrice,
+        target: price.targetPrice,
+        currency: source.currency
+      } : null,
+      trend: forecast.predictions.trend?.sentiment || null,
+      sentiment: forecast.predictions.sentiment?.sentiment || null,
+      keyFactors: forecast.keyFactors || [],
+      insights: forecast.aiInsights || []
+    };
+  }
+
+  /**
+   * Trim synthesis data to the token budget: SYNTHESIS_TOKEN_BUDGET, capped by
+   * the smallest context window in the provider chain
+   */
+  fitSynthesisData(data, intent, maxTokens) {
+    const budget = resolveBudget(this.llm.providers, {
+      budget: this.config.synthesisTokenBudget || DEFAULT_SYNTHESIS_BUDGET,
+      maxTokens
+    });
+    const fitted = fitToBudget(data, { intentType: intent.type, budget, provider: this.llm.providers[0]?.name });
+
+    if (fitted.omitted.length > 0) {
+      logger.info(`Synthesis data trimmed to ~${fitted.tokens}/${budget} tokens, omitted: ${describeOmitted(fitted.omitted)}`);
+    }
+    return fitted;
+  }
+
+  /**
+   * Synthesize bitsCrunch data with AI insights - UPDATED FOR SHORTER RESPONSES
+   * Resolves to the completion with `sections` ({ summary, insights, risks,
+   * recommendations }, validated against SYNTHESIS_SCHEMA), `text` rendered from
+   * them, the template ids in `prompts` and the fields trimmed to fit the token
+   * budget in `omitted` ({ path, reason } entries, see ai/budget.js).
+   * Figures are checked against `data` (ai/grounding.js): `grounding` carries
+   * the score and citations, and unsupported figures are annotated or removed
+   * per `config.groundingMode`.
+   * Collection and market synthesis adds the predictive engine's `forecast`
+   * (see buildForecast) to the data and the result.
+   * `requester` ({ userId, platform }) is logged with any flagged metadata and
+   * charged for the usage; past its daily budget the text is the quota message
+   * and `quotaExceeded` is set.
+   */
+  async synthesizeData(data, intent, originalQuery, requester = {}) {
+    if (requester.userId && this.usage.checkBudget(requester.userId, requester.platform).exceeded) {
+      logger.warn(`Daily AI budget reached for ${requester.platform} user ${requester.userId}: synthesis skipped`);
+      return {
+        text: QUOTA_MESSAGE,
+        sections: null,
+        prompts: [],
+        omitted: [],
+        grounding: null,
+        provider: null,
+        model: null,
+        usage: null,
+        quotaExceeded: true
+      };
+    }
+
+    const maxTokens = intent.maxTokens || SYNTHESIS_MAX_TOKENS;
+    const forecast = await this.buildForecast(data, intent);
+    if (forecast) data = { ...data, forecast };
+    const fitted = this.fitSynthesisData(this.screenUntrusted(data, requester, 'bitscrunch_data'), intent, maxTokens);
+    const prompt = this.buildSynthesisPrompt(fitted.data, intent, originalQuery, fitted.omitted);
 
     try {
-      let synthesis;
-      
-      if (this.model) {
-        // Use Google Gemini with shorter response
-        const result = await this.model.generateContent(prompt);
-        synthesis = result.response.text();
-      } else if (this.aiClient) {
-        // Use OpenAI with limited tokens
-        const completion = await this.aiClient.chat.completions.create({
-          model: this.modelName,
-          messages: [
-            { role: 'system', content: 'You are an expert NFT analyst. Be concise and actionable. Max 150 words.' },
-            { role: 'user', content: prompt }
-          ],
-          temperature: 0.6,
-          max_tokens: 200 // Reduced from 1500 to 200
-        });
-        synthesis = completion.choices[0].message.content;
-      } else {
-        throw new Error('No AI provider configured');
+      const completion = await completeStructured(this.llm, prompt.text, SYNTHESIS_SCHEMA, {
+        system: `You are an expert NFT analyst. Be concise and actionable. Respond only with valid JSON.\n\n${SECURITY_NOTICE}`,
+        temperature: 0.6,
+        maxTokens,
+        meter: { ...requester, intentType: intent.type }
+      });
+      const { data: structured, ...rest } = completion;
+      const { sections, grounding } = groundSections(structured, [data, fitted.data], {
+        query: originalQuery,
+        mode: this.groundingMode
+      });
+      if (grounding.supported < grounding.claims) {
+        logger.warn(`🔎 Synthesis grounding ${grounding.score}: ${grounding.claims - grounding.supported} of ${grounding.claims} figures not found in the ${intent.type} data`);
       }
 
-      return synthesis;
+      return { ...rest, text: renderSections(sections), sections, prompts: prompt.prompts, omitted: fitted.omitted, grounding, forecast };
       
     } catch (error) {
       logger.error('Error synthesizing data:', error);
       // Return shorter fallback message
-      return 'Analysis temporarily unavailable. Please try again.';
+      return {
+        text: 'Analysis temporarily unavailable. Please try again.',
+        sections: null,
+        prompts: prompt.prompts,
+        omitted: fitted.omitted,
+        grounding: null,
+        forecast,
+        provider: null,
+        model: null,
+        usage: null,
+        error: error.message,
+        errorCode: error.code || null
+      };
     }
   }
 
   // Utility methods
-  getConversationHistory(userId, platform, limit = 5) {
-    return this.memory.getHistory(userId, platform, limit);
+  async getConversationHistory(userId, platform, limit = 5, options = {}) {
+    return this.memory.getHistory(userId, platform, limit, options);
   }
 
-  clearMemory(userId, platform) {
-    this.memory.clear(userId, platform);
+  async clearMemory(userId, platform) {
+    await this.memory.clear(userId, platform);
     logger.info(`Cleared memory for user ${userId} on ${platform}`);
   }
 
+  // Identity linking: accounts redeemed with a /link code share one memory
+  createLinkCode(userId, platform) {
+    return this.memory.identity.createCode(userId, platform);
+  }
+
+  async linkAccount(code, userId, platform) {
+    return this.memory.identity.redeemCode(code, userId, platform);
+  }
+
+  async unlinkAccount(userId, platform) {
+    return this.memory.identity.unlink(userId, platform);
+  }
+
+  async getLinkedAccounts(userId, platform) {
+    return this.memory.identity.getLinkedAccounts(userId, platform);
+  }
+
   async learnFromInteraction(userId, query, response, feedback = null) {
     // Store learning data for future improvements
     logger.info(`Learning from interaction: ${userId} - ${feedback || 'no feedback'}`);
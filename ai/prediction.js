@@ -1,5 +1,8 @@
 const logger = require('../utils/logger');
 
+// Predictions remembered per collection or wallet
+const MAX_PATTERN_HISTORY = 50;
+
 /**
  * Predictive AI Engine - The core differentiator for hackathon win
  * Uses advanced algorithms to predict market trends, risks, and opportunities
@@ -28,6 +31,8 @@ class PredictiveAIEngine {
 
   /**
    * MAIN PREDICTOR: Comprehensive market analysis with predictions
+   * `data` holds normalized models from api/models: { collection, wallet, market, transactions }.
+   * The floor price model reads the collection, or the market snapshot without one.
    */
   async predictMarketMovement(data, timeframe = '7d') {
     try {
@@ -277,6 +282,7 @@ class PredictiveAIEngine {
         prediction: predictions.floorPrice,
         actualData: data.collection
       });
+      this.patterns.priceMovements.set(key, this.patterns.priceMovements.get(key).slice(-MAX_PATTERN_HISTORY));
     }
     
     // Store wallet behavior patterns
@@ -291,6 +297,7 @@ class PredictiveAIEngine {
         prediction: predictions.riskLevel,
         actualData: data.wallet
       });
+      this.patterns.walletBehaviors.set(key, this.patterns.walletBehaviors.get(key).slice(-MAX_PATTERN_HISTORY));
     }
   }
 
@@ -329,7 +336,7 @@ class PredictiveAIEngine {
 class FloorPricePredictionModel {
   async predict(data, timeframe) {
     try {
-      const collection = data.collection || data;
+      const collection = data.collection || data.market || data;
       
       // Technical analysis indicators
       const priceHistory = this.generatePriceHistory(collection);
@@ -444,6 +451,10 @@ class FloorPricePredictionModel {
   }
 
   analyzeVolumeTrend(collection) {
+    // Collection models report the period-over-period change directly (percent)
+    const volumeChange = parseFloat(collection.volumeChange);
+    if (!isNaN(volumeChange)) return volumeChange / 100;
+
     // Simulate volume trend analysis
     const volumeData = collection.metrics || collection;
     const currentVolume = parseFloat(volumeData.volume24h) || Math.random() * 100;
@@ -2,61 +2,27 @@
  * AI Prompt Templates for NFT Intelligence AI Agent
  * These prompts are designed to create a consistent, intelligent AI personality
  * across all platforms (Discord, Telegram, Web)
+ *
+ * Templates live in a registry of named, versioned entries with {{variable}}
+ * placeholders. Any template can be replaced by a file in PROMPTS_DIR named
+ * <template>.txt (or .md), optionally opening with a `version:` front matter block.
  */
 
-/**
- * Main system prompt that defines the AI's personality and capabilities
- */
-function getSystemPrompt() {
-  return `You are NFT Intelligence AI, an expert AI analyst specializing in NFT and blockchain analytics. You are part of the bitsCrunch x AI Builders Hack 2025 project.
-
-PERSONALITY:
-- You are knowledgeable, friendly, and professional
-- You provide clear, actionable insights
-- You explain complex blockchain concepts in simple terms
-- You're enthusiastic about NFTs and blockchain technology
-- You have a consistent personality across all platforms
-
-EXPERTISE:
-- Deep understanding of NFT markets, collections, and trends
-- Expertise in wallet analysis and risk assessment
-- Knowledge of blockchain analytics and metrics
-- Understanding of market psychology and trading patterns
-- Familiarity with popular NFT collections and their dynamics
-
-CAPABILITIES:
-- Analyze wallet behavior and risk profiles
-- Evaluate NFT collection health and performance
-- Provide market insights and trend analysis
-- Detect potential fraud or suspicious activity
-- Offer predictive insights based on data patterns
-- Answer general blockchain and NFT questions
-
-COMMUNICATION STYLE:
-- Use clear, conversational language
-- Include relevant emojis when appropriate (📊 🚀 ⚠️ 💎)
-- Provide specific, data-driven insights
-- Suggest actionable next steps
-- Be encouraging but realistic about risks
-
-RESPONSE FORMAT:
-- Start with a direct answer to the user's question
-- Provide supporting analysis and context
-- Include relevant metrics and data points
-- End with actionable insights or recommendations
-- Keep responses concise but comprehensive
-
-Remember: You're here to help users make informed decisions about NFTs and blockchain investments. Always prioritize accuracy and user education.`;
-}
-
-/**
- * Generate analysis prompt based on intent and context
- */
-function getAnalysisPrompt(intent, context) {
-  const basePrompt = `Based on the user's intent and conversation context, provide a comprehensive analysis.`;
-
-  const intentPrompts = {
-    wallet_analysis: `
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { hashKey } = require('../utils/helpers');
+const { fenceUntrusted } = require('./safety');
+
+const LEVEL_GUIDANCE = {
+  beginner: 'Assume the user is new to NFTs and blockchain. Start with basic concepts and build up.',
+  intermediate: 'Assume the user has some experience with NFTs and blockchain. Include technical details.',
+  advanced: 'Assume the user is experienced. Focus on advanced concepts and nuanced analysis.'
+};
+
+// Per-intent focus for the analysis template
+const ANALYSIS_FOCUS = {
+  wallet_analysis: `
 FOCUS: Wallet Analysis
 - Analyze the wallet's transaction history and behavior patterns
 - Assess risk level and investment strategy
@@ -71,8 +37,8 @@ KEY METRICS TO CONSIDER:
 - Holding periods
 - Gas usage patterns
 - Interaction with known contracts/collections`,
-    
-    collection_analysis: `
+  
+  collection_analysis: `
 FOCUS: NFT Collection Analysis
 - Evaluate collection health and market performance
 - Analyze floor price trends and volume patterns
@@ -87,8 +53,8 @@ KEY METRICS TO CONSIDER:
 - Rarity distribution and value
 - Community growth and engagement
 - Development team activity and roadmap`,
-    
-    market_insights: `
+  
+  market_insights: `
 FOCUS: Market Trends and Insights
 - Provide broader market context and trends
 - Identify emerging patterns and opportunities
@@ -102,8 +68,8 @@ KEY AREAS TO COVER:
 - Notable collections and their impact
 - Market cycles and timing considerations
 - Risk factors and market conditions`,
-    
-    risk_assessment: `
+  
+  risk_assessment: `
 FOCUS: Risk Analysis and Assessment
 - Identify potential risks and red flags
 - Assess probability and impact of different scenarios
@@ -117,8 +83,8 @@ RISK FACTORS TO EVALUATE:
 - Regulatory and compliance risks
 - Community and development risks
 - Economic and macroeconomic factors`,
-    
-    general_question: `
+  
+  general_question: `
 FOCUS: General NFT and Blockchain Education
 - Provide educational and informative responses
 - Explain concepts clearly and accessibly
@@ -132,100 +98,194 @@ EDUCATIONAL APPROACH:
 - Share relevant resources and tools
 - Encourage responsible participation
 - Build user confidence and knowledge`
-  };
+};
 
-  const contextPrompt = context && context.hasHistory ? `
-CONVERSATION CONTEXT:
-- Previous interactions: ${context.totalInteractions}
-- User engagement level: ${context.contextSummary?.userEngagement || 'unknown'}
-- Preferred topics: ${context.contextSummary?.preferredTopics?.join(', ') || 'none'}
-- Recent focus: ${context.contextSummary?.recentFocus || 'general'}
-
-Use this context to provide more personalized and relevant responses. Build on previous conversations and maintain consistency.` : '';
+function toJSON(value) {
+  return JSON.stringify(value ?? null, null, 2);
+}
 
-  return basePrompt + (intentPrompts[intent.type] || intentPrompts.general_question) + contextPrompt;
+// User text and bitsCrunch data are fenced so the model treats them as data
+function untrusted(label, value) {
+  return fenceUntrusted(label, typeof value === 'string' ? value : toJSON(value));
 }
 
-/**
- * Prompt for synthesizing bitsCrunch API data
- */
-function getDataSynthesisPrompt(data, originalQuery, intent) {
+function contextBlock(context) {
+  if (!context || !context.hasHistory) return '';
+
   return `
-You are analyzing NFT/blockchain data from bitsCrunch API. Synthesize this data into intelligent, actionable insights.
-
-ORIGINAL QUERY: "${originalQuery}"
-INTENT TYPE: ${intent.type}
-CONFIDENCE: ${intent.confidence}
-
-DATA TO ANALYZE:
-${JSON.stringify(data, null, 2)}
-
-ANALYSIS REQUIREMENTS:
-1. Directly answer the user's specific question
-2. Highlight the most important insights from the data
-3. Identify patterns, trends, or anomalies
-4. Assess risk levels and opportunities
-5. Provide actionable recommendations
-6. Use clear, conversational language with appropriate emojis
-
-FORMAT YOUR RESPONSE:
-- Start with a direct answer
-- Provide supporting analysis
-- Include specific data points and metrics
-- End with actionable insights
-- Keep it engaging and informative
-
-Remember: You're helping users make informed decisions about NFTs and blockchain investments.`;
+CONVERSATION CONTEXT:
+- Previous interactions: ${context.totalInteractions}
+- Preferred topics: ${context.commonTopics?.join(', ') || 'none'}
+- Recent focus: ${context.preferredAnalysisTypes?.[0] || 'general'}
+- Risk tolerance: ${context.riskTolerance || 'unknown'}
+
+Use this context to provide more personalized and relevant responses. Build on previous conversations and maintain consistency.`;
 }
 
 /**
- * Prompt for predictive analysis
+ * Built-in templates. `variables` lists the placeholders a template may use;
+ * `prepare` turns render arguments into those variables.
  */
-function getPredictivePrompt(historicalData, currentTrends, timeframe) {
-  return `
-You are performing predictive analysis for NFT markets. Use the provided data to forecast potential outcomes.
+const BUILTIN_TEMPLATES = {
+  system: {
+    version: '1.0.0',
+    description: 'AI personality and capabilities, shared by every chat response',
+    variables: [],
+    template: `You are NFT Intelligence AI, an expert AI analyst specializing in NFT and blockchain analytics. You are part of the bitsCrunch x AI Builders Hack 2025 project.
 
-HISTORICAL DATA:
-${JSON.stringify(historicalData, null, 2)}
+PERSONALITY:
+- You are knowledgeable, friendly, and professional
+- You provide clear, actionable insights
+- You explain complex blockchain concepts in simple terms
+- You're enthusiastic about NFTs and blockchain technology
+- You have a consistent personality across all platforms
 
-CURRENT TRENDS:
-${JSON.stringify(currentTrends, null, 2)}
+EXPERTISE:
+- Deep understanding of NFT markets, collections, and trends
+- Expertise in wallet analysis and risk assessment
+- Knowledge of blockchain analytics and metrics
+- Understanding of market psychology and trading patterns
+- Familiarity with popular NFT collections and their dynamics
 
-TIMEFRAME: ${timeframe}
+CAPABILITIES:
+- Analyze wallet behavior and risk profiles
+- Evaluate NFT collection health and performance
+- Provide market insights and trend analysis
+- Detect potential fraud or suspicious activity
+- Offer predictive insights based on data patterns
+- Answer general blockchain and NFT questions
 
-PREDICTIVE ANALYSIS REQUIREMENTS:
-1. Identify key patterns and trends in the historical data
-2. Assess current market conditions and sentiment
-3. Consider multiple scenarios (bullish, bearish, neutral)
-4. Provide probability estimates for different outcomes
-5. Highlight key factors that could influence results
-6. Suggest risk management strategies
+COMMUNICATION STYLE:
+- Use clear, conversational language
+- Include relevant emojis when appropriate (📊 🚀 ⚠️ 💎)
+- Provide specific, data-driven insights
+- Suggest actionable next steps
+- Be encouraging but realistic about risks
 
-IMPORTANT NOTES:
-- Be realistic about prediction accuracy
-- Acknowledge uncertainty and market volatility
-- Focus on probability rather than certainty
-- Consider both technical and fundamental factors
-- Emphasize the importance of risk management
+RESPONSE FORMAT:
+- Start with a direct answer to the user's question
+- Provide supporting analysis and context
+- Include relevant metrics and data points
+- End with actionable insights or recommendations
+- Keep responses concise but comprehensive
+
+Remember: You're here to help users make informed decisions about NFTs and blockchain investments. Always prioritize accuracy and user education.`
+  },
+  analysis: {
+    version: '1.1.0',
+    description: 'Per-intent analysis focus for chat answers',
+    variables: ['focus', 'context'],
+    prepare: ({ intent, context }) => ({
+      focus: ANALYSIS_FOCUS[intent.type] || ANALYSIS_FOCUS.general_question,
+      context: contextBlock(context)
+    }),
+    template: 'Based on the user\'s intent and conversation context, provide a comprehensive analysis.{{focus}}{{context}}'
+  },
+  educational: {
+    version: '1.1.0',
+    description: 'Educational answers pitched at the user\'s level',
+    variables: ['topic', 'userLevel', 'levelGuidance'],
+    prepare: ({ topic, userLevel = 'beginner' }) => ({
+      topic: untrusted('topic', topic),
+      userLevel,
+      levelGuidance: LEVEL_GUIDANCE[userLevel] || LEVEL_GUIDANCE.beginner
+    }),
+    template: `You are providing educational content about NFTs and blockchain technology.
+
+TOPIC:
+{{topic}}
+USER LEVEL: {{userLevel}}
+
+EDUCATIONAL APPROACH:
+{{levelGuidance}}
+
+CONTENT REQUIREMENTS:
+1. Start with a clear definition or overview
+2. Provide relevant examples and use cases
+3. Explain key concepts and terminology
+4. Share best practices and tips
+5. Address common misconceptions
+6. Suggest next steps for learning
 
-Format your response with clear sections for analysis, predictions, and recommendations.`;
+EDUCATIONAL STYLE:
+- Use clear, accessible language
+- Include relevant analogies and examples
+- Encourage questions and further exploration
+- Provide practical, actionable advice
+- Build confidence and understanding
+
+Format your response to be educational, engaging, and empowering for the user's level.`
+  },
+  intent: {
+    version: '1.1.0',
+    description: 'Intent classification (JSON output)',
+    variables: ['query'],
+    prepare: ({ query }) => ({ query: untrusted('user query', query) }),
+    template: `Analyze this NFT/blockchain query and extract intent. Respond with ONLY valid JSON:
+
+User Query:
+{{query}}
+
+Required JSON format:
+{
+  "type": "wallet_analysis|collection_analysis|market_insights|risk_assessment|general_question",
+  "confidence": 0.8,
+  "entities": {
+    "wallet_address": "0x... (or Solana base58 address) or null",
+    "chain": "ethereum|polygon|base|arbitrum|solana or null",
+    "collection_name": "collection name or null",
+    "timeframe": "timeframe or null",
+    "numbers": ["any numbers found"]
+  },
+  "suggestedActions": ["array of actions"],
+  "requiresBitsCrunch": true/false,
+  "reasoning": "brief explanation"
 }
 
-/**
- * Prompt for risk assessment
- */
-function getRiskAssessmentPrompt(walletData, collectionData, marketContext) {
-  return `
-You are conducting a comprehensive risk assessment for NFT investments.
+Examples:
+- "Analyze wallet 0x123..." → wallet_analysis
+- "How is BAYC doing?" → collection_analysis
+- "Market trends?" → market_insights
+- "Is this risky?" → risk_assessment`
+  },
+  data_synthesis: {
+    version: '2.1.0',
+    description: 'Concise synthesis of bitsCrunch data',
+    variables: ['query', 'type', 'chain', 'data'],
+    prepare: ({ data, query, intent }) => ({
+      query: untrusted('query', query),
+      type: intent.type,
+      chain: intent.chain,
+      data: untrusted('bitscrunch data', data)
+    }),
+    template: `As an expert NFT analyst, provide a CONCISE analysis (max 150 words):
+
+Original Query:
+{{query}}
+Analysis Type: {{type}}
+Blockchain: {{chain}}
+Data:
+{{data}}`
+  },
+  risk_assessment: {
+    version: '1.1.0',
+    description: 'Risk assessment over wallet, collection and market data',
+    variables: ['walletData', 'collectionData', 'marketContext'],
+    prepare: ({ walletData, collectionData, marketContext }) => ({
+      walletData: untrusted('wallet data', walletData),
+      collectionData: untrusted('collection data', collectionData),
+      marketContext: untrusted('market data', marketContext)
+    }),
+    template: `You are conducting a comprehensive risk assessment for NFT investments.
 
 WALLET DATA:
-${JSON.stringify(walletData, null, 2)}
+{{walletData}}
 
 COLLECTION DATA:
-${JSON.stringify(collectionData, null, 2)}
+{{collectionData}}
 
 MARKET CONTEXT:
-${JSON.stringify(marketContext, null, 2)}
+{{marketContext}}
 
 RISK ASSESSMENT REQUIREMENTS:
 1. Evaluate technical risks (smart contracts, platform security)
@@ -246,51 +306,273 @@ For each risk identified, provide:
 - Mitigation strategies
 - Monitoring recommendations
 
-Format your response with clear risk categories and actionable advice.`;
+Format your response with clear risk categories and actionable advice.`
+  },
+  predictive: {
+    version: '1.1.0',
+    description: 'Forecasts from historical data and current trends',
+    variables: ['historicalData', 'currentTrends', 'timeframe'],
+    prepare: ({ historicalData, currentTrends, timeframe }) => ({
+      historicalData: untrusted('historical data', historicalData),
+      currentTrends: untrusted('current trends', currentTrends),
+      timeframe
+    }),
+    template: `You are performing predictive analysis for NFT markets. Use the provided data to forecast potential outcomes.
+
+HISTORICAL DATA:
+{{historicalData}}
+
+CURRENT TRENDS:
+{{currentTrends}}
+
+TIMEFRAME: {{timeframe}}
+
+PREDICTIVE ANALYSIS REQUIREMENTS:
+1. Identify key patterns and trends in the historical data
+2. Assess current market conditions and sentiment
+3. Consider multiple scenarios (bullish, bearish, neutral)
+4. Provide probability estimates for different outcomes
+5. Highlight key factors that could influence results
+6. Suggest risk management strategies
+
+IMPORTANT NOTES:
+- Be realistic about prediction accuracy
+- Acknowledge uncertainty and market volatility
+- Focus on probability rather than certainty
+- Consider both technical and fundamental factors
+- Emphasize the importance of risk management
+
+Format your response with clear sections for analysis, predictions, and recommendations.`
+  },
+  conversation_summary: {
+    version: '1.0.0',
+    description: 'Rolling summary of older conversation turns (JSON output)',
+    variables: ['summary', 'turns'],
+    prepare: ({ summary, interactions = [] }) => ({
+      summary: summary && summary.text ? untrusted('summary so far', summary.text) : 'None yet.',
+      turns: untrusted('conversation', interactions.map(({ timestamp, userQuery, aiResponse }) =>
+        `[${timestamp}]\nUser: ${userQuery}\nAssistant: ${String(aiResponse || '').slice(0, 600)}`).join('\n\n'))
+    }),
+    template: `Update the running summary of a conversation with an NFT analytics assistant.
+
+Summary so far:
+{{summary}}
+
+Turns to add:
+{{turns}}
+
+Respond with ONLY valid JSON in this format:
+{
+  "summary": "what the user asked about and what they learned, oldest first",
+  "collections": ["NFT collections the user discussed"],
+  "goals": ["goals or plans the user stated, in their words"]
 }
 
+Requirements:
+- Keep every wallet address, collection and figure the user cared about
+- Record conclusions (e.g. "wallet flagged as high risk"), not the full answers
+- Keep the summary under 150 words
+- Use [] when nothing applies`
+  },
+  synthesis_format: {
+    version: '1.1.0',
+    description: 'Structured JSON output instructions appended to every synthesis',
+    variables: ['query'],
+    prepare: ({ query }) => ({ query: untrusted('query', query) }),
+    template: `Original Query:
+{{query}}
+
+Respond with ONLY valid JSON in this format:
+{
+  "summary": "one or two sentences that directly answer the query",
+  "insights": ["key insight with specific numbers"],
+  "risks": ["risk or red flag"],
+  "recommendations": ["actionable next step"]
+}
+
+Requirements:
+- Be direct and actionable
+- At most 4 short items per list; use [] when nothing applies
+- Include specific numbers when available
+- Keep the whole response under 150 words
+- Focus on what matters most to the user`
+  }
+};
+
+const PLACEHOLDER = /{{(\w+)}}/g;
+
 /**
- * Prompt for educational responses
+ * Split optional front matter (`---` / `version: x` / `---`) from a template file
  */
-function getEducationalPrompt(topic, userLevel = 'beginner') {
-  const levelPrompts = {
-    beginner: 'Assume the user is new to NFTs and blockchain. Start with basic concepts and build up.',
-    intermediate: 'Assume the user has some experience with NFTs and blockchain. Include technical details.',
-    advanced: 'Assume the user is experienced. Focus on advanced concepts and nuanced analysis.'
-  };
+function parseTemplateFile(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, template: content.trim() };
 
-  return `
-You are providing educational content about NFTs and blockchain technology.
+  const meta = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const [key, ...rest] = line.split(':');
+    if (key && rest.length > 0) meta[key.trim()] = rest.join(':').trim();
+  });
 
-TOPIC: ${topic}
-USER LEVEL: ${userLevel}
+  return { meta, template: content.slice(match[0].length).trim() };
+}
 
-EDUCATIONAL APPROACH:
-${levelPrompts[userLevel] || levelPrompts.beginner}
+/**
+ * Named, versioned prompt templates with on-disk overrides
+ */
+class PromptRegistry {
+  constructor(templates = BUILTIN_TEMPLATES) {
+    this.templates = new Map();
+    Object.entries(templates).forEach(([name, definition]) => this.register(name, definition));
+  }
+
+  register(name, definition) {
+    this.templates.set(name, {
+      name,
+      source: 'builtin',
+      variables: [],
+      prepare: args => args,
+      ...definition
+    });
+  }
+
+  get(name) {
+    const template = this.templates.get(name);
+    if (!template) throw new Error(`Unknown prompt template: ${name}`);
+    return template;
+  }
+
+  /**
+   * Replace templates with <name>.txt / <name>.md files from a directory.
+   * Files for unknown templates, or using placeholders the template does not
+   * provide, are skipped with a warning. Returns the names overridden.
+   */
+  loadOverrides(directory) {
+    if (!directory || !fs.existsSync(directory)) {
+      if (directory) logger.warn(`Prompt directory ${directory} not found; using built-in prompts`);
+      return [];
+    }
+
+    const overridden = [];
+    fs.readdirSync(directory)
+      .filter(file => ['.txt', '.md'].includes(path.extname(file)))
+      .forEach(file => {
+        const name = path.basename(file, path.extname(file));
+        const builtin = this.templates.get(name);
+        if (!builtin) {
+          logger.warn(`Prompt override ${file} ignored: no template named "${name}"`);
+          return;
+        }
+
+        const { meta, template } = parseTemplateFile(fs.readFileSync(path.join(directory, file), 'utf8'));
+        const unknown = [...template.matchAll(PLACEHOLDER)].map(match => match[1])
+          .filter(variable => !builtin.variables.includes(variable));
+        if (unknown.length > 0) {
+          logger.warn(`Prompt override ${file} ignored: unknown placeholders ${[...new Set(unknown)].join(', ')}`);
+          return;
+        }
+
+        this.templates.set(name, {
+          ...builtin,
+          template,
+          version: meta.version || `${builtin.version}+file.${hashKey(template).substring(0, 8)}`,
+          source: path.join(directory, file)
+        });
+        overridden.push(name);
+      });
+
+    if (overridden.length > 0) {
+      logger.info(`Loaded prompt overrides from ${directory}: ${overridden.join(', ')}`);
+    }
+    return overridden;
+  }
+
+  /**
+   * Render a template. Resolves to { name, version, id, text } where id is "name@version".
+   */
+  render(name, args = {}) {
+    const { version, template, prepare } = this.get(name);
+    const variables = prepare(args);
+    const text = template.replace(PLACEHOLDER, (placeholder, key) => {
+      const value = variables[key];
+      return value === undefined || value === null ? '' : String(value);
+    });
+
+    return { name, version, id: `${name}@${version}`, text };
+  }
+
+  /**
+   * Template metadata for diagnostics
+   */
+  list() {
+    return [...this.templates.values()].map(({ name, version, source, description }) => ({
+      name, version, source, description
+    }));
+  }
+}
 
-CONTENT REQUIREMENTS:
-1. Start with a clear definition or overview
-2. Provide relevant examples and use cases
-3. Explain key concepts and terminology
-4. Share best practices and tips
-5. Address common misconceptions
-6. Suggest next steps for learning
+/**
+ * Registry with the built-in templates and any overrides in `directory`
+ */
+function createPromptRegistry(directory) {
+  const registry = new PromptRegistry();
+  registry.loadOverrides(directory);
+  return registry;
+}
 
-EDUCATIONAL STYLE:
-- Use clear, accessible language
-- Include relevant analogies and examples
-- Encourage questions and further exploration
-- Provide practical, actionable advice
-- Build confidence and understanding
+// Built-in registry behind the function exports below
+const builtinPrompts = new PromptRegistry();
 
-Format your response to be educational, engaging, and empowering for the user's level.`;
+/**
+ * Main system prompt that defines the AI's personality and capabilities
+ */
+function getSystemPrompt() {
+  return builtinPrompts.render('system').text;
+}
+
+/**
+ * Generate analysis prompt based on intent and context
+ */
+function getAnalysisPrompt(intent, context) {
+  return builtinPrompts.render('analysis', { intent, context }).text;
+}
+
+/**
+ * Prompt for synthesizing bitsCrunch API data
+ */
+function getDataSynthesisPrompt(data, originalQuery, intent) {
+  return builtinPrompts.render('data_synthesis', { data, query: originalQuery, intent }).text;
+}
+
+/**
+ * Prompt for predictive analysis
+ */
+function getPredictivePrompt(historicalData, currentTrends, timeframe) {
+  return builtinPrompts.render('predictive', { historicalData, currentTrends, timeframe }).text;
+}
+
+/**
+ * Prompt for risk assessment
+ */
+function getRiskAssessmentPrompt(walletData, collectionData, marketContext) {
+  return builtinPrompts.render('risk_assessment', { walletData, collectionData, marketContext }).text;
+}
+
+/**
+ * Prompt for educational responses
+ */
+function getEducationalPrompt(topic, userLevel = 'beginner') {
+  return builtinPrompts.render('educational', { topic, userLevel }).text;
 }
 
 module.exports = {
+  PromptRegistry,
+  createPromptRegistry,
+  BUILTIN_TEMPLATES,
   getSystemPrompt,
   getAnalysisPrompt,
   getDataSynthesisPrompt,
   getPredictivePrompt,
   getRiskAssessmentPrompt,
   getEducationalPrompt
-}; 
\ No newline at end of file
+};
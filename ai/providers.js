@@ -0,0 +1,390 @@
+/**
+ * LLM provider adapters
+ * Every provider exposes complete(), completeJSON() and stream() and reports
+ * which provider and model answered. ProviderChain tries providers in order and
+ * falls through to the next one on any error (outage, quota, bad key).
+ */
+
+const logger = require('../utils/logger');
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-1.5-flash',
+  openai: 'gpt-3.5-turbo',
+  cohere: 'command-r',
+  local: 'llama3'
+};
+
+// Fallback order when AI_PROVIDERS does not set one; the primary provider goes first
+const DEFAULT_ORDER = ['gemini', 'openai', 'cohere', 'local'];
+
+/**
+ * Thrown by ProviderChain when every provider failed; `failures` lists each error
+ */
+class AllProvidersFailedError extends Error {
+  constructor(failures) {
+    super(`All LLM providers failed: ${failures.map(({ provider, error }) => `${provider} (${error})`).join('; ') || 'none configured'}`);
+    this.name = 'AllProvidersFailedError';
+    this.code = 'ALL_PROVIDERS_FAILED';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Parse JSON from model output, tolerating code fences and surrounding prose
+ */
+function parseJSONText(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?/g, '').trim();
+  const start = cleaned.search(/[{[]/);
+  const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+  if (start === -1 || end < start) {
+    throw new SyntaxError('Model response contains no JSON');
+  }
+
+  return JSON.parse(cleaned.substring(start, end + 1));
+}
+
+function isConfigured(value) {
+  return Boolean(value) && !String(value).startsWith('your_');
+}
+
+/**
+ * Base provider. Completions resolve to { text, provider, model, usage } where
+ * usage is { inputTokens, outputTokens, totalTokens } or null when unreported.
+ */
+class LLMProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  async complete(prompt, options = {}) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Completion parsed as JSON: resolves to the completion plus `data`.
+   * Throws SyntaxError when the reply is not JSON.
+   */
+  async completeJSON(prompt, options = {}) {
+    const completion = await this.complete(prompt, { ...options, json: true });
+    return { ...completion, data: parseJSONText(completion.text) };
+  }
+
+  /**
+   * Yields { delta } text chunks, then { done: true, ...completion }.
+   * Providers without native streaming yield the whole completion at once.
+   */
+  async *stream(prompt, options = {}) {
+    const completion = await this.complete(prompt, options);
+    yield { delta: completion.text };
+    yield { done: true, ...completion };
+  }
+
+  result(text, usage = null) {
+    return { text, provider: this.name, model: this.model, usage };
+  }
+}
+
+function toUsage(inputTokens, outputTokens) {
+  if (inputTokens === undefined && outputTokens === undefined) return null;
+  return {
+    inputTokens: inputTokens || 0,
+    outputTokens: outputTokens || 0,
+    totalTokens: (inputTokens || 0) + (outputTokens || 0)
+  };
+}
+
+/**
+ * Google Gemini
+ */
+class GeminiProvider extends LLMProvider {
+  constructor({ apiKey, model }) {
+    super('gemini', model || DEFAULT_MODELS.gemini);
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: this.model });
+  }
+
+  buildRequest(prompt, options) {
+    // Gemini takes no separate system message here; the instructions lead the prompt
+    const text = options.system ? `${options.system}\n\n${prompt}` : prompt;
+    return {
+      contents: [{ role: 'user', parts: [{ text }] }],
+      generationConfig: { temperature: options.temperature, maxOutputTokens: options.maxTokens }
+    };
+  }
+
+  usage(response) {
+    const metadata = response.usageMetadata;
+    return metadata ? toUsage(metadata.promptTokenCount, metadata.candidatesTokenCount) : null;
+  }
+
+  async complete(prompt, options = {}) {
+    const result = await this.client.generateContent(this.buildRequest(prompt, options));
+    return this.result(result.response.text(), this.usage(result.response));
+  }
+
+  async *stream(prompt, options = {}) {
+    const result = await this.client.generateContentStream(this.buildRequest(prompt, options));
+    let text = '';
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (delta) {
+        text += delta;
+        yield { delta };
+      }
+    }
+
+    const response = await result.response;
+    yield { done: true, ...this.result(text, this.usage(response)) };
+  }
+}
+
+/**
+ * OpenAI chat completions
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor({ apiKey, model, baseURL, name = 'openai', jsonMode = true, streamUsage = true }) {
+    super(name, model || DEFAULT_MODELS.openai);
+    const OpenAI = require('openai');
+    this.client = new OpenAI({ apiKey, baseURL });
+    this.jsonMode = jsonMode;
+    this.streamUsage = streamUsage;
+  }
+
+  buildRequest(prompt, options) {
+    const messages = options.system ? [{ role: 'system', content: options.system }] : [];
+    messages.push({ role: 'user', content: prompt });
+
+    return {
+      model: this.model,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || 1000,
+      ...(options.json && this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  async complete(prompt, options = {}) {
+    const completion = await this.client.chat.completions.create(this.buildRequest(prompt, options));
+    const usage = completion.usage ? toUsage(completion.usage.prompt_tokens, completion.usage.completion_tokens) : null;
+    return this.result(completion.choices[0].message.content, usage);
+  }
+
+  async *stream(prompt, options = {}) {
+    const stream = await this.client.chat.completions.create({
+      ...this.buildRequest(prompt, options),
+      stream: true,
+      ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+    });
+
+    let text = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        yield { delta };
+      }
+      if (chunk.usage) usage = toUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+    }
+
+    yield { done: true, ...this.result(text, usage) };
+  }
+}
+
+/**
+ * Any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM...). JSON mode and
+ * stream usage are not assumed to be supported.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({ baseURL, apiKey, model }) {
+    super({
+      apiKey: apiKey || 'not-needed',
+      model: model || DEFAULT_MODELS.local,
+      baseURL,
+      name: 'local',
+      jsonMode: false,
+      streamUsage: false
+    });
+  }
+}
+
+/**
+ * Cohere chat
+ */
+class CohereProvider extends LLMProvider {
+  constructor({ apiKey, model }) {
+    super('cohere', model || DEFAULT_MODELS.cohere);
+    const { CohereClient } = require('cohere-ai');
+    this.client = new CohereClient({ token: apiKey });
+  }
+
+  buildRequest(prompt, options) {
+    return {
+      model: this.model,
+      message: prompt,
+      preamble: options.system,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+      ...(options.json ? { responseFormat: { type: 'json_object' } } : {})
+    };
+  }
+
+  usage(meta) {
+    const units = meta?.billedUnits || meta?.tokens;
+    return units ? toUsage(units.inputTokens, units.outputTokens) : null;
+  }
+
+  async complete(prompt, options = {}) {
+    const response = await this.client.chat(this.buildRequest(prompt, options));
+    return this.result(response.text, this.usage(response.meta));
+  }
+
+  async *stream(prompt, options = {}) {
+    const events = await this.client.chatStream(this.buildRequest(prompt, options));
+    let text = '';
+    let usage = null;
+    for await (const event of events) {
+      if (event.eventType === 'text-generation' && event.text) {
+        text += event.text;
+        yield { delta: event.text };
+      } else if (event.eventType === 'stream-end') {
+        usage = this.usage(event.response?.meta);
+      }
+    }
+
+    yield { done: true, ...this.result(text, usage) };
+  }
+}
+
+/**
+ * Ordered fallback over providers. Completions carry `fallbacks`, the
+ * providers that failed before one answered. A stream only falls through
+ * before its first chunk; text already sent cannot be taken back.
+ * `onCompletion`, when set, is called after every successful call with the
+ * completion, `prompt`, `system` and the caller's `options.meter` tags.
+ */
+class ProviderChain extends LLMProvider {
+  constructor(providers) {
+    super('chain', null);
+    this.providers = providers;
+    this.onCompletion = null;
+  }
+
+  get names() {
+    return this.providers.map(provider => provider.name);
+  }
+
+  report(completion, prompt, options) {
+    if (!this.onCompletion) return;
+    try {
+      this.onCompletion({ ...completion, prompt, system: options.system, meter: options.meter || {} });
+    } catch (error) {
+      logger.warn(`LLM completion hook failed: ${error.message}`);
+    }
+  }
+
+  async run(method, prompt, options) {
+    const failures = [];
+
+    for (const provider of this.providers) {
+      try {
+        const completion = { ...await provider[method](prompt, options), fallbacks: failures };
+        this.report(completion, prompt, options);
+        return completion;
+      } catch (error) {
+        logger.warn(`LLM provider ${provider.name} failed (${method}): ${error.message}`);
+        failures.push({ provider: provider.name, error: error.message });
+      }
+    }
+
+    throw new AllProvidersFailedError(failures);
+  }
+
+  complete(prompt, options = {}) {
+    return this.run('complete', prompt, options);
+  }
+
+  completeJSON(prompt, options = {}) {
+    return this.run('completeJSON', prompt, options);
+  }
+
+  async *stream(prompt, options = {}) {
+    const failures = [];
+
+    for (const provider of this.providers) {
+      let started = false;
+      try {
+        for await (const chunk of provider.stream(prompt, options)) {
+          started = true;
+          if (chunk.done) {
+            const completion = { ...chunk, fallbacks: failures };
+            this.report(completion, prompt, options);
+            yield completion;
+          } else {
+            yield chunk;
+          }
+        }
+        return;
+      } catch (error) {
+        if (started) throw error;
+        logger.warn(`LLM provider ${provider.name} failed (stream): ${error.message}`);
+        failures.push({ provider: provider.name, error: error.message });
+      }
+    }
+
+    throw new AllProvidersFailedError(failures);
+  }
+}
+
+const PROVIDER_FACTORIES = {
+  gemini: (config, model) => isConfigured(config.googleApiKey) &&
+    new GeminiProvider({ apiKey: config.googleApiKey, model }),
+  openai: (config, model) => isConfigured(config.apiKey) &&
+    new OpenAIProvider({ apiKey: config.apiKey, model }),
+  cohere: (config, model) => isConfigured(config.cohereApiKey) &&
+    new CohereProvider({ apiKey: config.cohereApiKey, model }),
+  local: (config, model) => isConfigured(config.local?.baseURL) &&
+    new OpenAICompatibleProvider({ baseURL: config.local.baseURL, apiKey: config.local.apiKey, model })
+};
+
+/**
+ * Build the provider chain from orchestrator config. `config.providers` sets
+ * the order; otherwise `config.provider` leads and every other configured
+ * provider follows. Providers without credentials are skipped.
+ * `config.model` applies to the primary provider, `config.models[name]` to any.
+ */
+function createProviderChain(config = {}) {
+  const primary = config.provider || DEFAULT_ORDER[0];
+  const order = config.providers && config.providers.length > 0
+    ? config.providers
+    : [primary, ...DEFAULT_ORDER];
+
+  const providers = [];
+  [...new Set(order)].forEach(name => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      logger.warn(`Unknown LLM provider "${name}" ignored`);
+      return;
+    }
+
+    const model = config.models?.[name] || (name === primary ? config.model : undefined);
+    const provider = factory(config, model);
+    if (provider) providers.push(provider);
+  });
+
+  return new ProviderChain(providers);
+}
+
+module.exports = {
+  LLMProvider,
+  GeminiProvider,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  CohereProvider,
+  ProviderChain,
+  AllProvidersFailedError,
+  createProviderChain,
+  parseJSONText,
+  DEFAULT_MODELS
+};
@@ -0,0 +1,170 @@
+/**
+ * Chat response cache
+ * A user repeating a question against the same bitsCrunch data gets the same
+ * answer without an LLM call. Responses are keyed on the asker's identity,
+ * the conversation history quoted in the prompt, the normalized query, the
+ * intent (type, entities, chain), the user level and a hash of the data the
+ * tools fetched; they live only as long as that data is fresh. Answers are
+ * never shared between users or reused once the conversation has moved on,
+ * since chat prompts carry each user's own history.
+ * LLM-detected intents are cached on the normalized query alone.
+ *
+ * Backed by any utils/cache store (memory or file).
+ */
+
+const logger = require('../utils/logger');
+const { hashKey } = require('../utils/helpers');
+
+// Lifetime of answers when the tool results carry no cache freshness, by intent type
+const FALLBACK_TTLS = {
+  market_insights: 60 * 1000,
+  risk_assessment: 2 * 60 * 1000,
+  collection_analysis: 10 * 60 * 1000,
+  wallet_analysis: 15 * 60 * 1000,
+  general_question: 60 * 60 * 1000,
+  default: 5 * 60 * 1000
+};
+
+// Intents do not depend on data, only on the wording of the question
+const INTENT_TTL = 60 * 60 * 1000;
+
+/**
+ * Canonical form of a question: lowercase words without punctuation, in their
+ * original order. Every word is kept, since "my wallet" and "your wallet" or
+ * "sell then buy" and "buy then sell" ask different things.
+ */
+function normalizeQuery(query) {
+  return String(query || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Hash of what the tools fetched, or null when a call failed (an answer
+ * about missing data is not worth reusing)
+ */
+function snapshotOf(toolsInvoked) {
+  if (toolsInvoked.length === 0) return 'none';
+  if (toolsInvoked.some(call => !call.success)) return null;
+
+  return hashKey(toolsInvoked.map(({ tool, args, chain, model }) => ({ tool, args, chain, model })));
+}
+
+class ResponseCache {
+  /**
+   * @param {object} store - utils/cache store ({ get, set, delete, clear, getStats })
+   * @param {object} options
+   * @param {object} options.ttls - Fallback TTL overrides in ms, by intent type
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.ttls = { ...FALLBACK_TTLS, ...options.ttls };
+    this.stats = { hits: 0, misses: 0, stores: 0 };
+  }
+
+  /**
+   * Cache key of an answer, or null when the answer must not be cached.
+   * `owner` is the asker's resolved identity (see IdentityLinker.resolve) and
+   * `conversation` the history quoted in the prompt, so an answer is reused
+   * only while that history is unchanged.
+   */
+  keyFor({ owner, conversation = null, query, intent, userLevel, toolsInvoked = [] }) {
+    const snapshot = snapshotOf(toolsInvoked);
+    if (snapshot === null || !owner) return null;
+
+    return `response:${hashKey({
+      owner,
+      conversation: conversation ? hashKey(conversation) : null,
+      query: normalizeQuery(query),
+      type: intent.type,
+      entities: intent.entities || {},
+      chain: intent.chain,
+      userLevel,
+      snapshot
+    })}`;
+  }
+
+  /**
+   * How long an answer stays valid: until the stalest tool result it was
+   * built from expires, or the intent's fallback TTL when none reports freshness
+   */
+  ttlFor(intent, toolsInvoked = []) {
+    const remaining = toolsInvoked
+      .map(call => call.result?.cache)
+      .filter(cache => cache && cache.ttl > 0)
+      .map(cache => cache.ttl - (cache.age || 0));
+
+    if (remaining.length > 0) return Math.min(...remaining);
+    return this.ttls[intent.type] ?? this.ttls.default;
+  }
+
+  /**
+   * Cached answer ({ response, provider, model, prompts, storedAt }) or null
+   */
+  async get(key) {
+    try {
+      const entry = await this.store.get(key);
+      if (!entry) {
+        this.stats.misses++;
+        return null;
+      }
+
+      this.stats.hits++;
+      return { ...entry.value, storedAt: new Date(entry.storedAt).toISOString() };
+    } catch (error) {
+      logger.warn('Response cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store an answer for `ttlMs`; expired or unknown lifetimes are not stored
+   */
+  async set(key, value, ttlMs) {
+    if (!key || !(ttlMs > 0)) return;
+
+    try {
+      await this.store.set(key, value, ttlMs);
+      this.stats.stores++;
+    } catch (error) {
+      logger.warn('Response cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Cached LLM intent for a question, or null
+   */
+  async getIntent(query, chain) {
+    try {
+      const entry = await this.store.get(`intent:${hashKey({ query: normalizeQuery(query), chain: chain || null })}`);
+      return entry ? { ...entry.value, entities: { ...entry.value.entities } } : null;
+    } catch (error) {
+      logger.warn('Response cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async setIntent(query, chain, intent) {
+    try {
+      await this.store.set(`intent:${hashKey({ query: normalizeQuery(query), chain: chain || null })}`, intent, INTENT_TTL);
+    } catch (error) {
+      logger.warn('Response cache write failed:', error.message);
+    }
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  getStats() {
+    return { ...this.stats, store: this.store.getStats() };
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  normalizeQuery,
+  FALLBACK_TTLS
+};
@@ -0,0 +1,220 @@
+/**
+ * Schemas for structured LLM output
+ * A small JSON Schema subset (type, enum, required, properties, items,
+ * minimum/maximum, minLength) checked on every structured completion, with a
+ * re-ask loop that shows the model its validation errors.
+ */
+
+const logger = require('../utils/logger');
+const { parseJSONText } = require('./providers');
+const { INTENT_TYPES } = require('./classifier');
+
+// Re-asks after the first invalid reply before giving up
+const MAX_REPAIR_ATTEMPTS = 2;
+
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const INTENT_SCHEMA = {
+  title: 'intent',
+  type: 'object',
+  required: ['type', 'confidence', 'entities'],
+  properties: {
+    type: { type: 'string', enum: INTENT_TYPES },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    entities: {
+      type: 'object',
+      properties: {
+        wallet_address: nullableString,
+        chain: nullableString,
+        collection_name: nullableString,
+        timeframe: nullableString,
+        numbers: { type: 'array' }
+      }
+    },
+    suggestedActions: stringList,
+    requiresBitsCrunch: { type: 'boolean' },
+    reasoning: { type: 'string' }
+  }
+};
+
+const SYNTHESIS_SCHEMA = {
+  title: 'synthesis',
+  type: 'object',
+  required: ['summary', 'insights', 'risks', 'recommendations'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    insights: stringList,
+    risks: stringList,
+    recommendations: stringList
+  }
+};
+
+const SUMMARY_SCHEMA = {
+  title: 'conversation summary',
+  type: 'object',
+  required: ['summary', 'collections', 'goals'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    collections: stringList,
+    goals: stringList
+  }
+};
+
+// Section headings shared by the API text rendering and the bots
+const SYNTHESIS_SECTIONS = {
+  insights: '📊 Key Insights',
+  risks: '⚠️ Risks',
+  recommendations: '💡 Recommendations'
+};
+
+/**
+ * Thrown when the model still returns invalid output after every repair attempt
+ */
+class StructuredOutputError extends Error {
+  constructor(schemaTitle, errors, rawText) {
+    super(`Invalid ${schemaTitle} output: ${errors.slice(0, 3).join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.code = 'STRUCTURED_OUTPUT_INVALID';
+    this.schema = schemaTitle;
+    this.errors = errors;
+    this.rawText = rawText;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema. Returns a list of error messages, empty when valid.
+ */
+function validate(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return {
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    totalTokens: total.totalTokens + usage.totalTokens
+  };
+}
+
+function buildRepairPrompt(prompt, reply, errors) {
+  return `${prompt}
+
+Your previous reply was not valid:
+${String(reply || '').substring(0, 2000)}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with ONLY the corrected JSON.`;
+}
+
+/**
+ * Completion parsed as JSON and validated against `schema`. Invalid replies are
+ * sent back with their errors up to MAX_REPAIR_ATTEMPTS times. Resolves to the
+ * completion plus `data` and `repairs`, with usage summed over every attempt;
+ * throws StructuredOutputError when no attempt validates.
+ */
+async function completeStructured(llm, prompt, schema, options = {}) {
+  const maxRepairs = options.maxRepairs ?? MAX_REPAIR_ATTEMPTS;
+  let request = prompt;
+  let usage = null;
+  let errors = [];
+  let reply = '';
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const completion = await llm.complete(request, { ...options, json: true });
+    usage = addUsage(usage, completion.usage);
+    reply = completion.text;
+
+    let data;
+    try {
+      data = parseJSONText(reply);
+      errors = validate(data, schema);
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length === 0) {
+      return { ...completion, usage, data, repairs: attempt };
+    }
+
+    logger.warn(`Invalid ${schema.title} output from ${completion.provider} (attempt ${attempt + 1}): ${errors.join('; ')}`);
+    request = buildRepairPrompt(prompt, reply, errors);
+  }
+
+  throw new StructuredOutputError(schema.title, errors, reply);
+}
+
+/**
+ * Plain-text rendering of synthesis sections: the summary, then each non-empty list
+ */
+function renderSections(sections) {
+  const blocks = [sections.summary.trim()];
+  Object.entries(SYNTHESIS_SECTIONS).forEach(([key, heading]) => {
+    const items = sections[key] || [];
+    if (items.length > 0) {
+      blocks.push(`${heading}\n${items.map(item => `• ${item}`).join('\n')}`);
+    }
+  });
+
+  return blocks.join('\n\n');
+}
+
+module.exports = {
+  INTENT_SCHEMA,
+  SYNTHESIS_SCHEMA,
+  SUMMARY_SCHEMA,
+  SYNTHESIS_SECTIONS,
+  StructuredOutputError,
+  validate,
+  completeStructured,
+  renderSections
+};
@@ -0,0 +1,241 @@
+/**
+ * bitsCrunch tools for the chat agent loop
+ * Maps intents and entities to BitsCrunchAPI calls, runs them and condenses
+ * the results into normalized models the model can read.
+ */
+
+const logger = require('../utils/logger');
+const { resolveChain } = require('../utils/chains');
+const { isValidAddress, extractWalletAddresses } = require('../utils/helpers');
+const { toWallet, toMarketSnapshot, toNFTHoldings, toCollectionSummaries, toFraudAlerts } = require('../api/models');
+
+const TIMEFRAMES = ['1h', '24h', '7d', '30d', '90d', 'all'];
+
+// Holdings passed to the model per wallet_nfts call
+const MAX_HOLDINGS_IN_PROMPT = 10;
+
+function pick(source, keys) {
+  return keys.reduce((picked, key) => {
+    if (source[key] !== null && source[key] !== undefined) picked[key] = source[key];
+    return picked;
+  }, {});
+}
+
+function toTimeframe(value) {
+  return TIMEFRAMES.includes(value) ? value : undefined;
+}
+
+/**
+ * Tool definitions. `run` calls BitsCrunchAPI and resolves to its envelope;
+ * `toModel` condenses a successful envelope for the prompt.
+ */
+const TOOL_DEFINITIONS = {
+  wallet_profile: {
+    description: 'Wallet profile: whale status, first/last activity, wallet age, NFT count',
+    params: { address: 'wallet address (required)' },
+    needsAddress: true,
+    run: (api, args, options) => api.analyzeWallet(args.address, options),
+    toModel: result => pick(toWallet({ profile: result }), [
+      'address', 'isWhale', 'isContract', 'firstTransaction', 'lastTransaction', 'walletAge', 'nftCount', 'collectionCount'
+    ])
+  },
+  wallet_metrics: {
+    description: 'Wallet trading metrics: bought, sold, minted and current value, realized profit, wash-trade volume',
+    params: { address: 'wallet address (required)', timeframe: `one of ${TIMEFRAMES.join(', ')}` },
+    needsAddress: true,
+    run: (api, args, options) => api.getWalletMetrics(args.address, { ...options, time_range: toTimeframe(args.timeframe) }),
+    toModel: result => pick(toWallet({ metrics: result }), [
+      'currency', 'timeRange', 'boughtValue', 'soldValue', 'mintedValue', 'currentValue', 'realizedProfit', 'washTradeVolume'
+    ])
+  },
+  wallet_reputation: {
+    description: 'Wallet reputation and risk: score, level, wash-trade flag, risk factors',
+    params: { address: 'wallet address (required)' },
+    needsAddress: true,
+    run: (api, args, options) => api.getWalletRiskScore(args.address, options),
+    toModel: result => pick(toWallet({ reputation: result }), [
+      'reputationScore', 'reputation', 'riskScore', 'washTradeFlag', 'riskFactors'
+    ])
+  },
+  wallet_nfts: {
+    description: 'NFTs held by a wallet with estimated prices (first page)',
+    params: { address: 'wallet address (required)' },
+    needsAddress: true,
+    run: (api, args, options) => api.getWalletNFTs(args.address, { ...options, limit: 20 }),
+    toModel: result => ({
+      total: result.data?.pagination?.total_items ?? null,
+      holdings: toNFTHoldings(result).slice(0, MAX_HOLDINGS_IN_PROMPT)
+        .map(holding => pick(holding, ['collectionName', 'name', 'estimatedPrice', 'currency', 'acquiredAt']))
+    })
+  },
+  market_metrics: {
+    description: 'Market-wide NFT volume, sales, traders and floor price with period-over-period changes',
+    params: { timeframe: `one of ${TIMEFRAMES.join(', ')}` },
+    run: (api, args, options) => api.getMarketInsights({ ...options, timeframe: toTimeframe(args.timeframe) }),
+    toModel: (result, chain) => toMarketSnapshot(result, { chain })
+  },
+  search_collections: {
+    description: 'Find collections by name or symbol: address, floor price, 24h volume, holders',
+    params: { query: 'collection name or symbol (required)' },
+    run: (api, args, options) => api.searchCollections(args.query, { ...options, limit: 5 }),
+    toModel: (result, chain) => toCollectionSummaries(result, { chain })
+  },
+  fraud_alerts: {
+    description: 'Recent fraud alerts: wash trading, price manipulation, suspicious wallets',
+    params: { timeframe: `one of ${TIMEFRAMES.join(', ')}` },
+    run: (api, args, options) => api.getFraudAlerts({ ...options, timeframe: toTimeframe(args.timeframe) }),
+    toModel: (result, chain) => toFraudAlerts(result, { chain })
+  }
+};
+
+/**
+ * Runs bitsCrunch tools on behalf of the orchestrator's agent loop
+ */
+class BitsCrunchToolkit {
+  constructor(bitsCrunchAPI) {
+    this.api = bitsCrunchAPI;
+    this.tools = TOOL_DEFINITIONS;
+  }
+
+  /**
+   * Tool list for the agent prompt
+   */
+  describe() {
+    return Object.entries(this.tools).map(([name, tool]) => {
+      const params = Object.entries(tool.params).map(([param, text]) => `${param}: ${text}`).join('; ');
+      return `- ${name}(${params}) - ${tool.description}`;
+    }).join('\n');
+  }
+
+  /**
+   * First round of tool calls for an intent, before the model asks for more
+   */
+  planFromIntent(intent, query) {
+    const entities = intent.entities || {};
+    const chain = resolveChain(intent.chain);
+    const timeframe = toTimeframe(entities.timeframe);
+    const address = [entities.wallet_address, ...extractWalletAddresses(query, chain)]
+      .find(candidate => candidate && isValidAddress(candidate, chain));
+    const collection = entities.collection_name && entities.collection_name !== 'null' ? entities.collection_name : null;
+
+    switch (intent.type) {
+      case 'wallet_analysis':
+        return address
+          ? ['wallet_profile', 'wallet_metrics', 'wallet_reputation', 'wallet_nfts'].map(tool => ({ tool, args: { address, timeframe } }))
+          : [];
+      case 'risk_assessment':
+        return address
+          ? [
+            { tool: 'wallet_reputation', args: { address } },
+            { tool: 'wallet_profile', args: { address } },
+            { tool: 'fraud_alerts', args: {} }
+          ]
+          : [{ tool: 'fraud_alerts', args: {} }];
+      case 'collection_analysis':
+        return collection ? [{ tool: 'search_collections', args: { query: collection } }] : [];
+      case 'market_insights':
+        return [{ tool: 'market_metrics', args: { timeframe } }];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Run one tool call. Never throws: failures come back with success false.
+   * Resolves to { tool, args, chain, success, durationMs, result, model, error }
+   * where result is the raw BitsCrunchAPI envelope and model its condensed form.
+   */
+  async execute(call, defaultChain) {
+    const { tool: name, args = {} } = call;
+    const tool = this.tools[name];
+    const chain = resolveChain(args.chain || defaultChain);
+    const started = Date.now();
+    const invocation = { tool: name, args, chain: chain ? chain.name : null };
+
+    const fail = message => ({
+      ...invocation,
+      success: false,
+      durationMs: Date.now() - started,
+      result: null,
+      model: null,
+      error: message
+    });
+
+    if (!tool) return fail(`Unknown tool: ${name}`);
+    if (!chain) return fail(`Unsupported chain: ${args.chain}`);
+    if (tool.needsAddress && !isValidAddress(args.address, chain)) {
+      return fail(`A valid ${chain.label} wallet address is required`);
+    }
+    if (name === 'search_collections' && !args.query) return fail('A search query is required');
+
+    try {
+      logger.info(`Agent tool call: ${name} on ${chain.name}`);
+      const result = await tool.run(this.api, args, { chain: chain.name });
+
+      if (!result.success) {
+        return { ...fail(result.error?.message || 'bitsCrunch request failed'), result };
+      }
+
+      return {
+        ...invocation,
+        success: true,
+        durationMs: Date.now() - started,
+        result,
+        model: tool.toModel(result, chain.name),
+        error: null
+      };
+
+    } catch (error) {
+      logger.error(`Agent tool ${name} failed:`, error.message);
+      return fail(error.message);
+    }
+  }
+
+  /**
+   * Drop calls that repeat an earlier invocation (same tool and arguments)
+   */
+  filterNewCalls(calls, invoked) {
+    const seen = new Set(invoked.map(call => `${call.tool} ${JSON.stringify(call.args)}`));
+    return calls.filter(call => {
+      const key = `${call.tool} ${JSON.stringify(call.args || {})}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+/**
+ * Read the model's agent reply: { toolCalls } when it asks for tools,
+ * otherwise { answer }. Plain prose counts as the answer.
+ */
+function parseAgentReply(text) {
+  const reply = String(text || '').trim();
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+
+  if (start !== -1 && end > start) {
+    try {
+      const parsed = JSON.parse(reply.substring(start, end + 1));
+      const calls = parsed.tool_calls || parsed.toolCalls;
+      if (Array.isArray(calls) && calls.length > 0) {
+        return {
+          toolCalls: calls
+            .filter(call => call && typeof call.tool === 'string')
+            .map(call => ({ tool: call.tool, args: call.args && typeof call.args === 'object' ? call.args : {} }))
+        };
+      }
+      if (typeof parsed.answer === 'string') return { answer: parsed.answer };
+    } catch (error) {
+      // Not JSON: the reply is the answer itself
+    }
+  }
+
+  return { answer: reply };
+}
+
+module.exports = {
+  BitsCrunchToolkit,
+  parseAgentReply,
+  TOOL_DEFINITIONS
+};
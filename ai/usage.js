@@ -0,0 +1,210 @@
+/**
+ * LLM usage and cost accounting
+ * Every provider call is recorded with its token counts and priced from a
+ * per-model table (USD per million tokens). Totals are kept per day, user,
+ * platform, intent type and model, and an optional daily budget caps what a
+ * single user may spend.
+ */
+
+const logger = require('../utils/logger');
+const { estimateTokens } = require('./budget');
+
+// USD per million tokens; LLM_PRICES overrides or extends these
+const DEFAULT_PRICES = {
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  command: { input: 1, output: 2 },
+  'command-r': { input: 0.15, output: 0.6 },
+  'command-r-plus': { input: 2.5, output: 10 }
+};
+
+// Providers billed at zero when their model has no price
+const FREE_PROVIDERS = ['local'];
+
+// Days of totals kept in memory
+const RETENTION_DAYS = 30;
+
+const QUOTA_MESSAGE = '⏳ You\'ve reached today\'s AI usage limit. It resets at 00:00 UTC; until then I can\'t run new AI analysis for you. Thanks for your patience!';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayOf(date = new Date()) {
+  return new Date(date).toISOString().substring(0, 10);
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Token counts for a call whose provider reported none, estimated from the text
+ */
+function estimateUsage({ prompt, system, text, provider }) {
+  const inputTokens = estimateTokens(`${system || ''}${prompt || ''}`, provider);
+  const outputTokens = estimateTokens(text, provider);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+}
+
+function emptyTotals() {
+  return { calls: 0, estimatedCalls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+function addTotals(totals, row) {
+  totals.calls += row.calls;
+  totals.estimatedCalls += row.estimatedCalls;
+  totals.inputTokens += row.inputTokens;
+  totals.outputTokens += row.outputTokens;
+  totals.cost += row.cost;
+  return totals;
+}
+
+function finishTotals(totals) {
+  return { ...totals, cost: roundCost(totals.cost) };
+}
+
+class UsageMeter {
+  /**
+   * @param {object} options
+   * @param {object} options.prices - { model: { input, output } } in USD per million tokens
+   * @param {number|null} options.dailyBudget - USD a user may spend per UTC day; null for no limit
+   */
+  constructor({ prices = {}, dailyBudget = null } = {}) {
+    this.prices = { ...DEFAULT_PRICES, ...prices };
+    this.dailyBudget = dailyBudget > 0 ? dailyBudget : null;
+    this.rows = new Map(); // day|platform|user|intent|provider|model -> totals
+    this.spend = new Map(); // day|platform|user -> USD
+    this.unpriced = new Set();
+  }
+
+  /**
+   * USD cost of `usage` on a model; 0 (logged once) when the model has no price
+   */
+  costOf(provider, model, usage) {
+    const price = this.prices[model];
+    if (!price) {
+      if (!FREE_PROVIDERS.includes(provider) && !this.unpriced.has(model)) {
+        this.unpriced.add(model);
+        logger.warn(`No price for LLM model ${model}: its usage is counted at $0 (set LLM_PRICES)`);
+      }
+      return 0;
+    }
+
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Record one provider call. Returns the priced entry.
+   */
+  record({ userId, platform, intentType, provider, model, usage, estimated = false, at = new Date() }) {
+    const day = dayOf(at);
+    const entry = {
+      day,
+      userId: userId ? String(userId) : 'anonymous',
+      platform: platform || 'unknown',
+      intentType: intentType || 'unknown',
+      provider,
+      model,
+      calls: 1,
+      estimatedCalls: estimated ? 1 : 0,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      cost: this.costOf(provider, model, usage)
+    };
+
+    const key = [day, entry.platform, entry.userId, entry.intentType, provider, model].join('|');
+    const row = this.rows.get(key) || { ...entry, ...emptyTotals() };
+    this.rows.set(key, addTotals(row, entry));
+
+    const spendKey = [day, entry.platform, entry.userId].join('|');
+    this.spend.set(spendKey, (this.spend.get(spendKey) || 0) + entry.cost);
+
+    this.prune(at);
+    return entry;
+  }
+
+  /**
+   * Drop totals older than RETENTION_DAYS
+   */
+  prune(now = new Date()) {
+    const oldest = dayOf(new Date(now).getTime() - RETENTION_DAYS * DAY_MS);
+    for (const map of [this.rows, this.spend]) {
+      for (const key of map.keys()) {
+        if (key.substring(0, 10) < oldest) map.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Today's spend against the daily budget: { limit, spent, remaining, exceeded }
+   */
+  checkBudget(userId, platform, at = new Date()) {
+    const spent = this.spend.get([dayOf(at), platform || 'unknown', userId ? String(userId) : 'anonymous'].join('|')) || 0;
+    if (this.dailyBudget === null) {
+      return { limit: null, spent: roundCost(spent), remaining: null, exceeded: false };
+    }
+
+    return {
+      limit: this.dailyBudget,
+      spent: roundCost(spent),
+      remaining: roundCost(Math.max(0, this.dailyBudget - spent)),
+      exceeded: spent >= this.dailyBudget
+    };
+  }
+
+  /**
+   * Totals between `from` and `to` (YYYY-MM-DD, inclusive, default today),
+   * optionally for one user and/or platform, broken down by day, platform,
+   * intent type, model and user
+   */
+  report({ from, to, userId, platform } = {}) {
+    const end = to || dayOf();
+    const start = from || end;
+    const totals = emptyTotals();
+    const groups = { byDay: {}, byPlatform: {}, byIntent: {}, byModel: {} };
+    const users = new Map();
+
+    for (const row of this.rows.values()) {
+      if (row.day < start || row.day > end) continue;
+      if (userId && row.userId !== String(userId)) continue;
+      if (platform && row.platform !== platform) continue;
+
+      addTotals(totals, row);
+      const modelKey = `${row.provider}/${row.model}`;
+      [['byDay', row.day], ['byPlatform', row.platform], ['byIntent', row.intentType], ['byModel', modelKey]].forEach(([group, key]) => {
+        groups[group][key] = addTotals(groups[group][key] || emptyTotals(), row);
+      });
+
+      const userKey = `${row.platform}|${row.userId}`;
+      const user = users.get(userKey) || { userId: row.userId, platform: row.platform, ...emptyTotals() };
+      users.set(userKey, addTotals(user, row));
+    }
+
+    const finishGroup = group => Object.fromEntries(Object.entries(group).map(([key, value]) => [key, finishTotals(value)]));
+
+    return {
+      from: start,
+      to: end,
+      currency: 'usd',
+      dailyBudget: this.dailyBudget,
+      totals: finishTotals(totals),
+      byDay: finishGroup(groups.byDay),
+      byPlatform: finishGroup(groups.byPlatform),
+      byIntent: finishGroup(groups.byIntent),
+      byModel: finishGroup(groups.byModel),
+      users: [...users.values()].map(finishTotals).sort((a, b) => b.cost - a.cost)
+    };
+  }
+}
+
+module.exports = {
+  UsageMeter,
+  estimateUsage,
+  dayOf,
+  DEFAULT_PRICES,
+  QUOTA_MESSAGE
+};
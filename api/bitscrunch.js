@@ -1,10 +1,111 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const {
+  stableStringify,
+  retryWithBackoff,
+  isValidAddress,
+  normalizeWalletAddress,
+  mapWithConcurrency
+} = require('../utils/helpers');
+const { resolveChain, UnsupportedChainError } = require('../utils/chains');
+const { TokenBucket, CircuitBreaker } = require('../utils/resilience');
+const { createFixtureAdapter } = require('./fixtures');
+
+/**
+ * Cache TTLs (ms) per endpoint family. Market-wide numbers move quickly,
+ * wallet profiles and collection metadata barely change within an hour.
+ */
+const DEFAULT_CACHE_TTLS = {
+  market: 60 * 1000,
+  transactions: 30 * 1000,
+  fraud: 2 * 60 * 1000,
+  search: 30 * 60 * 1000,
+  walletProfile: 60 * 60 * 1000,
+  wallet: 15 * 60 * 1000,
+  collection: 10 * 60 * 1000,
+  default: 5 * 60 * 1000
+};
+
+// First matching rule wins, so more specific paths come first
+const CACHE_FAMILIES = [
+  { family: 'transactions', pattern: /\/transactions$/ },
+  { family: 'market', pattern: /^\/market\// },
+  { family: 'fraud', pattern: /^\/fraud\// },
+  { family: 'search', pattern: /^\/collection\/search/ },
+  { family: 'walletProfile', pattern: /^\/wallet\/[^/]+\/profile$/ },
+  { family: 'wallet', pattern: /^\/wallet\// },
+  { family: 'collection', pattern: /^\/collection\// }
+];
+
+/**
+ * 429s, 5xx and network failures are worth retrying; other 4xx are not
+ */
+function isRetryableError(error) {
+  if (!error.response) return Boolean(error.request);
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Delay requested by the server via Retry-After (seconds or HTTP date), in ms
+ */
+function getRetryAfterDelay(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Chain for a request: options.chain (name, alias or ID) or the legacy options.blockchain.
+ * Returns null for an unknown chain; assertChain turns that into an UnsupportedChainError.
+ */
+function chainFromOptions(options) {
+  return resolveChain(options.chain ?? options.blockchain);
+}
+
+function assertChain(chain, options) {
+  if (!chain) throw new UnsupportedChainError(options.chain ?? options.blockchain);
+}
+
+// bitsCrunch caps `limit` at 100 per page
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_MAX_ITEMS = 1000;
+
+// Wallets analyzed in parallel by analyzeWallets (each runs three requests)
+const DEFAULT_BATCH_CONCURRENCY = 4;
+const MAX_BATCH_CONCURRENCY = 10;
 
 class BitsCrunchAPI {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - bitsCrunch API key
+   * @param {object} options
+   * @param {string} options.baseURL - API base URL (e.g. the DEMO_MODE mock server)
+   * @param {object|null} options.cache - Cache store from utils/cache (null disables caching)
+   * @param {object} options.cacheTTLs - Per-family TTL overrides in ms
+   * @param {object|false} options.rateLimit - { tokensPerInterval, interval, burst } matching the plan quota, false to disable
+   * @param {object} options.retry - { maxAttempts, baseDelay, maxDelay }
+   * @param {object} options.circuitBreaker - { failureThreshold, resetTimeout }
+   * @param {object} options.fixtures - { mode: 'record'|'replay', directory } for offline runs
+   * @param {boolean} options.coalesce - Share one HTTP call between identical concurrent requests (default true)
+   */
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
-    this.baseURL = 'https://api.bitscrunch.com/v2';
+    this.baseURL = options.baseURL || 'https://api.bitscrunch.com/v2';
+    this.cache = options.cache || null;
+    this.cacheTTLs = { ...DEFAULT_CACHE_TTLS, ...(options.cacheTTLs || {}) };
+    this.rateLimiter = options.rateLimit === false ? null : new TokenBucket(options.rateLimit);
+    this.circuitBreaker = new CircuitBreaker({ name: 'bitscrunch', ...(options.circuitBreaker || {}) });
+    this.retryOptions = { maxAttempts: 3, baseDelay: 500, maxDelay: 10000, ...(options.retry || {}) };
+
+    // Identical requests in flight at the same time share one promise, keyed like the cache
+    this.coalesce = options.coalesce !== false;
+    this.inFlight = new Map();
+    this.requestStats = { sent: 0, coalesced: 0 };
     
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -16,6 +117,13 @@ class BitsCrunchAPI {
       timeout: 30000
     });
 
+    // Record/replay swaps the transport; interceptors and policies still apply
+    this.fixtureMode = options.fixtures?.mode || null;
+    if (this.fixtureMode) {
+      this.client.defaults.adapter = createFixtureAdapter(this.fixtureMode, options.fixtures.directory);
+      logger.info(`BitsCrunch API fixture mode: ${this.fixtureMode} (${options.fixtures.directory})`);
+    }
+
     // Request interceptor for logging
     this.client.interceptors.request.use(
       (config) => {
@@ -45,11 +153,231 @@ class BitsCrunchAPI {
     );
   }
 
+  /**
+   * Resolve the cache family for an endpoint path
+   */
+  getCacheFamily(path) {
+    const rule = CACHE_FAMILIES.find(({ pattern }) => pattern.test(path));
+    return rule ? rule.family : 'default';
+  }
+
+  /**
+   * GET an endpoint through the response cache, then in-flight coalescing,
+   * the circuit breaker, retries and rate limiter. Every retry attempt spends
+   * its own token. Resolves to { data, status, cache, coalesced } where cache
+   * describes the lookup and coalesced marks a response shared with an
+   * identical request already in flight.
+   */
+  async request(path, params = {}, requestOptions = {}) {
+    const family = this.getCacheFamily(path);
+    const ttl = this.cacheTTLs[family] ?? this.cacheTTLs.default;
+    const useCache = Boolean(this.cache) && requestOptions.cache !== false && ttl > 0;
+    const key = `GET ${path} ${stableStringify(params)}`;
+
+    if (useCache) {
+      try {
+        const entry = await this.cache.get(key);
+        if (entry) {
+          logger.debug(`BitsCrunch cache hit: ${path}`);
+          return {
+            data: entry.value,
+            status: 200,
+            cache: { hit: true, family, ttl, age: Date.now() - entry.storedAt }
+          };
+        }
+      } catch (error) {
+        logger.warn(`BitsCrunch cache read failed for ${path}:`, error.message);
+      }
+    }
+
+    let pending = this.coalesce ? this.inFlight.get(key) : null;
+    const coalesced = Boolean(pending);
+
+    if (coalesced) {
+      this.requestStats.coalesced++;
+      logger.debug(`BitsCrunch request coalesced: ${path}`);
+    } else {
+      this.requestStats.sent++;
+      pending = this.send(path, params, useCache ? { key, ttl } : null);
+      if (this.coalesce) {
+        pending = pending.finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, pending);
+      }
+    }
+
+    const response = await pending;
+
+    return {
+      data: response.data,
+      status: response.status,
+      cache: { hit: false, family, ttl: useCache ? ttl : 0, age: 0 },
+      coalesced
+    };
+  }
+
+  /**
+   * Send a GET through the circuit breaker, retries and rate limiter, and
+   * store the response when `cacheEntry` ({ key, ttl }) is given
+   */
+  async send(path, params, cacheEntry) {
+    const { maxAttempts, baseDelay, maxDelay } = this.retryOptions;
+    const response = await this.circuitBreaker.execute(
+      () => retryWithBackoff(async () => {
+        if (this.rateLimiter) {
+          await this.rateLimiter.removeToken();
+        }
+        return this.client.get(path, { params });
+      }, maxAttempts, baseDelay, {
+        shouldRetry: isRetryableError,
+        getRetryDelay: getRetryAfterDelay,
+        jitter: true,
+        maxDelay
+      }),
+      isRetryableError
+    );
+
+    if (cacheEntry) {
+      try {
+        await this.cache.set(cacheEntry.key, response.data, cacheEntry.ttl);
+      } catch (error) {
+        logger.warn(`BitsCrunch cache write failed for ${path}:`, error.message);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Walk every page of a list endpoint, yielding items in order.
+   * The first page reports total_items; later pages are fetched `concurrency`
+   * at a time. Stops after `maxItems` items (the last page is trimmed).
+   * Call paginate(...).summary() once iteration finishes for page counts.
+   */
+  paginate(path, params = {}, paginateOptions = {}) {
+    const pageSize = Math.min(paginateOptions.pageSize || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    const maxItems = paginateOptions.maxItems || DEFAULT_MAX_ITEMS;
+    const concurrency = Math.max(1, paginateOptions.concurrency || 1);
+    const startOffset = paginateOptions.offset || 0;
+    const fetchPage = offset => this.request(path, { ...params, limit: pageSize, offset });
+    const state = { pages: 0, fetched: 0, total: null, truncated: false };
+
+    async function* iterate() {
+      const first = await fetchPage(startOffset);
+      state.pages++;
+      state.total = first.data?.pagination?.total_items ?? null;
+
+      let page = first.data?.data || [];
+      let hasNext = first.data?.pagination?.has_next ?? page.length === pageSize;
+      let offset = startOffset + page.length;
+      let trimmed = false; // items of a fetched page left out by maxItems
+
+      for (const item of page) {
+        if (state.fetched >= maxItems) {
+          trimmed = true;
+          break;
+        }
+        state.fetched++;
+        yield item;
+      }
+
+      while (hasNext && state.fetched < maxItems) {
+        // With a known total, fetch the next window of pages in parallel
+        const remaining = maxItems - state.fetched;
+        const windowSize = state.total === null
+          ? 1
+          : Math.min(concurrency, Math.ceil(Math.min(remaining, state.total - offset) / pageSize));
+        if (windowSize < 1) break;
+
+        const offsets = Array.from({ length: windowSize }, (_, index) => offset + index * pageSize);
+        const responses = await Promise.all(offsets.map(fetchPage));
+        state.pages += responses.length;
+
+        for (const response of responses) {
+          page = response.data?.data || [];
+          hasNext = response.data?.pagination?.has_next ?? page.length === pageSize;
+          offset += page.length;
+
+          for (const item of page) {
+            if (state.fetched >= maxItems) {
+              trimmed = true;
+              break;
+            }
+            state.fetched++;
+            yield item;
+          }
+          if (!hasNext || page.length === 0) {
+            hasNext = false;
+            break;
+          }
+        }
+      }
+
+      // A known total decides; has_next only counts when the API reports none
+      state.truncated = state.total !== null
+        ? state.fetched < state.total - startOffset
+        : hasNext || trimmed;
+    }
+
+    const iterator = iterate();
+    iterator.summary = () => ({ ...state, pageSize });
+    return iterator;
+  }
+
+  /**
+   * Collect every item of a paginated endpoint into a bitsCrunch-shaped payload
+   */
+  async collectPages(path, params, paginateOptions) {
+    const iterator = this.paginate(path, params, paginateOptions);
+    const items = [];
+    for await (const item of iterator) {
+      items.push(item);
+    }
+
+    const summary = iterator.summary();
+    return {
+      data: {
+        data: items,
+        pagination: {
+          total_items: summary.total ?? items.length,
+          offset: paginateOptions.offset || 0,
+          limit: items.length,
+          has_next: summary.truncated
+        }
+      },
+      pagination: summary
+    };
+  }
+
+  /**
+   * Client statistics for health reporting
+   */
+  getStats() {
+    return {
+      circuitBreaker: this.circuitBreaker.getState(),
+      rateLimiter: this.rateLimiter ? this.rateLimiter.getStats() : { enabled: false },
+      fixtureMode: this.fixtureMode,
+      requests: { ...this.requestStats, inFlight: this.inFlight.size, coalescing: this.coalesce },
+      cache: this.cache ? this.cache.getStats() : { type: 'none' }
+    };
+  }
+
   /**
    * Format error messages consistently
    */
   formatErrorMessage(error) {
-    if (error.response) {
+    if (error.code === 'UNSUPPORTED_CHAIN') {
+      return {
+        status: 400,
+        message: error.message,
+        details: { chain: error.chain }
+      };
+    } else if (error.code === 'CIRCUIT_OPEN') {
+      return {
+        status: 'CIRCUIT_OPEN',
+        message: 'bitsCrunch API temporarily unavailable',
+        details: error.retryAt ? `Retrying after ${error.retryAt}` : 'Waiting for a trial request to complete'
+      };
+    } else if (error.response) {
       return {
         status: error.response.status,
         message: error.response.data?.message || 'API request failed',
@@ -76,11 +404,9 @@ class BitsCrunchAPI {
   async testConnection() {
     try {
       logger.info('Testing BitsCrunch API connection');
-      const response = await this.client.get('/market/metrics', {
-        params: {
-          currency: 'usd'
-          }
-      });
+      const response = await this.request('/market/metrics', {
+        currency: 'usd'
+      }, { cache: false });
       
       return {
         success: true,
@@ -103,20 +429,23 @@ class BitsCrunchAPI {
    * Get wallet profile - CORRECT ENDPOINT
    */
   async analyzeWallet(walletAddress, options = {}) {
+    const chain = chainFromOptions(options);
+
     try {
       logger.info(`Analyzing wallet: ${walletAddress}`);
+      assertChain(chain, options);
       
-      const response = await this.client.get(`/wallet/${walletAddress}/profile`, {
-        params: {
-          blockchain: options.blockchain || 1, // 1 for Ethereum
-          metrics: ['is_whale', 'is_contract', 'first_transaction', 'last_transaction']
-        }
+      const response = await this.request(`/wallet/${walletAddress}/profile`, {
+        blockchain: chain.id,
+        metrics: ['is_whale', 'is_contract', 'first_transaction', 'last_transaction']
       });
       
       return {
         success: true,
         data: response.data,
+        cache: response.cache,
         wallet: walletAddress,
+        chain: chain.name,
         timestamp: new Date().toISOString()
       };
 
@@ -126,6 +455,7 @@ class BitsCrunchAPI {
         success: false,
         error: this.formatErrorMessage(error),
         wallet: walletAddress,
+        chain: chain ? chain.name : null,
         timestamp: new Date().toISOString()
       };
     }
@@ -135,23 +465,26 @@ class BitsCrunchAPI {
    * Get wallet metrics - CORRECT ENDPOINT
    */
   async getWalletMetrics(walletAddress, options = {}) {
+    const chain = chainFromOptions(options);
+
     try {
       logger.info(`Getting wallet metrics: ${walletAddress}`);
+      assertChain(chain, options);
       
-      const response = await this.client.get(`/wallet/${walletAddress}/metrics`, {
-        params: {
-          blockchain: options.blockchain || 1,
-          currency: options.currency || 'usd',
-          metrics: ['minted_value', 'sold_value', 'bought_value', 'current_value'],
-          time_range: options.time_range || '30d',
-          include_washtrade: true
-        }
+      const response = await this.request(`/wallet/${walletAddress}/metrics`, {
+        blockchain: chain.id,
+        currency: options.currency || 'usd',
+        metrics: ['minted_value', 'sold_value', 'bought_value', 'current_value'],
+        time_range: options.time_range || '30d',
+        include_washtrade: true
       });
       
       return {
         success: true,
         data: response.data,
+        cache: response.cache,
         wallet: walletAddress,
+        chain: chain.name,
         timestamp: new Date().toISOString()
       };
 
@@ -161,6 +494,7 @@ class BitsCrunchAPI {
         success: false,
         error: this.formatErrorMessage(error),
         wallet: walletAddress,
+        chain: chain ? chain.name : null,
         timestamp: new Date().toISOString()
       };
     }
@@ -170,21 +504,23 @@ class BitsCrunchAPI {
    * Get wallet risk score - CORRECT ENDPOINT
    */
   async getWalletRiskScore(walletAddress, options = {}) {
+    const chain = chainFromOptions(options);
+
     try {
       logger.info(`Getting wallet risk score: ${walletAddress}`);
+      assertChain(chain, options);
       
-      const blockchain = options.blockchain || 'ethereum';
-      const response = await this.client.get(`/wallet/${blockchain}/${walletAddress}/score/reputation`, {
-        params: {
-          include_washtrade: true,
-          time_range: options.time_range || '30d'
-        }
+      const response = await this.request(`/wallet/${chain.id}/${walletAddress}/score/reputation`, {
+        include_washtrade: true,
+        time_range: options.time_range || '30d'
       });
       
       return {
         success: true,
         data: response.data,
+        cache: response.cache,
         wallet: walletAddress,
+        chain: chain.name,
         timestamp: new Date().toISOString()
       };
 
@@ -194,6 +530,7 @@ class BitsCrunchAPI {
         success: false,
         error: this.formatErrorMessage(error),
         wallet: walletAddress,
+        chain: chain ? chain.name : null,
         timestamp: new Date().toISOString()
       };
     }
@@ -203,23 +540,26 @@ class BitsCrunchAPI {
    * Get wallet NFT portfolio - CORRECT ENDPOINT
    */
   async getWalletNFTs(walletAddress, options = {}) {
+    const chain = chainFromOptions(options);
+
     try {
       logger.info(`Getting NFT portfolio for wallet: ${walletAddress}`);
+      assertChain(chain, options);
       
-      const response = await this.client.get('/wallet/balance/nft', {
-        params: {
-          owner: walletAddress,
-          blockchain: options.blockchain || 1,
-          limit: options.limit || 20,
-          offset: options.offset || 0,
-          include_metadata: true
-        }
+      const response = await this.request('/wallet/balance/nft', {
+        owner: walletAddress,
+        blockchain: chain.id,
+        limit: options.limit || 20,
+        offset: options.offset || 0,
+        include_metadata: true
       });
       
       return {
         success: true,
         data: response.data,
+        cache: response.cache,
         wallet: walletAddress,
+        chain: chain.name,
         timestamp: new Date().toISOString()
       };
 
@@ -229,30 +569,87 @@ class BitsCrunchAPI {
         success: false,
         error: this.formatErrorMessage(error),
         wallet: walletAddress,
+        chain: chain ? chain.name : null,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+  /**
+   * Iterate every NFT a wallet holds, page by page
+   * options: { chain, pageSize, maxItems, concurrency }
+   */
+  iterateWalletNFTs(walletAddress, options = {}) {
+    const chain = chainFromOptions(options);
+    assertChain(chain, options);
+
+    return this.paginate('/wallet/balance/nft', {
+      owner: walletAddress,
+      blockchain: chain.id,
+      include_metadata: true
+    }, options);
+  }
+
+  /**
+   * Get a wallet's complete NFT portfolio (up to options.maxItems)
+   */
+  async getAllWalletNFTs(walletAddress, options = {}) {
+    const chain = chainFromOptions(options);
+
+    try {
+      logger.info(`Getting full NFT portfolio for wallet: ${walletAddress}`);
+      assertChain(chain, options);
+
+      const result = await this.collectPages('/wallet/balance/nft', {
+        owner: walletAddress,
+        blockchain: chain.id,
+        include_metadata: true
+      }, options);
+
+      return {
+        success: true,
+        data: result.data,
+        pagination: result.pagination,
+        wallet: walletAddress,
+        chain: chain.name,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`Error getting full NFT portfolio for ${walletAddress}:`, error.message);
+      return {
+        success: false,
+        error: this.formatErrorMessage(error),
+        wallet: walletAddress,
+        chain: chain ? chain.name : null,
         timestamp: new Date().toISOString()
       };
     }
   }
 
+
   /**
    * Get market insights (existing working endpoint)
    */
   async getMarketInsights(options = {}) {
+    const chain = chainFromOptions(options);
+
     try {
       logger.info('Getting market insights');
+      assertChain(chain, options);
       
-      const response = await this.client.get('/market/metrics', {
-        params: {
-          currency: options.currency || 'usd',
-          time_range: options.timeframe || '24h',
-          include_washtrade: options.includeWashTrade || true,
-          metrics: options.metrics || 'volume,transactions,unique_wallets,floor_price,market_cap'
-        }
+      const response = await this.request('/market/metrics', {
+        blockchain: chain.id,
+        currency: options.currency || 'usd',
+        time_range: options.timeframe || '24h',
+        include_washtrade: options.includeWashTrade || true,
+        metrics: options.metrics || 'volume,transactions,unique_wallets,floor_price,market_cap'
       });
       
       return {
         success: true,
         data: response.data,
+        cache: response.cache,
+        chain: chain.name,
         timestamp: new Date().toISOString()
       };
 
@@ -261,6 +658,7 @@ class BitsCrunchAPI {
       return {
         success: false,
         error: this.formatErrorMessage(error),
+        chain: chain ? chain.name : null,
         timestamp: new Date().toISOString()
       };
     }
@@ -270,15 +668,20 @@ class BitsCrunchAPI {
    * Comprehensive wallet analysis combining multiple endpoints
    */
   async getCompleteWalletAnalysis(walletAddress, options = {}) {
+    const chain = chainFromOptions(options);
+
     try {
       logger.info(`Getting complete analysis for wallet: ${walletAddress}`);
+      assertChain(chain, options);
       
       // Call multiple endpoints in parallel
       const [profile, metrics, reputation, nfts] = await Promise.allSettled([
         this.analyzeWallet(walletAddress, options),
         this.getWalletMetrics(walletAddress, options),
         this.getWalletRiskScore(walletAddress, options),
-        this.getWalletNFTs(walletAddress, options)
+        options.fullPortfolio
+          ? this.getAllWalletNFTs(walletAddress, options)
+          : this.getWalletNFTs(walletAddress, options)
       ]);
 
       // Combine results
@@ -289,6 +692,7 @@ class BitsCrunchAPI {
         metrics: metrics.status === 'fulfilled' ? metrics.value : null,
         reputation: reputation.status === 'fulfilled' ? reputation.value : null,
         nfts: nfts.status === 'fulfilled' ? nfts.value : null,
+        chain: chain.name,
         timestamp: new Date().toISOString()
       };
 
@@ -307,6 +711,7 @@ class BitsCrunchAPI {
             reputation: reputation.reason,
             nfts: nfts.reason
           },
+          chain: chain.name,
           timestamp: new Date().toISOString()
         };
       }
@@ -319,6 +724,103 @@ class BitsCrunchAPI {
         success: false,
         error: this.formatErrorMessage(error),
         wallet: walletAddress,
+        chain: chain ? chain.name : null,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Analyze a batch of wallets (profile, metrics and reputation each) with at
+   * most `options.concurrency` wallets in flight. Addresses are deduplicated
+   * per chain; every wallet reports its own success and per-endpoint errors,
+   * so one failing wallet does not fail the batch.
+   */
+  async analyzeWallets(addresses, options = {}) {
+    const chain = chainFromOptions(options);
+
+    try {
+      logger.info(`Batch analysis for ${addresses.length} wallets`);
+      assertChain(chain, options);
+
+      const walletOptions = { ...options, chain: chain.name };
+      const concurrency = Math.min(options.concurrency || DEFAULT_BATCH_CONCURRENCY, MAX_BATCH_CONCURRENCY);
+      const seen = new Set();
+      const unique = [];
+      let duplicates = 0;
+
+      addresses.forEach(raw => {
+        const address = String(raw ?? '').trim();
+        if (!address) return;
+        const key = normalizeWalletAddress(address, chain) || address;
+        if (seen.has(key)) {
+          duplicates++;
+          return;
+        }
+        seen.add(key);
+        unique.push(address);
+      });
+
+      const results = await mapWithConcurrency(unique, concurrency, async address => {
+        if (!isValidAddress(address, chain)) {
+          return {
+            address,
+            success: false,
+            partial: false,
+            profile: null,
+            metrics: null,
+            reputation: null,
+            errors: { address: { status: 400, message: `Invalid ${chain.label} address` } }
+          };
+        }
+
+        const [profile, metrics, reputation] = await Promise.all([
+          this.analyzeWallet(address, walletOptions),
+          this.getWalletMetrics(address, walletOptions),
+          this.getWalletRiskScore(address, walletOptions)
+        ]);
+
+        const parts = { profile, metrics, reputation };
+        const errors = {};
+        Object.entries(parts).forEach(([name, part]) => {
+          if (!part.success) errors[name] = part.error;
+        });
+        const failures = Object.keys(errors).length;
+
+        return {
+          address,
+          success: failures < 3,
+          partial: failures > 0 && failures < 3,
+          profile,
+          metrics,
+          reputation,
+          errors
+        };
+      });
+
+      const succeeded = results.filter(result => result.success).length;
+
+      return {
+        success: true,
+        data: results,
+        summary: {
+          requested: addresses.length,
+          unique: unique.length,
+          duplicates,
+          succeeded,
+          partial: results.filter(result => result.partial).length,
+          failed: results.length - succeeded
+        },
+        chain: chain.name,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('Error in batch wallet analysis:', error.message);
+      return {
+        success: false,
+        error: this.formatErrorMessage(error),
+        chain: chain ? chain.name : null,
         timestamp: new Date().toISOString()
       };
     }
@@ -328,22 +830,25 @@ class BitsCrunchAPI {
    * Search collections
    */
   async searchCollections(query, options = {}) {
+    const chain = chainFromOptions(options);
+
     try {
       logger.info(`Searching collections: ${query}`);
+      assertChain(chain, options);
       
-      const response = await this.client.get('/collection/search', {
-        params: {
-          query: query,
-          blockchain: options.blockchain || 1,
-          limit: options.limit || 10,
-          offset: options.offset || 0
-        }
+      const response = await this.request('/collection/search', {
+        query: query,
+        blockchain: chain.id,
+        limit: options.limit || 10,
+        offset: options.offset || 0
       });
       
       return {
         success: true,
         data: response.data,
+        cache: response.cache,
         query: query,
+        chain: chain.name,
         timestamp: new Date().toISOString()
       };
 
@@ -353,6 +858,171 @@ class BitsCrunchAPI {
         success: false,
         error: this.formatErrorMessage(error),
         query: query,
+        chain: chain ? chain.name : null,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+  /**
+   * Iterate every collection matching a search query
+   * options: { chain, pageSize, maxItems, concurrency }
+   */
+  iterateCollectionSearch(query, options = {}) {
+    const chain = chainFromOptions(options);
+    assertChain(chain, options);
+
+    return this.paginate('/collection/search', { query, blockchain: chain.id }, options);
+  }
+
+
+  /**
+   * Get collection profile (metadata, contract info, socials)
+   */
+  async analyzeCollection(collectionAddress, options = {}) {
+    const chain = chainFromOptions(options);
+
+    try {
+      logger.info(`Analyzing collection: ${collectionAddress}`);
+      assertChain(chain, options);
+
+      const response = await this.request(`/collection/${chain.id}/${collectionAddress}`, {
+        include_socials: true
+      });
+
+      return {
+        success: true,
+        data: response.data,
+        cache: response.cache,
+        collection: collectionAddress,
+        chain: chain.name,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`Error analyzing collection ${collectionAddress}:`, error.message);
+      return {
+        success: false,
+        error: this.formatErrorMessage(error),
+        collection: collectionAddress,
+        chain: chain ? chain.name : null,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Get collection health scores
+   */
+  async getCollectionHealth(collectionAddress, options = {}) {
+    const chain = chainFromOptions(options);
+
+    try {
+      logger.info(`Getting collection health: ${collectionAddress}`);
+      assertChain(chain, options);
+
+      const response = await this.request(`/collection/${chain.id}/${collectionAddress}/scores`, {
+        metrics: ['health_score', 'liquidity_score', 'holder_score', 'washtrade_score'],
+        time_range: options.time_range || options.timeframe || '30d'
+      });
+
+      return {
+        success: true,
+        data: response.data,
+        cache: response.cache,
+        collection: collectionAddress,
+        chain: chain.name,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`Error getting collection health for ${collectionAddress}:`, error.message);
+      return {
+        success: false,
+        error: this.formatErrorMessage(error),
+        collection: collectionAddress,
+        chain: chain ? chain.name : null,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Get collection metrics over a time range (24h, 7d, 30d, 90d, all)
+   */
+  async getCollectionMetrics(collectionAddress, options = {}) {
+    const chain = chainFromOptions(options);
+
+    try {
+      logger.info(`Getting collection metrics: ${collectionAddress}`);
+      assertChain(chain, options);
+
+      const response = await this.request(`/collection/${chain.id}/${collectionAddress}/metrics`, {
+        currency: options.currency || 'usd',
+        metrics: options.metrics || ['floor_price', 'volume', 'sales', 'holders', 'traders', 'marketcap'],
+        time_range: options.time_range || options.timeframe || '24h',
+        include_washtrade: true
+      });
+
+      return {
+        success: true,
+        data: response.data,
+        cache: response.cache,
+        collection: collectionAddress,
+        chain: chain.name,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error(`Error getting collection metrics for ${collectionAddress}:`, error.message);
+      return {
+        success: false,
+        error: this.formatErrorMessage(error),
+        collection: collectionAddress,
+        chain: chain ? chain.name : null,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Monitor recent transactions, market-wide or for a single collection
+   */
+  async getTransactionMonitoring(options = {}) {
+    const collectionAddress = options.collection || options.collectionAddress;
+    const chain = chainFromOptions(options);
+
+    try {
+      logger.info(`Getting transaction monitoring${collectionAddress ? ` for collection: ${collectionAddress}` : ''}`);
+      assertChain(chain, options);
+
+      const path = collectionAddress
+        ? `/collection/${chain.id}/${collectionAddress}/transactions`
+        : '/market/transactions';
+
+      const response = await this.request(path, {
+        blockchain: chain.id,
+        time_range: options.time_range || options.timeframe || '24h',
+        limit: options.limit || 20,
+        offset: options.offset || 0,
+        sort_by: options.sortBy || 'timestamp'
+      });
+
+      return {
+        success: true,
+        data: response.data,
+        cache: response.cache,
+        collection: collectionAddress || null,
+        chain: chain.name,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      logger.error('Error getting transaction monitoring:', error.message);
+      return {
+        success: false,
+        error: this.formatErrorMessage(error),
+        collection: collectionAddress || null,
+        chain: chain ? chain.name : null,
         timestamp: new Date().toISOString()
       };
     }
@@ -362,20 +1032,24 @@ class BitsCrunchAPI {
    * Get fraud alerts
    */
   async getFraudAlerts(options = {}) {
+    const chain = chainFromOptions(options);
+
     try {
       logger.info('Getting fraud alerts');
+      assertChain(chain, options);
       
-      const response = await this.client.get('/fraud/alerts', {
-        params: {
-          time_range: options.timeframe || '24h',
-          limit: options.limit || 20,
-          severity: options.severity || 'all'
-        }
+      const response = await this.request('/fraud/alerts', {
+        blockchain: chain.id,
+        time_range: options.timeframe || '24h',
+        limit: options.limit || 20,
+        severity: options.severity || 'all'
       });
       
       return {
         success: true,
         data: response.data,
+        cache: response.cache,
+        chain: chain.name,
         timestamp: new Date().toISOString()
       };
 
@@ -384,6 +1058,7 @@ class BitsCrunchAPI {
       return {
         success: false,
         error: this.formatErrorMessage(error),
+        chain: chain ? chain.name : null,
         timestamp: new Date().toISOString()
       };
     }
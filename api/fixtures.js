@@ -0,0 +1,154 @@
+/**
+ * Record/replay transport for the bitsCrunch client
+ * Record mode writes every request and response to a fixture file;
+ * replay mode serves responses from those files without touching the network.
+ * Fixtures are keyed by method, path and params.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { stableStringify, hashKey } = require('../utils/helpers');
+
+/**
+ * Build the fixture file name for a request
+ */
+function getFixtureFileName(method, url, params = {}) {
+  const slug = url
+    .replace(/^\/+/, '')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/-+$/, '')
+    .substring(0, 80);
+  const key = `${method.toUpperCase()} ${url} ${stableStringify(params)}`;
+
+  return `${method.toLowerCase()}-${slug}-${hashKey(key).substring(0, 12)}.json`;
+}
+
+/**
+ * Resolve the fixture file for an axios request config
+ */
+function getFixturePath(directory, config) {
+  return path.join(directory, getFixtureFileName(config.method || 'get', config.url, config.params));
+}
+
+/**
+ * Build an axios-style response (or rejection) from a stored fixture
+ */
+function toAxiosResponse(fixture, config) {
+  const response = {
+    data: fixture.response.data,
+    status: fixture.response.status,
+    statusText: fixture.response.statusText || '',
+    headers: fixture.response.headers || {},
+    config,
+    request: { fixture: true }
+  };
+
+  if (response.status >= 400) {
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      axios.AxiosError.ERR_BAD_RESPONSE,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  return response;
+}
+
+/**
+ * Adapter that performs real requests and writes each exchange to disk
+ */
+function createRecordingAdapter(directory) {
+  const httpAdapter = axios.getAdapter(axios.defaults.adapter);
+  fs.mkdirSync(directory, { recursive: true });
+
+  return async (config) => {
+    let response;
+    let failure;
+
+    try {
+      response = await httpAdapter(config);
+    } catch (error) {
+      // Upstream errors are recorded too, so replay reproduces them
+      if (!error.response) throw error;
+      response = error.response;
+      failure = error;
+    }
+
+    const fixture = {
+      request: {
+        method: (config.method || 'get').toUpperCase(),
+        url: config.url,
+        params: config.params || {}
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { 'content-type': response.headers?.['content-type'] },
+        data: response.data
+      },
+      recordedAt: new Date().toISOString()
+    };
+
+    const filePath = getFixturePath(directory, config);
+    await fs.promises.writeFile(filePath, JSON.stringify(fixture, null, 2));
+    logger.info(`Recorded fixture: ${path.basename(filePath)}`);
+
+    if (failure) throw failure;
+    return response;
+  };
+}
+
+/**
+ * Adapter that serves responses from recorded fixtures only
+ */
+function createReplayAdapter(directory) {
+  return async (config) => {
+    const filePath = getFixturePath(directory, config);
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      logger.warn(`No fixture recorded for ${(config.method || 'get').toUpperCase()} ${config.url} (${path.basename(filePath)})`);
+      fixture = {
+        response: {
+          status: 404,
+          statusText: 'Fixture Not Found',
+          data: {
+            message: `No recorded fixture for ${config.url}`,
+            hint: 'Run npm run fixtures:record with a valid BITSCRUNCH_API_KEY'
+          }
+        }
+      };
+    }
+
+    return toAxiosResponse(fixture, config);
+  };
+}
+
+/**
+ * Pick the adapter for a fixture mode ('record' or 'replay')
+ */
+function createFixtureAdapter(mode, directory) {
+  switch (mode) {
+    case 'record':
+      return createRecordingAdapter(directory);
+    case 'replay':
+      return createReplayAdapter(directory);
+    default:
+      throw new Error(`Unknown fixture mode: ${mode}`);
+  }
+}
+
+module.exports = {
+  getFixtureFileName,
+  createRecordingAdapter,
+  createReplayAdapter,
+  createFixtureAdapter
+};
@@ -0,0 +1,536 @@
+/**
+ * Local stand-in for the bitsCrunch v2 API (DEMO_MODE=true)
+ * Serves the endpoints BitsCrunchAPI calls with realistic, deterministic
+ * payloads. Wallets and collections from data/demo-scenarios.json get
+ * hand-tuned profiles; any other address gets stable generated data seeded
+ * from the address itself, so the same question always gets the same answer.
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { hashKey } = require('../utils/helpers');
+const { resolveChain } = require('../utils/chains');
+const scenarios = require('../data/demo-scenarios.json');
+
+const ETH_USD = 3200;
+const REFERENCE_DATE = Date.UTC(2025, 5, 1); // Fixed "now" for generated history
+
+// Display data for the demo collections, plus a few extra well-known ones for search
+const COLLECTION_CATALOG = {
+  [scenarios.collections['bored-ape']]: {
+    name: 'Bored Ape Yacht Club', symbol: 'BAYC', supply: 10000, holders: 5520,
+    floorEth: 12.4, volume24hEth: 310, sales24h: 22, healthScore: 84, category: 'PFP', createdAt: '2021-04-22'
+  },
+  [scenarios.collections.cryptopunks]: {
+    name: 'CryptoPunks', symbol: 'PUNK', supply: 10000, holders: 3710,
+    floorEth: 44.9, volume24hEth: 520, sales24h: 9, healthScore: 91, category: 'PFP', createdAt: '2017-06-22'
+  },
+  [scenarios.collections.azuki]: {
+    name: 'Azuki', symbol: 'AZUKI', supply: 10000, holders: 4380,
+    floorEth: 5.1, volume24hEth: 140, sales24h: 27, healthScore: 72, category: 'PFP', createdAt: '2022-01-12'
+  },
+  '0x60e4d786628fea6478f785a6d7e704777c86a7c6': {
+    name: 'Mutant Ape Yacht Club', symbol: 'MAYC', supply: 19423, holders: 11900,
+    floorEth: 2.3, volume24hEth: 95, sales24h: 41, healthScore: 76, category: 'PFP', createdAt: '2021-08-28'
+  },
+  '0x8a90cab2b38dba80c64b7734e58ee1db38b8992e': {
+    name: 'Doodles', symbol: 'DOODLE', supply: 10000, holders: 4210,
+    floorEth: 1.8, volume24hEth: 38, sales24h: 19, healthScore: 63, category: 'PFP', createdAt: '2021-10-16'
+  },
+  '0xbd3531da5cf5857e7cfaa92426877b022e612cf8': {
+    name: 'Pudgy Penguins', symbol: 'PPG', supply: 8888, holders: 4870,
+    floorEth: 10.2, volume24hEth: 260, sales24h: 25, healthScore: 88, category: 'PFP', createdAt: '2021-07-22'
+  }
+};
+
+// Behavioral profiles for the demo wallets
+const WALLET_PROFILES = {
+  [scenarios.wallets.whale]: {
+    label: 'whale', isWhale: true, firstActivity: '2020-11-03', nftCount: 64,
+    boughtUsd: 18400000, soldUsd: 9100000, mintedUsd: 42000, reputation: 94,
+    holdings: [scenarios.collections['bored-ape'], scenarios.collections.cryptopunks, scenarios.collections.azuki]
+  },
+  [scenarios.wallets.trader]: {
+    label: 'trader', isWhale: false, firstActivity: '2021-09-14', nftCount: 37,
+    boughtUsd: 2150000, soldUsd: 2380000, mintedUsd: 8600, reputation: 71,
+    holdings: [scenarios.collections.azuki, '0x60e4d786628fea6478f785a6d7e704777c86a7c6', '0x8a90cab2b38dba80c64b7734e58ee1db38b8992e']
+  },
+  [scenarios.wallets.suspicious]: {
+    label: 'suspicious', isWhale: false, firstActivity: '2025-04-18', nftCount: 12,
+    boughtUsd: 930000, soldUsd: 910000, mintedUsd: 0, reputation: 18, washTrading: true,
+    holdings: [scenarios.collections.azuki]
+  },
+  [scenarios.wallets.new]: {
+    label: 'new', isWhale: false, firstActivity: '2025-05-20', nftCount: 2,
+    boughtUsd: 6400, soldUsd: 0, mintedUsd: 300, reputation: 55,
+    holdings: ['0x8a90cab2b38dba80c64b7734e58ee1db38b8992e']
+  }
+};
+
+/**
+ * Deterministic PRNG (mulberry32) seeded from any string
+ */
+function seededRandom(seed) {
+  let state = parseInt(hashKey(String(seed).toLowerCase()).substring(0, 8), 16);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Value in ETH converted to the requested currency
+ */
+function inCurrency(ethValue, currency = 'usd') {
+  const value = currency === 'eth' ? ethValue : ethValue * ETH_USD;
+  return Math.round(value * 100) / 100;
+}
+
+function timeRangeDays(timeRange = '24h') {
+  const days = { '1h': 1 / 24, '24h': 1, '1d': 1, '7d': 7, '30d': 30, '90d': 90, all: 365 };
+  return days[timeRange] || 1;
+}
+
+/**
+ * Catalog entry for a collection, generating one for unknown addresses
+ */
+function getCollection(address) {
+  const key = address.toLowerCase();
+  if (COLLECTION_CATALOG[key]) return COLLECTION_CATALOG[key];
+
+  const random = seededRandom(key);
+  return {
+    name: `Collection ${key.substring(0, 8)}`,
+    symbol: key.substring(2, 6).toUpperCase(),
+    supply: 1000 + Math.floor(random() * 9000),
+    holders: 300 + Math.floor(random() * 4000),
+    floorEth: Math.round((0.05 + random() * 2) * 1000) / 1000,
+    volume24hEth: Math.round(random() * 60 * 100) / 100,
+    sales24h: Math.floor(random() * 40),
+    healthScore: 30 + Math.floor(random() * 60),
+    category: 'Art',
+    createdAt: '2023-03-01'
+  };
+}
+
+/**
+ * Profile for a wallet, generating one for unknown addresses
+ */
+function getWallet(address) {
+  const key = address.toLowerCase();
+  if (WALLET_PROFILES[key]) return WALLET_PROFILES[key];
+
+  const random = seededRandom(key);
+  const catalog = Object.keys(COLLECTION_CATALOG);
+  return {
+    label: 'generated',
+    isWhale: false,
+    firstActivity: new Date(REFERENCE_DATE - Math.floor(random() * 1200) * 86400000).toISOString().substring(0, 10),
+    nftCount: Math.floor(random() * 30),
+    boughtUsd: Math.round(random() * 250000),
+    soldUsd: Math.round(random() * 200000),
+    mintedUsd: Math.round(random() * 5000),
+    reputation: 35 + Math.floor(random() * 60),
+    holdings: [catalog[Math.floor(random() * catalog.length)]]
+  };
+}
+
+/**
+ * bitsCrunch chain ID for a `blockchain` param (defaults to Ethereum)
+ */
+function chainId(blockchain) {
+  const chain = resolveChain(blockchain);
+  return chain ? chain.id : blockchain;
+}
+
+/**
+ * Echo an address the way the chain spells it: EVM lowercase, Solana as given
+ */
+function formatAddress(address, blockchain) {
+  const chain = resolveChain(blockchain);
+  return chain && chain.type === 'solana' ? address : address.toLowerCase();
+}
+
+function reputationLevel(score) {
+  if (score >= 70) return 'Trusted';
+  if (score >= 40) return 'Neutral';
+  return 'Suspicious';
+}
+
+/**
+ * Wrap a list in the bitsCrunch pagination envelope
+ */
+function paginate(items, query) {
+  const limit = Math.min(parseInt(query.limit) || 20, 100);
+  const offset = parseInt(query.offset) || 0;
+  const page = items.slice(offset, offset + limit);
+
+  return {
+    data: page,
+    pagination: {
+      total_items: items.length,
+      offset,
+      limit,
+      has_next: offset + limit < items.length
+    }
+  };
+}
+
+/**
+ * All NFTs a wallet holds, spread across its collections
+ */
+function buildHoldings(owner, profile) {
+  const random = seededRandom(`${owner}:holdings`);
+  const holdings = [];
+
+  for (let i = 0; i < profile.nftCount; i++) {
+    const contract = profile.holdings[i % profile.holdings.length];
+    const collection = getCollection(contract);
+    const tokenId = Math.floor(random() * collection.supply);
+
+    holdings.push({
+      contract_address: contract,
+      token_id: String(tokenId),
+      collection_name: collection.name,
+      name: `${collection.name} #${tokenId}`,
+      quantity: 1,
+      estimated_price_eth: Math.round(collection.floorEth * (1 + random() * 0.6) * 1000) / 1000,
+      acquired_at: new Date(Date.parse(profile.firstActivity) + Math.floor(random() * 300) * 86400000).toISOString(),
+      image_url: `https://images.example-nft-cdn.com/${contract}/${tokenId}.png`,
+      traits: [
+        { trait_type: 'Background', value: ['Blue', 'Orange', 'Gray', 'Purple'][Math.floor(random() * 4)] },
+        { trait_type: 'Rarity Rank', value: String(1 + Math.floor(random() * collection.supply)) }
+      ]
+    });
+  }
+
+  return holdings;
+}
+
+/**
+ * Recent sales, market-wide or for one collection
+ */
+function buildTransactions(contracts, timeRange, count) {
+  const random = seededRandom(`${contracts.join(',')}:${timeRange}:transactions`);
+  const wallets = Object.values(scenarios.wallets);
+  const spanMs = timeRangeDays(timeRange) * 86400000;
+  const transactions = [];
+
+  for (let i = 0; i < count; i++) {
+    const contract = contracts[i % contracts.length];
+    const collection = getCollection(contract);
+    const priceEth = Math.round(collection.floorEth * (0.95 + random() * 0.5) * 1000) / 1000;
+    const isWashTrade = random() < 0.05;
+    const seller = isWashTrade ? scenarios.wallets.suspicious : wallets[Math.floor(random() * wallets.length)];
+    const buyers = wallets.filter(wallet => wallet !== seller);
+
+    transactions.push({
+      transaction_hash: `0x${hashKey(`${contract}:${timeRange}:${i}`)}${hashKey(`${i}`).substring(0, 24)}`,
+      contract_address: contract,
+      collection_name: collection.name,
+      token_id: String(Math.floor(random() * collection.supply)),
+      from_address: seller,
+      // Wash trades loop back to the seller; regular sales go to another wallet
+      to_address: isWashTrade ? seller : buyers[Math.floor(random() * buyers.length)],
+      price_eth: priceEth,
+      price_usd: inCurrency(priceEth),
+      marketplace: ['opensea', 'blur', 'looksrare'][Math.floor(random() * 3)],
+      is_washtrade: isWashTrade,
+      timestamp: new Date(REFERENCE_DATE - Math.floor(random() * spanMs)).toISOString()
+    });
+  }
+
+  return transactions.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Build the Express app that mimics https://api.bitscrunch.com/v2
+ */
+function createMockApp() {
+  const app = express();
+  const api = express.Router();
+
+  app.use((req, res, next) => {
+    logger.debug(`Mock bitsCrunch: ${req.method} ${req.originalUrl}`);
+    next();
+  });
+
+  // Market-wide metrics
+  api.get('/market/metrics', (req, res) => {
+    const { currency = 'usd', time_range: timeRange = '24h' } = req.query;
+    const days = timeRangeDays(timeRange);
+    const random = seededRandom(`market:${timeRange}`);
+    const volumeEth = Object.values(COLLECTION_CATALOG).reduce((sum, c) => sum + c.volume24hEth, 0) * 4.2 * days;
+
+    res.json({
+      data: {
+        blockchain: chainId(req.query.blockchain),
+        currency,
+        time_range: timeRange,
+        volume: inCurrency(volumeEth, currency),
+        volume_change: Math.round((random() * 40 - 15) * 100) / 100,
+        sales: Math.round(9400 * days),
+        sales_change: Math.round((random() * 30 - 10) * 100) / 100,
+        transactions: Math.round(15800 * days),
+        transactions_change: Math.round((random() * 30 - 12) * 100) / 100,
+        unique_wallets: Math.round(6100 * Math.sqrt(days)),
+        unique_wallets_change: Math.round((random() * 20 - 8) * 100) / 100,
+        floor_price: inCurrency(0.21, currency),
+        floor_price_change: Math.round((random() * 16 - 8) * 100) / 100,
+        market_cap: inCurrency(2840000, currency),
+        washtrade_volume: inCurrency(volumeEth * 0.08, currency),
+        updated_at: new Date().toISOString()
+      }
+    });
+  });
+
+  // Market-wide transaction feed
+  api.get('/market/transactions', (req, res) => {
+    const { time_range: timeRange = '24h' } = req.query;
+    res.json(paginate(buildTransactions(Object.keys(COLLECTION_CATALOG), timeRange, 60), req.query));
+  });
+
+  // Wallet NFT balance (declared before the :address routes)
+  api.get('/wallet/balance/nft', (req, res) => {
+    if (!req.query.owner) {
+      return res.status(400).json({ message: 'owner is required' });
+    }
+    res.json(paginate(buildHoldings(req.query.owner, getWallet(req.query.owner)), req.query));
+  });
+
+  api.get('/wallet/:address/profile', (req, res) => {
+    const { address } = req.params;
+    const profile = getWallet(address);
+    const collections = [...new Set(profile.holdings)];
+
+    res.json({
+      data: {
+        address: formatAddress(address, req.query.blockchain),
+        blockchain: chainId(req.query.blockchain),
+        is_whale: profile.isWhale,
+        is_contract: false,
+        first_transaction: `${profile.firstActivity}T12:00:00.000Z`,
+        last_transaction: new Date(REFERENCE_DATE - 2 * 86400000).toISOString(),
+        nft_count: profile.nftCount,
+        collection_count: collections.length,
+        wallet_age_days: Math.floor((REFERENCE_DATE - Date.parse(profile.firstActivity)) / 86400000)
+      }
+    });
+  });
+
+  api.get('/wallet/:address/metrics', (req, res) => {
+    const { address } = req.params;
+    const { currency = 'usd', time_range: timeRange = '30d' } = req.query;
+    const profile = getWallet(address);
+    const holdings = buildHoldings(address, profile);
+    const currentEth = holdings.reduce((sum, nft) => sum + nft.estimated_price_eth, 0);
+    const toCurrency = usd => (currency === 'eth' ? Math.round((usd / ETH_USD) * 1000) / 1000 : usd);
+
+    res.json({
+      data: {
+        address: formatAddress(address, req.query.blockchain),
+        currency,
+        time_range: timeRange,
+        minted_value: toCurrency(profile.mintedUsd),
+        bought_value: toCurrency(profile.boughtUsd),
+        sold_value: toCurrency(profile.soldUsd),
+        current_value: inCurrency(currentEth, currency),
+        realized_profit: toCurrency(profile.soldUsd - profile.boughtUsd * 0.6),
+        washtrade_volume: profile.washTrading ? toCurrency(profile.soldUsd * 0.74) : 0
+      }
+    });
+  });
+
+  api.get('/wallet/:blockchain/:address/score/reputation', (req, res) => {
+    const { address, blockchain } = req.params;
+    const profile = getWallet(address);
+    const riskFactors = [];
+
+    if (profile.washTrading) riskFactors.push('washtrade_activity', 'circular_transfers');
+    if (Date.parse(profile.firstActivity) > REFERENCE_DATE - 60 * 86400000) riskFactors.push('new_wallet');
+    if (profile.soldUsd > 0 && Math.abs(profile.soldUsd - profile.boughtUsd) / profile.soldUsd < 0.05) {
+      riskFactors.push('balanced_buy_sell_volume');
+    }
+
+    res.json({
+      data: {
+        address: formatAddress(address, blockchain),
+        blockchain: chainId(blockchain),
+        reputation_score: profile.reputation,
+        reputation_level: reputationLevel(profile.reputation),
+        washtrade_flag: Boolean(profile.washTrading),
+        risk_factors: riskFactors
+      }
+    });
+  });
+
+  // Search (declared before the :blockchain/:address routes)
+  api.get('/collection/search', (req, res) => {
+    const query = String(req.query.query || '').toLowerCase();
+    const blockchain = chainId(req.query.blockchain);
+    // The catalog only holds Ethereum collections; other chains search empty
+    const matches = Object.entries(COLLECTION_CATALOG)
+      .filter(() => blockchain === 1)
+      .filter(([address, c]) => c.name.toLowerCase().includes(query) || c.symbol.toLowerCase() === query || address === query)
+      .map(([address, c]) => ({
+        address,
+        name: c.name,
+        symbol: c.symbol,
+        blockchain,
+        floor_price: c.floorEth,
+        floor_price_currency: 'eth',
+        volume_24h: c.volume24hEth,
+        holders: c.holders
+      }));
+
+    res.json(paginate(matches, req.query));
+  });
+
+  api.get('/collection/:blockchain/:address', (req, res) => {
+    const { address, blockchain } = req.params;
+    const collection = getCollection(address);
+
+    res.json({
+      data: {
+        address: formatAddress(address, blockchain),
+        blockchain: chainId(blockchain),
+        name: collection.name,
+        symbol: collection.symbol,
+        description: `${collection.name} is a ${collection.category} collection of ${collection.supply} NFTs.`,
+        category: collection.category,
+        total_supply: collection.supply,
+        contract_type: 'ERC721',
+        created_at: collection.createdAt,
+        verified: Boolean(COLLECTION_CATALOG[address.toLowerCase()]),
+        socials: req.query.include_socials ? {
+          website: `https://${collection.symbol.toLowerCase()}.example.com`,
+          twitter: `https://twitter.com/${collection.symbol.toLowerCase()}`
+        } : undefined
+      }
+    });
+  });
+
+  api.get('/collection/:blockchain/:address/scores', (req, res) => {
+    const { address, blockchain } = req.params;
+    const collection = getCollection(address);
+    const random = seededRandom(`${address}:scores`);
+
+    res.json({
+      data: {
+        address: formatAddress(address, blockchain),
+        blockchain: chainId(blockchain),
+        time_range: req.query.time_range || '30d',
+        health_score: collection.healthScore,
+        liquidity_score: Math.min(100, Math.round(collection.sales24h * 2 + random() * 20)),
+        holder_score: Math.min(100, Math.round((collection.holders / collection.supply) * 100)),
+        washtrade_score: Math.round(random() * 15),
+        holder_concentration_top10: Math.round((5 + random() * 20) * 100) / 100
+      }
+    });
+  });
+
+  api.get('/collection/:blockchain/:address/metrics', (req, res) => {
+    const { address, blockchain } = req.params;
+    const { currency = 'usd', time_range: timeRange = '24h' } = req.query;
+    const collection = getCollection(address);
+    const days = timeRangeDays(timeRange);
+    const random = seededRandom(`${address}:${timeRange}:metrics`);
+
+    res.json({
+      data: {
+        address: formatAddress(address, blockchain),
+        blockchain: chainId(blockchain),
+        currency,
+        time_range: timeRange,
+        floor_price: inCurrency(collection.floorEth, currency),
+        floor_price_change: Math.round((random() * 20 - 8) * 100) / 100,
+        volume: inCurrency(collection.volume24hEth * days, currency),
+        volume_change: Math.round((random() * 50 - 20) * 100) / 100,
+        sales: Math.round(collection.sales24h * days),
+        holders: collection.holders,
+        traders: Math.round(collection.sales24h * days * 1.6),
+        marketcap: inCurrency(collection.floorEth * collection.supply, currency)
+      }
+    });
+  });
+
+  api.get('/collection/:blockchain/:address/transactions', (req, res) => {
+    const { address, blockchain } = req.params;
+    const { time_range: timeRange = '24h' } = req.query;
+    res.json(paginate(buildTransactions([formatAddress(address, blockchain)], timeRange, 40), req.query));
+  });
+
+  api.get('/fraud/alerts', (req, res) => {
+    const { time_range: timeRange = '24h', severity = 'all' } = req.query;
+    const alerts = [
+      {
+        id: 'alert_wash_001',
+        type: 'wash_trading',
+        severity: 'high',
+        address: scenarios.wallets.suspicious,
+        contract_address: scenarios.collections.azuki,
+        collection_name: COLLECTION_CATALOG[scenarios.collections.azuki].name,
+        description: 'Circular trades between linked wallets inflating Azuki volume',
+        detected_at: new Date(REFERENCE_DATE - 3 * 3600000).toISOString()
+      },
+      {
+        id: 'alert_price_002',
+        type: 'price_manipulation',
+        severity: 'medium',
+        address: scenarios.wallets.suspicious,
+        contract_address: '0x8a90cab2b38dba80c64b7734e58ee1db38b8992e',
+        collection_name: 'Doodles',
+        description: 'Sales far above floor followed by immediate relisting',
+        detected_at: new Date(REFERENCE_DATE - 9 * 3600000).toISOString()
+      },
+      {
+        id: 'alert_new_003',
+        type: 'suspicious_new_wallet',
+        severity: 'low',
+        address: scenarios.wallets.new,
+        contract_address: null,
+        collection_name: null,
+        description: 'Recently created wallet receiving funds from a flagged address',
+        detected_at: new Date(REFERENCE_DATE - 20 * 3600000).toISOString()
+      }
+    ].filter(alert => severity === 'all' || alert.severity === severity);
+
+    res.json({ ...paginate(alerts, req.query), time_range: timeRange });
+  });
+
+  app.use('/v2', api);
+
+  app.use((req, res) => {
+    res.status(404).json({ message: `Mock bitsCrunch has no route for ${req.method} ${req.path}` });
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock server. Port 0 picks a free port.
+ * Resolves to { url, server, close } where url is the v2 base URL.
+ */
+function startMockServer(port = 0) {
+  const app = createMockApp();
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}/v2`;
+      logger.info(`Mock bitsCrunch API listening at ${url}`);
+      resolve({
+        url,
+        server,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+module.exports = {
+  createMockApp,
+  startMockServer
+};
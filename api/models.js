@@ -0,0 +1,442 @@
+/**
+ * Normalized domain models for bitsCrunch responses
+ * Maps raw API payloads into stable Wallet, Collection, MarketSnapshot,
+ * NFTHolding and FraudAlert shapes. Routes, bots, AI synthesis and the
+ * predictive engine all consume these instead of raw payloads.
+ *
+ * Conventions:
+ * - camelCase fields; missing values are null, never undefined
+ * - money fields share the model's `currency` (lowercase code, e.g. 'usd', 'eth')
+ * - `*Change` fields are percent changes over the model's `timeRange`
+ * - scores are 0-100
+ * - every model carries a `units` map naming the unit of each numeric field
+ */
+
+const { resolveChain, DEFAULT_CHAIN } = require('../utils/chains');
+
+/**
+ * @typedef {object} NFTHolding
+ * @property {string} contractAddress
+ * @property {string} tokenId
+ * @property {string|null} name
+ * @property {string|null} collectionName
+ * @property {number} quantity
+ * @property {number|null} estimatedPrice - in `currency`
+ * @property {string|null} currency
+ * @property {string|null} acquiredAt - ISO 8601
+ * @property {string|null} imageUrl
+ * @property {Array<{type: string, value: string}>} traits
+ */
+
+/**
+ * @typedef {object} Wallet
+ * @property {string} address
+ * @property {string} chain
+ * @property {boolean|null} isWhale
+ * @property {boolean|null} isContract
+ * @property {string|null} firstTransaction - ISO 8601
+ * @property {string|null} lastTransaction - ISO 8601
+ * @property {number|null} walletAge - days since first transaction
+ * @property {number|null} nftCount
+ * @property {number|null} collectionCount
+ * @property {string|null} currency
+ * @property {string|null} timeRange
+ * @property {number|null} boughtValue
+ * @property {number|null} soldValue
+ * @property {number|null} mintedValue
+ * @property {number|null} currentValue
+ * @property {number|null} realizedProfit
+ * @property {number|null} washTradeVolume
+ * @property {number|null} reputationScore - 0-100, higher is more trustworthy
+ * @property {'Trusted'|'Neutral'|'Suspicious'|null} reputation
+ * @property {number|null} riskScore - 0-100, higher is riskier
+ * @property {boolean} washTradeFlag
+ * @property {string[]} riskFactors
+ * @property {NFTHolding[]} holdings
+ * @property {object} units
+ */
+
+/**
+ * @typedef {object} Collection
+ * @property {string} address
+ * @property {string} chain
+ * @property {string|null} name
+ * @property {string|null} symbol
+ * @property {string|null} description
+ * @property {string|null} category
+ * @property {number|null} totalSupply
+ * @property {boolean|null} verified
+ * @property {string|null} createdAt
+ * @property {object|null} socials
+ * @property {string|null} currency
+ * @property {string|null} timeRange
+ * @property {number|null} floorPrice
+ * @property {number|null} priceChange - floor price change, percent
+ * @property {number|null} volume - over `timeRange`
+ * @property {number|null} volume24h - only set when `timeRange` is 24h
+ * @property {number|null} volumeChange - percent
+ * @property {number|null} sales
+ * @property {number|null} holders
+ * @property {number|null} traders
+ * @property {number|null} marketCap
+ * @property {number|null} healthScore
+ * @property {number|null} liquidityScore
+ * @property {number|null} holderScore
+ * @property {number|null} washTradeScore
+ * @property {object} units
+ */
+
+/**
+ * @typedef {object} MarketSnapshot
+ * @property {string} chain
+ * @property {string|null} currency
+ * @property {string|null} timeRange
+ * @property {number|null} volume
+ * @property {number|null} volumeChange - percent
+ * @property {number|null} sales
+ * @property {number|null} salesChange - percent
+ * @property {number|null} transactions
+ * @property {number|null} transactionsChange - percent
+ * @property {number|null} uniqueWallets
+ * @property {number|null} uniqueWalletsChange - percent
+ * @property {number|null} floorPrice
+ * @property {number|null} priceChange - floor price change, percent
+ * @property {number|null} marketCap
+ * @property {number|null} washTradeVolume
+ * @property {string|null} updatedAt
+ * @property {object} units
+ */
+
+/**
+ * @typedef {object} FraudAlert
+ * @property {string|null} id
+ * @property {string} chain
+ * @property {string} type
+ * @property {'low'|'medium'|'high'|'critical'|'unknown'} severity
+ * @property {string|null} address
+ * @property {string|null} contractAddress
+ * @property {string|null} collectionName
+ * @property {string|null} description
+ * @property {string|null} detectedAt - ISO 8601
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a number from API output; null when missing or not numeric
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toBoolean(value) {
+  if (value === null || value === undefined) return null;
+  return value === true || value === 'true' || value === 1;
+}
+
+function firstDefined(...values) {
+  const found = values.find(value => value !== undefined && value !== null);
+  return found === undefined ? null : found;
+}
+
+/**
+ * Strip client envelopes ({ success, data }) and bitsCrunch wrappers ({ data })
+ * down to the entity; single-item arrays collapse to their item
+ */
+function unwrap(payload) {
+  let value = payload;
+  while (value && typeof value === 'object' && !Array.isArray(value) && 'data' in value) {
+    if (value.success === false) return null;
+    value = value.data;
+  }
+  if (Array.isArray(value)) return value.length > 0 ? value[0] : null;
+  return value || null;
+}
+
+/**
+ * Unwrap a list payload ({ data: [...], pagination } or a client envelope) to its items
+ */
+function unwrapList(payload) {
+  let value = payload;
+  while (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (value.success === false) return [];
+    if (!('data' in value)) return [];
+    value = value.data;
+  }
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Chain name from the caller's chain, else the payload's blockchain, else the default
+ */
+function chainName(chain, fallback) {
+  const requested = chain ? resolveChain(chain) : null;
+  const reported = fallback !== null && fallback !== undefined ? resolveChain(fallback) : null;
+  return (requested || reported || resolveChain(DEFAULT_CHAIN)).name;
+}
+
+function normalizeCurrency(currency) {
+  return currency ? String(currency).toLowerCase() : null;
+}
+
+/**
+ * Reputation band for a 0-100 reputation score
+ */
+function reputationFromScore(score) {
+  if (score === null) return null;
+  if (score >= 70) return 'Trusted';
+  if (score >= 40) return 'Neutral';
+  return 'Suspicious';
+}
+
+function normalizeReputation(level, score) {
+  const text = level ? String(level).toLowerCase() : '';
+  if (['trusted', 'good', 'safe', 'low_risk'].includes(text)) return 'Trusted';
+  if (['neutral', 'medium', 'moderate'].includes(text)) return 'Neutral';
+  if (['suspicious', 'bad', 'risky', 'high_risk'].includes(text)) return 'Suspicious';
+  return reputationFromScore(score);
+}
+
+function daysSince(isoDate, now = Date.now()) {
+  const time = Date.parse(isoDate);
+  return isNaN(time) ? null : Math.max(0, Math.floor((now - time) / DAY_MS));
+}
+
+/**
+ * Map a wallet NFT balance item to an NFTHolding
+ */
+function toNFTHolding(raw = {}) {
+  const priceEth = toNumber(raw.estimated_price_eth);
+  const price = priceEth !== null ? priceEth : toNumber(firstDefined(raw.estimated_price, raw.price));
+
+  return {
+    contractAddress: firstDefined(raw.contract_address, raw.collection_address, raw.address),
+    tokenId: raw.token_id !== undefined && raw.token_id !== null ? String(raw.token_id) : null,
+    name: firstDefined(raw.name, raw.token_name),
+    collectionName: firstDefined(raw.collection_name, raw.collection),
+    quantity: toNumber(raw.quantity) ?? 1,
+    estimatedPrice: price,
+    currency: price === null ? null : priceEth !== null ? 'eth' : normalizeCurrency(raw.currency),
+    acquiredAt: firstDefined(raw.acquired_at, raw.last_transfer_at),
+    imageUrl: firstDefined(raw.image_url, raw.image),
+    traits: Array.isArray(raw.traits)
+      ? raw.traits.map(trait => ({ type: firstDefined(trait.trait_type, trait.type), value: trait.value }))
+      : []
+  };
+}
+
+/**
+ * Build a Wallet from analysis parts. Accepts the getCompleteWalletAnalysis
+ * result ({ profile, metrics, reputation, nfts }) or the individual envelopes.
+ */
+function toWallet(analysis = {}, options = {}) {
+  const profile = unwrap(analysis.profile) || {};
+  const metrics = unwrap(analysis.metrics) || {};
+  const reputation = unwrap(analysis.reputation) || {};
+  const holdings = unwrapList(analysis.nfts).map(toNFTHolding);
+
+  const firstTransaction = firstDefined(profile.first_transaction, profile.first_active);
+  const reputationScore = toNumber(firstDefined(reputation.reputation_score, reputation.score));
+  const walletAge = toNumber(profile.wallet_age_days) ?? (firstTransaction ? daysSince(firstTransaction) : null);
+  const riskFactors = firstDefined(reputation.risk_factors, []);
+  const currency = normalizeCurrency(metrics.currency);
+
+  return {
+    address: firstDefined(options.address, analysis.wallet, profile.address, reputation.address, metrics.address),
+    chain: chainName(options.chain || analysis.chain, firstDefined(profile.blockchain, reputation.blockchain)),
+    isWhale: toBoolean(profile.is_whale),
+    isContract: toBoolean(profile.is_contract),
+    firstTransaction,
+    lastTransaction: firstDefined(profile.last_transaction, profile.last_active),
+    walletAge,
+    nftCount: toNumber(profile.nft_count) ?? (holdings.length || null),
+    collectionCount: toNumber(profile.collection_count),
+    currency,
+    timeRange: firstDefined(metrics.time_range),
+    boughtValue: toNumber(metrics.bought_value),
+    soldValue: toNumber(metrics.sold_value),
+    mintedValue: toNumber(metrics.minted_value),
+    currentValue: toNumber(metrics.current_value),
+    realizedProfit: toNumber(metrics.realized_profit),
+    washTradeVolume: toNumber(metrics.washtrade_volume),
+    reputationScore,
+    reputation: normalizeReputation(reputation.reputation_level, reputationScore),
+    riskScore: reputationScore === null ? null : Math.round(100 - reputationScore),
+    washTradeFlag: Boolean(reputation.washtrade_flag),
+    riskFactors: Array.isArray(riskFactors) ? riskFactors : [riskFactors],
+    holdings,
+    units: {
+      walletAge: 'days',
+      boughtValue: currency,
+      soldValue: currency,
+      mintedValue: currency,
+      currentValue: currency,
+      realizedProfit: currency,
+      washTradeVolume: currency,
+      reputationScore: 'score_0_100',
+      riskScore: 'score_0_100'
+    }
+  };
+}
+
+/**
+ * Build a Collection from analysis parts ({ collection|profile, health, metrics })
+ */
+function toCollection(analysis = {}, options = {}) {
+  const profile = unwrap(firstDefined(analysis.profile, analysis.collection)) || {};
+  const health = unwrap(analysis.health) || {};
+  const metrics = unwrap(analysis.metrics) || {};
+  const currency = normalizeCurrency(metrics.currency);
+  const timeRange = firstDefined(metrics.time_range);
+  const volume = toNumber(metrics.volume);
+
+  return {
+    address: firstDefined(options.address, typeof analysis.collection === 'string' ? analysis.collection : null, profile.address, metrics.address, health.address),
+    chain: chainName(options.chain || analysis.chain, firstDefined(profile.blockchain, metrics.blockchain)),
+    name: firstDefined(profile.name, profile.collection_name),
+    symbol: firstDefined(profile.symbol),
+    description: firstDefined(profile.description),
+    category: firstDefined(profile.category),
+    totalSupply: toNumber(firstDefined(profile.total_supply, profile.supply)),
+    verified: toBoolean(profile.verified),
+    createdAt: firstDefined(profile.created_at),
+    socials: firstDefined(profile.socials),
+    currency,
+    timeRange,
+    floorPrice: toNumber(metrics.floor_price),
+    priceChange: toNumber(metrics.floor_price_change),
+    volume,
+    volume24h: timeRange === '24h' ? volume : null,
+    volumeChange: toNumber(metrics.volume_change),
+    sales: toNumber(metrics.sales),
+    holders: toNumber(firstDefined(metrics.holders, profile.holders)),
+    traders: toNumber(metrics.traders),
+    marketCap: toNumber(firstDefined(metrics.marketcap, metrics.market_cap)),
+    healthScore: toNumber(health.health_score),
+    liquidityScore: toNumber(health.liquidity_score),
+    holderScore: toNumber(health.holder_score),
+    washTradeScore: toNumber(health.washtrade_score),
+    units: {
+      floorPrice: currency,
+      volume: currency,
+      volume24h: currency,
+      marketCap: currency,
+      priceChange: 'percent',
+      volumeChange: 'percent',
+      healthScore: 'score_0_100',
+      liquidityScore: 'score_0_100',
+      holderScore: 'score_0_100',
+      washTradeScore: 'score_0_100'
+    }
+  };
+}
+
+/**
+ * Map a collection search hit to a partial Collection (search results carry
+ * floor price and 24h volume but no health scores)
+ */
+function toCollectionSummary(raw = {}, options = {}) {
+  const currency = normalizeCurrency(firstDefined(raw.floor_price_currency, raw.currency));
+
+  return {
+    address: firstDefined(raw.address, raw.contract_address),
+    chain: chainName(options.chain, raw.blockchain),
+    name: firstDefined(raw.name, raw.collection_name),
+    symbol: firstDefined(raw.symbol),
+    currency,
+    floorPrice: toNumber(raw.floor_price),
+    volume24h: toNumber(raw.volume_24h),
+    holders: toNumber(raw.holders),
+    units: { floorPrice: currency, volume24h: currency }
+  };
+}
+
+/**
+ * Build a MarketSnapshot from /market/metrics
+ */
+function toMarketSnapshot(payload, options = {}) {
+  const market = unwrap(payload) || {};
+  const currency = normalizeCurrency(market.currency);
+
+  return {
+    chain: chainName(options.chain || payload?.chain, market.blockchain),
+    currency,
+    timeRange: firstDefined(market.time_range),
+    volume: toNumber(market.volume),
+    volumeChange: toNumber(market.volume_change),
+    sales: toNumber(market.sales),
+    salesChange: toNumber(market.sales_change),
+    transactions: toNumber(market.transactions),
+    transactionsChange: toNumber(market.transactions_change),
+    uniqueWallets: toNumber(market.unique_wallets),
+    uniqueWalletsChange: toNumber(market.unique_wallets_change),
+    floorPrice: toNumber(market.floor_price),
+    priceChange: toNumber(market.floor_price_change),
+    marketCap: toNumber(firstDefined(market.market_cap, market.marketcap)),
+    washTradeVolume: toNumber(market.washtrade_volume),
+    updatedAt: firstDefined(market.updated_at),
+    units: {
+      volume: currency,
+      floorPrice: currency,
+      marketCap: currency,
+      washTradeVolume: currency,
+      volumeChange: 'percent',
+      salesChange: 'percent',
+      transactionsChange: 'percent',
+      uniqueWalletsChange: 'percent',
+      priceChange: 'percent'
+    }
+  };
+}
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Map a fraud alert to a FraudAlert
+ */
+function toFraudAlert(raw = {}, options = {}) {
+  const severity = raw.severity ? String(raw.severity).toLowerCase() : 'unknown';
+
+  return {
+    id: firstDefined(raw.id, raw.alert_id),
+    chain: chainName(options.chain, raw.blockchain),
+    type: firstDefined(raw.type, raw.alert_type, 'unknown'),
+    severity: SEVERITIES.includes(severity) ? severity : 'unknown',
+    address: firstDefined(raw.address, raw.wallet_address),
+    contractAddress: firstDefined(raw.contract_address),
+    collectionName: firstDefined(raw.collection_name),
+    description: firstDefined(raw.description, raw.message),
+    detectedAt: firstDefined(raw.detected_at, raw.timestamp)
+  };
+}
+
+/**
+ * List helpers for paginated payloads or client envelopes
+ */
+function toNFTHoldings(payload) {
+  return unwrapList(payload).map(toNFTHolding);
+}
+
+function toCollectionSummaries(payload, options = {}) {
+  return unwrapList(payload).map(item => toCollectionSummary(item, options));
+}
+
+function toFraudAlerts(payload, options = {}) {
+  return unwrapList(payload).map(item => toFraudAlert(item, options));
+}
+
+module.exports = {
+  toWallet,
+  toCollection,
+  toCollectionSummary,
+  toCollectionSummaries,
+  toMarketSnapshot,
+  toNFTHolding,
+  toNFTHoldings,
+  toFraudAlert,
+  toFraudAlerts,
+  unwrap,
+  unwrapList
+};
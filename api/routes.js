@@ -1,32 +1,273 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { isValidAddress, encodeCursor, decodeCursor, createSessionToken, verifySessionToken } = require('../utils/helpers');
+const { resolveChain, listChains } = require('../utils/chains');
+const {
+  toWallet,
+  toCollection,
+  toCollectionSummaries,
+  toMarketSnapshot,
+  toNFTHoldings,
+  toFraudAlerts,
+  unwrapList
+} = require('./models');
+
+/**
+ * Resolve the request's chain from `chain` (or options.chain / options.blockchain).
+ * Sends a 400 and returns null for chains outside the registry.
+ */
+function getRequestChain(req, res) {
+  const hasBodyOptions = req.body && typeof req.body === 'object' && !Array.isArray(req.body);
+  const source = req.method === 'GET' || !hasBodyOptions ? req.query : req.body;
+  const options = typeof source.options === 'object' && source.options ? source.options : {};
+  const requested = source.chain ?? options.chain ?? options.blockchain;
+  const chain = resolveChain(requested);
+
+  if (!chain) {
+    res.status(400).json({
+      error: `Unsupported chain: ${requested}`,
+      supportedChains: listChains().map(({ name }) => name)
+    });
+  }
+
+  return chain;
+}
+
+/**
+ * Page position for a list request: `cursor` wins over `limit`, which falls back to defaultLimit.
+ * The limit is clamped to 1..100 and the offset to >= 0. Returns null for a malformed cursor.
+ */
+function getPagePosition(query, defaultLimit) {
+  const position = query.cursor ? decodeCursor(query.cursor) : { offset: 0, limit: query.limit };
+  if (!position) return null;
+
+  return {
+    offset: Math.max(position.offset, 0),
+    limit: Math.min(Math.max(parseInt(position.limit) || defaultLimit, 1), 100)
+  };
+}
+
+/**
+ * Link to the next page of a list endpoint, or null on the last page.
+ * `query` holds the parameters to carry over (cursor and limit are replaced).
+ */
+function getNextLink(req, path, query, position, pagination) {
+  if (!pagination || !pagination.has_next) return null;
+
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (key !== 'cursor' && key !== 'limit' && typeof value === 'string') params.set(key, value);
+  });
+  params.set('cursor', encodeCursor({ offset: position.offset + position.limit, limit: position.limit }));
+
+  return `${req.baseUrl}${path}?${params.toString()}`;
+}
+
+// Upper bound on addresses per POST /analyze/wallets request
+const MAX_BATCH_WALLETS = 500;
+
+/**
+ * Addresses from a CSV upload: the `address`/`wallet` column when there is a
+ * header row, otherwise the first column
+ */
+function parseAddressCsv(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')))
+    .filter(row => row.some(Boolean));
+  if (rows.length === 0) return [];
+
+  const headerColumn = rows[0].findIndex(cell => /^(wallet_?)?address$|^wallet$/i.test(cell));
+  const column = headerColumn === -1 ? 0 : headerColumn;
+  return (headerColumn === -1 ? rows : rows.slice(1)).map(row => row[column]).filter(Boolean);
+}
+
+/**
+ * One row of the batch wallet table, flattened from the Wallet model
+ */
+function toWalletRow(result, chain) {
+  const wallet = toWallet(result, { address: result.address, chain: chain.name });
+  const errors = {};
+  Object.entries(result.errors).forEach(([part, error]) => {
+    errors[part] = error?.message || String(error);
+  });
+
+  return {
+    address: result.address,
+    success: result.success,
+    partial: result.partial,
+    isWhale: wallet.isWhale,
+    walletAge: wallet.walletAge,
+    nftCount: wallet.nftCount,
+    currency: wallet.currency,
+    boughtValue: wallet.boughtValue,
+    soldValue: wallet.soldValue,
+    currentValue: wallet.currentValue,
+    realizedProfit: wallet.realizedProfit,
+    reputation: wallet.reputation,
+    reputationScore: wallet.reputationScore,
+    riskScore: wallet.riskScore,
+    washTradeFlag: wallet.washTradeFlag,
+    riskFactors: wallet.riskFactors,
+    errors
+  };
+}
+
+/**
+ * 400 response for an address that is not valid on the requested chain
+ */
+function invalidAddress(res, field, address, chain) {
+  return res.status(400).json({
+    error: `Invalid ${chain.label} address for ${field}: ${address}`,
+    chain: chain.name
+  });
+}
+
+/**
+ * Who an analysis request came from, for security event logs
+ */
+function requesterOf(req) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  return { userId: body.userId || req.ip, platform: body.platform || 'web' };
+}
+
+/**
+ * Admin endpoints take ADMIN_API_KEY in the X-Admin-Key header (or as a Bearer
+ * token) and are disabled when no key is configured
+ */
+function requireAdmin(req, res, next) {
+  const { adminApiKey } = req.app.locals;
+  if (!adminApiKey) {
+    return res.status(503).json({ error: 'Admin API disabled: set ADMIN_API_KEY' });
+  }
+
+  const provided = Buffer.from(req.get('X-Admin-Key') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(adminApiKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+  next();
+}
+
+/**
+ * Web user proven by a session token from POST /session (X-Session-Token
+ * header or Bearer token), or null
+ */
+function getSessionAccount(req) {
+  const token = req.get('X-Session-Token') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const session = verifySessionToken(token, req.app.locals.sessionSecret);
+  return session ? { userId: session.userId, platform: 'web' } : null;
+}
+
+/**
+ * Identity routes act for the web user of the session token only; a userId in
+ * the request is never trusted
+ */
+function requireWebSession(req, res, next) {
+  const account = getSessionAccount(req);
+  if (!account) {
+    return res.status(401).json({ error: 'Web session required: get a token from POST /api/session' });
+  }
+  req.webAccount = account;
+  next();
+}
+
+/**
+ * Whether the request holds the session of this web account, so it may see
+ * memory merged from the account's linked Discord and Telegram accounts
+ */
+function ownsAccount(req, userId, platform) {
+  const session = getSessionAccount(req);
+  return Boolean(session) && platform === 'web' && session.userId === String(userId);
+}
+
+/**
+ * Account a chat request speaks for: the session's web user, or `userId` as
+ * given. Linked accounts share memory across platforms, so chatting as one
+ * needs its web session (bot accounts chat through their bot). Sends a 400 or
+ * 401 and returns null otherwise.
+ */
+async function getChatAccount(req, res, { userId, platform = 'web' }) {
+  if (platform === 'web') {
+    const session = getSessionAccount(req);
+    if (session) return session;
+  }
+
+  if (!userId) {
+    res.status(400).json({ error: 'Missing required fields: message and userId' });
+    return null;
+  }
+
+  const accounts = await req.app.locals.aiOrchestrator.getLinkedAccounts(userId, platform);
+  if (accounts.length > 1) {
+    res.status(401).json({ error: 'This account is linked to other platforms: chat with its web session token or through its bot' });
+    return null;
+  }
+  return { userId: String(userId), platform };
+}
+
+/**
+ * Start a web session: a server-issued user id and a signed token for it.
+ * Identity linking and linked memory need the token.
+ */
+router.post('/session', (req, res) => {
+  try {
+    const userId = `web_${crypto.randomUUID()}`;
+    const { token, expiresAt } = createSessionToken(userId, req.app.locals.sessionSecret);
+
+    res.json({ success: true, userId, platform: 'web', token, expiresAt, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    logger.error('Error creating web session:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
 
 /**
  * Main chat endpoint for AI conversations
  */
 router.post('/chat', async (req, res) => {
   try {
-    const { message, userId, platform = 'web' } = req.body;
+    const { message, chain: requestedChain, userLevel } = req.body;
     const { aiOrchestrator } = req.app.locals;
 
-    if (!message || !userId) {
+    if (!message) {
       return res.status(400).json({
         error: 'Missing required fields: message and userId'
       });
     }
 
+    // Without an explicit chain the orchestrator picks one up from the message
+    if (requestedChain !== undefined && !getRequestChain(req, res)) return;
+
+    const account = await getChatAccount(req, res, req.body);
+    if (!account) return;
+    const { userId, platform } = account;
+
     logger.info(`Chat request from ${platform} user ${userId}`);
 
     // Process the query through AI orchestrator
-    const result = await aiOrchestrator.processQuery(message, userId, platform);
+    const result = await aiOrchestrator.processQuery(message, userId, platform, { chain: requestedChain, userLevel });
 
     res.json({
       success: true,
       response: result.response,
+      provider: result.provider,
       intent: result.intent,
+      chain: result.chain,
       confidence: result.confidence,
       suggestedActions: result.suggestedActions,
+      toolsInvoked: result.toolsInvoked,
+      prompts: result.prompts,
+      security: result.security,
+      quotaExceeded: result.quotaExceeded,
+      cached: result.cached,
+      cachedAt: result.cachedAt,
       timestamp: new Date().toISOString()
     });
 
@@ -39,6 +280,91 @@ router.post('/chat', async (req, res) => {
   }
 });
 
+/**
+ * Streaming chat over Server-Sent Events (GET with query parameters or POST with a JSON body).
+ * Events: `intent`, `tool` (started/completed/failed), `token` ({ text }),
+ * then `message` with the same payload as POST /chat, or `error`.
+ */
+async function streamChat(req, res) {
+  const input = req.method === 'GET' ? req.query : req.body || {};
+  const { message, chain: requestedChain, userLevel } = input;
+  const { aiOrchestrator } = req.app.locals;
+
+  if (!message) {
+    return res.status(400).json({
+      error: 'Missing required fields: message and userId'
+    });
+  }
+
+  if (requestedChain !== undefined && !getRequestChain(req, res)) return;
+
+  let account;
+  try {
+    account = await getChatAccount(req, res, input);
+  } catch (error) {
+    logger.error('Error in chat stream:', error);
+    return res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+  if (!account) return;
+  const { userId, platform } = account;
+
+  logger.info(`Streaming chat request from ${platform} user ${userId}`);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  try {
+    for await (const event of aiOrchestrator.streamQuery(message, userId, platform, { chain: requestedChain, userLevel })) {
+      if (closed) break;
+
+      if (event.type === 'intent') {
+        send('intent', { intent: event.intent, chain: event.intent.chain });
+      } else if (event.type === 'tool') {
+        const { type, ...tool } = event;
+        send('tool', tool);
+      } else if (event.type === 'delta') {
+        send('token', { text: event.text });
+      } else if (event.type === 'message') {
+        const result = event.message;
+        send('message', {
+          success: true,
+          response: result.response,
+          provider: result.provider,
+          intent: result.intent,
+          chain: result.chain,
+          confidence: result.confidence,
+          suggestedActions: result.suggestedActions,
+          toolsInvoked: result.toolsInvoked,
+          prompts: result.prompts,
+          security: result.security,
+          quotaExceeded: result.quotaExceeded,
+          cached: result.cached,
+          cachedAt: result.cachedAt,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+  } catch (error) {
+    logger.error('Error in chat stream:', error);
+    if (!closed) send('error', { error: 'AI processing failed', message: error.message });
+  }
+
+  res.end();
+}
+
+router.get('/chat/stream', streamChat);
+router.post('/chat/stream', streamChat);
+
 /**
  * Wallet analysis endpoint 
  */
@@ -53,10 +379,16 @@ router.post('/analyze/wallet', async (req, res) => {
       });
     }
 
-    logger.info(`Wallet analysis request for: ${walletAddress}`);
+    const chain = getRequestChain(req, res);
+    if (!chain) return;
+    if (!isValidAddress(walletAddress, chain)) {
+      return invalidAddress(res, 'walletAddress', walletAddress, chain);
+    }
+
+    logger.info(`Wallet analysis request for: ${walletAddress} on ${chain.name}`);
 
     // Use the correct method that combines multiple endpoints
-    const completeAnalysis = await bitsCrunchAPI.getCompleteWalletAnalysis(walletAddress, options);
+    const completeAnalysis = await bitsCrunchAPI.getCompleteWalletAnalysis(walletAddress, { ...options, chain: chain.name });
 
     if (!completeAnalysis.success) {
       return res.status(400).json({
@@ -65,17 +397,43 @@ router.post('/analyze/wallet', async (req, res) => {
       });
     }
 
+    const wallet = toWallet(completeAnalysis, { chain: chain.name });
+
     // Synthesize the data using AI (shortened response)
     const synthesis = await aiOrchestrator.synthesizeData(
-      completeAnalysis,
-      { type: 'wallet_analysis', confidence: 0.9, maxTokens: 300 }, // Limit response length
-      `Provide a concise analysis of wallet ${walletAddress}`
+      { wallet },
+      { type: 'wallet_analysis', confidence: 0.9, maxTokens: 300, chain: chain.name }, // Limit response length
+      `Provide a concise analysis of wallet ${walletAddress} on ${chain.label}`,
+      requesterOf(req)
     );
 
+    // A single-page portfolio links to the holdings route for the rest
+    const nftPage = completeAnalysis.nfts?.data?.pagination;
+    const portfolio = options.fullPortfolio
+      ? completeAnalysis.nfts?.pagination || null
+      : {
+        fetched: completeAnalysis.nfts?.data?.data?.length || 0,
+        total: nftPage?.total_items ?? null,
+        truncated: Boolean(nftPage?.has_next),
+        next: getNextLink(req, `/wallet/${walletAddress}/nfts`, { chain: chain.name }, {
+          offset: options.offset || 0,
+          limit: options.limit || 20
+        }, nftPage)
+      };
+
     res.json({
       success: true,
       wallet: walletAddress,
-      analysis: synthesis,
+      chain: chain.name,
+      analysis: synthesis.text,
+      sections: synthesis.sections,
+      provider: synthesis.provider,
+      prompts: synthesis.prompts,
+      omitted: synthesis.omitted,
+      grounding: synthesis.grounding,
+      quotaExceeded: Boolean(synthesis.quotaExceeded),
+      portfolio,
+      models: { wallet },
       data: completeAnalysis,
       timestamp: new Date().toISOString()
     });
@@ -89,6 +447,95 @@ router.post('/analyze/wallet', async (req, res) => {
   }
 });
 
+/**
+ * Batch wallet analysis endpoint
+ * Body: a JSON array of addresses, { addresses, options, summarize }, or a
+ * text/csv upload (chain and summarize then come from the query string).
+ */
+router.post('/analyze/wallets', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const { bitsCrunchAPI, aiOrchestrator } = req.app.locals;
+    const body = req.body;
+    const options = (body && typeof body === 'object' && !Array.isArray(body) && body.options) || {};
+    const summarize = body?.summarize === true || req.query.summarize === 'true';
+
+    let addresses;
+    if (typeof body === 'string') {
+      addresses = parseAddressCsv(body);
+    } else if (Array.isArray(body)) {
+      addresses = body;
+    } else {
+      addresses = Array.isArray(body?.addresses) ? body.addresses : [];
+    }
+
+    if (addresses.length === 0) {
+      return res.status(400).json({
+        error: 'Provide wallet addresses as a JSON array, { addresses: [...] } or a text/csv upload'
+      });
+    }
+
+    if (addresses.length > MAX_BATCH_WALLETS) {
+      return res.status(400).json({
+        error: `Too many addresses: ${addresses.length} (maximum ${MAX_BATCH_WALLETS} per request)`
+      });
+    }
+
+    const chain = getRequestChain(req, res);
+    if (!chain) return;
+
+    logger.info(`Batch wallet analysis request for ${addresses.length} wallets on ${chain.name}`);
+
+    const batch = await bitsCrunchAPI.analyzeWallets(addresses, { ...options, chain: chain.name });
+
+    if (!batch.success) {
+      return res.status(400).json({
+        error: 'Failed to analyze wallets',
+        details: batch.error
+      });
+    }
+
+    const wallets = batch.data.map(result => toWalletRow(result, chain));
+
+    // One summary for the whole batch, fed the riskiest wallets rather than every row
+    let analysis = null;
+    if (summarize && batch.summary.succeeded > 0) {
+      const riskiest = wallets
+        .filter(wallet => wallet.success)
+        .sort((a, b) => (b.riskScore ?? -1) - (a.riskScore ?? -1))
+        .slice(0, 20);
+
+      analysis = await aiOrchestrator.synthesizeData(
+        { summary: batch.summary, riskiest },
+        { type: 'batch_wallet_analysis', confidence: 0.85, maxTokens: 400, chain: chain.name },
+        `Summarize the risk profile of ${batch.summary.unique} ${chain.label} wallets and flag the ones that need review`,
+        requesterOf(req)
+      );
+    }
+
+    res.json({
+      success: true,
+      chain: chain.name,
+      summary: batch.summary,
+      wallets,
+      analysis: analysis ? analysis.text : null,
+      sections: analysis ? analysis.sections : null,
+      provider: analysis ? analysis.provider : null,
+      prompts: analysis ? analysis.prompts : [],
+      omitted: analysis ? analysis.omitted : [],
+      grounding: analysis ? analysis.grounding : null,
+      quotaExceeded: Boolean(analysis?.quotaExceeded),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error in batch wallet analysis:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Collection analysis endpoint
  */
@@ -103,12 +550,19 @@ router.post('/analyze/collection', async (req, res) => {
       });
     }
 
-    logger.info(`Collection analysis request for: ${collectionAddress}`);
+    const chain = getRequestChain(req, res);
+    if (!chain) return;
+    if (!isValidAddress(collectionAddress, chain)) {
+      return invalidAddress(res, 'collectionAddress', collectionAddress, chain);
+    }
+
+    logger.info(`Collection analysis request for: ${collectionAddress} on ${chain.name}`);
 
     // Get collection data from bitsCrunch
-    const collectionData = await bitsCrunchAPI.analyzeCollection(collectionAddress, options);
-    const healthData = await bitsCrunchAPI.getCollectionHealth(collectionAddress, options);
-    const metricsData = await bitsCrunchAPI.getCollectionMetrics(collectionAddress, options);
+    const chainOptions = { ...options, chain: chain.name };
+    const collectionData = await bitsCrunchAPI.analyzeCollection(collectionAddress, chainOptions);
+    const healthData = await bitsCrunchAPI.getCollectionHealth(collectionAddress, chainOptions);
+    const metricsData = await bitsCrunchAPI.getCollectionMetrics(collectionAddress, chainOptions);
 
     if (!collectionData.success) {
       return res.status(400).json({
@@ -117,21 +571,33 @@ router.post('/analyze/collection', async (req, res) => {
       });
     }
 
+    const collection = toCollection({
+      profile: collectionData,
+      health: healthData,
+      metrics: metricsData
+    }, { address: collectionAddress, chain: chain.name });
+
     // Synthesize the data using AI
     const synthesis = await aiOrchestrator.synthesizeData(
-      { 
-        collection: collectionData.data, 
-        health: healthData.data, 
-        metrics: metricsData.data 
-      },
-      { type: 'collection_analysis', confidence: 0.9 },
-      `Analyze collection ${collectionAddress}`
+      { collection },
+      { type: 'collection_analysis', confidence: 0.9, chain: chain.name },
+      `Analyze collection ${collectionAddress} on ${chain.label}`,
+      requesterOf(req)
     );
 
     res.json({
       success: true,
       collection: collectionAddress,
-      analysis: synthesis,
+      chain: chain.name,
+      analysis: synthesis.text,
+      sections: synthesis.sections,
+      provider: synthesis.provider,
+      prompts: synthesis.prompts,
+      omitted: synthesis.omitted,
+      grounding: synthesis.grounding,
+      forecast: synthesis.forecast || null,
+      quotaExceeded: Boolean(synthesis.quotaExceeded),
+      models: { collection },
       data: {
         collection: collectionData.data,
         health: healthData.data,
@@ -157,11 +623,15 @@ router.post('/market/insights', async (req, res) => {
     const { options = {} } = req.body;
     const { bitsCrunchAPI, aiOrchestrator } = req.app.locals;
 
-    logger.info('Market insights request');
+    const chain = getRequestChain(req, res);
+    if (!chain) return;
+
+    logger.info(`Market insights request on ${chain.name}`);
 
     // Get market data from bitsCrunch
-    const marketData = await bitsCrunchAPI.getMarketInsights(options);
-    const transactionData = await bitsCrunchAPI.getTransactionMonitoring(options);
+    const chainOptions = { ...options, chain: chain.name };
+    const marketData = await bitsCrunchAPI.getMarketInsights(chainOptions);
+    const transactionData = await bitsCrunchAPI.getTransactionMonitoring(chainOptions);
 
     if (!marketData.success) {
       return res.status(400).json({
@@ -170,16 +640,29 @@ router.post('/market/insights', async (req, res) => {
       });
     }
 
+    const market = toMarketSnapshot(marketData, { chain: chain.name });
+    const transactions = unwrapList(transactionData);
+
     // Synthesize the data using AI
     const synthesis = await aiOrchestrator.synthesizeData(
-      { market: marketData.data, transactions: transactionData.data },
-      { type: 'market_insights', confidence: 0.8 },
-      'Provide market insights and trends'
+      { market, transactions },
+      { type: 'market_insights', confidence: 0.8, chain: chain.name },
+      `Provide ${chain.label} market insights and trends`,
+      requesterOf(req)
     );
 
     res.json({
       success: true,
-      analysis: synthesis,
+      chain: chain.name,
+      analysis: synthesis.text,
+      sections: synthesis.sections,
+      provider: synthesis.provider,
+      prompts: synthesis.prompts,
+      omitted: synthesis.omitted,
+      grounding: synthesis.grounding,
+      forecast: synthesis.forecast || null,
+      quotaExceeded: Boolean(synthesis.quotaExceeded),
+      models: { market },
       data: {
         market: marketData.data,
         transactions: transactionData.data
@@ -210,38 +693,61 @@ router.post('/risk/assessment', async (req, res) => {
       });
     }
 
-    logger.info(`Risk assessment request for wallet: ${walletAddress}, collection: ${collectionAddress}`);
+    const chain = getRequestChain(req, res);
+    if (!chain) return;
+    if (walletAddress && !isValidAddress(walletAddress, chain)) {
+      return invalidAddress(res, 'walletAddress', walletAddress, chain);
+    }
+    if (collectionAddress && !isValidAddress(collectionAddress, chain)) {
+      return invalidAddress(res, 'collectionAddress', collectionAddress, chain);
+    }
+
+    logger.info(`Risk assessment request for wallet: ${walletAddress}, collection: ${collectionAddress} on ${chain.name}`);
 
     const data = {};
+    const models = {};
+    const chainOptions = { ...options, chain: chain.name };
 
     // Get wallet risk data if provided
     if (walletAddress) {
-      const walletData = await bitsCrunchAPI.analyzeWallet(walletAddress, options);
-      const riskData = await bitsCrunchAPI.getWalletRiskScore(walletAddress, options);
+      const walletData = await bitsCrunchAPI.analyzeWallet(walletAddress, chainOptions);
+      const riskData = await bitsCrunchAPI.getWalletRiskScore(walletAddress, chainOptions);
       data.wallet = { analysis: walletData.data, risk: riskData.data };
+      models.wallet = toWallet({ profile: walletData, reputation: riskData }, { address: walletAddress, chain: chain.name });
     }
 
     // Get collection risk data if provided
     if (collectionAddress) {
-      const collectionData = await bitsCrunchAPI.analyzeCollection(collectionAddress, options);
-      const healthData = await bitsCrunchAPI.getCollectionHealth(collectionAddress, options);
+      const collectionData = await bitsCrunchAPI.analyzeCollection(collectionAddress, chainOptions);
+      const healthData = await bitsCrunchAPI.getCollectionHealth(collectionAddress, chainOptions);
       data.collection = { analysis: collectionData.data, health: healthData.data };
+      models.collection = toCollection({ profile: collectionData, health: healthData }, { address: collectionAddress, chain: chain.name });
     }
 
     // Get market context
-    const marketData = await bitsCrunchAPI.getMarketInsights({ timeframe: '7d' });
+    const marketData = await bitsCrunchAPI.getMarketInsights({ timeframe: '7d', chain: chain.name });
     data.market = marketData.data;
+    models.market = toMarketSnapshot(marketData, { chain: chain.name });
 
     // Synthesize risk assessment using AI
     const synthesis = await aiOrchestrator.synthesizeData(
-      data,
-      { type: 'risk_assessment', confidence: 0.9 },
-      `Assess risk for wallet: ${walletAddress}, collection: ${collectionAddress}`
+      models,
+      { type: 'risk_assessment', confidence: 0.9, chain: chain.name },
+      `Assess risk for wallet: ${walletAddress}, collection: ${collectionAddress} on ${chain.label}`,
+      requesterOf(req)
     );
 
     res.json({
       success: true,
-      assessment: synthesis,
+      chain: chain.name,
+      assessment: synthesis.text,
+      sections: synthesis.sections,
+      provider: synthesis.provider,
+      prompts: synthesis.prompts,
+      omitted: synthesis.omitted,
+      grounding: synthesis.grounding,
+      quotaExceeded: Boolean(synthesis.quotaExceeded),
+      models,
       data,
       timestamp: new Date().toISOString()
     });
@@ -269,14 +775,25 @@ router.get('/search/collections', async (req, res) => {
       });
     }
 
-    logger.info(`Collection search request for: ${q}`);
+    const chain = getRequestChain(req, res);
+    if (!chain) return;
+
+    const position = getPagePosition(req.query, 10);
+    if (!position) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    logger.info(`Collection search request for: ${q} on ${chain.name}`);
 
-    const searchData = await bitsCrunchAPI.searchCollections(q, options);
+    const searchData = await bitsCrunchAPI.searchCollections(q, { ...options, ...position, chain: chain.name });
 
     res.json({
       success: true,
       query: q,
-      results: searchData.data,
+      chain: chain.name,
+      results: toCollectionSummaries(searchData, { chain: chain.name }),
+      pagination: searchData.data?.pagination || null,
+      next: getNextLink(req, '/search/collections', req.query, position, searchData.data?.pagination),
       timestamp: new Date().toISOString()
     });
 
@@ -289,6 +806,84 @@ router.get('/search/collections', async (req, res) => {
   }
 });
 
+/**
+ * Wallet NFT holdings endpoint
+ * Pages with `limit` + `cursor`; `all=true` walks every page (capped by `maxItems`).
+ */
+router.get('/wallet/:address/nfts', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { all, maxItems } = req.query;
+    const { bitsCrunchAPI } = req.app.locals;
+
+    const chain = getRequestChain(req, res);
+    if (!chain) return;
+    if (!isValidAddress(address, chain)) {
+      return invalidAddress(res, 'address', address, chain);
+    }
+
+    if (all === 'true') {
+      logger.info(`Full NFT portfolio request for: ${address} on ${chain.name}`);
+
+      const portfolio = await bitsCrunchAPI.getAllWalletNFTs(address, {
+        chain: chain.name,
+        maxItems: parseInt(maxItems) || undefined,
+        concurrency: 3
+      });
+
+      if (!portfolio.success) {
+        return res.status(400).json({
+          error: 'Failed to get NFT portfolio',
+          details: portfolio.error
+        });
+      }
+
+      return res.json({
+        success: true,
+        wallet: address,
+        chain: chain.name,
+        nfts: toNFTHoldings(portfolio),
+        pagination: portfolio.pagination,
+        next: null,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const position = getPagePosition(req.query, 20);
+    if (!position) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    logger.info(`NFT portfolio page request for: ${address} on ${chain.name} (offset ${position.offset})`);
+
+    const page = await bitsCrunchAPI.getWalletNFTs(address, { ...position, chain: chain.name });
+
+    if (!page.success) {
+      return res.status(400).json({
+        error: 'Failed to get NFT portfolio',
+        details: page.error
+      });
+    }
+
+    res.json({
+      success: true,
+      wallet: address,
+      chain: chain.name,
+      nfts: toNFTHoldings(page),
+      pagination: page.data?.pagination || null,
+      next: getNextLink(req, `/wallet/${address}/nfts`, req.query, position, page.data?.pagination),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error in wallet NFT portfolio:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Fraud alerts endpoint
  */
@@ -297,13 +892,18 @@ router.get('/fraud/alerts', async (req, res) => {
     const { options = {} } = req.query;
     const { bitsCrunchAPI } = req.app.locals;
 
-    logger.info('Fraud alerts request');
+    const chain = getRequestChain(req, res);
+    if (!chain) return;
+
+    logger.info(`Fraud alerts request on ${chain.name}`);
 
-    const alertsData = await bitsCrunchAPI.getFraudAlerts(options);
+    const alertsData = await bitsCrunchAPI.getFraudAlerts({ ...options, chain: chain.name });
 
     res.json({
       success: true,
-      alerts: alertsData.data,
+      chain: chain.name,
+      alerts: toFraudAlerts(alertsData, { chain: chain.name }),
+      pagination: alertsData.data?.pagination || null,
       timestamp: new Date().toISOString()
     });
 
@@ -317,7 +917,19 @@ router.get('/fraud/alerts', async (req, res) => {
 });
 
 /**
- * Conversation history endpoint
+ * Supported chains endpoint
+ */
+router.get('/chains', (req, res) => {
+  res.json({
+    success: true,
+    chains: listChains(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Conversation history endpoint. History merged across linked accounts needs
+ * the web user's session token; other requests get the account's own history.
  */
 router.get('/conversation/history/:userId', async (req, res) => {
   try {
@@ -327,7 +939,7 @@ router.get('/conversation/history/:userId', async (req, res) => {
 
     logger.info(`Conversation history request for user: ${userId}`);
 
-    const history = aiOrchestrator.getConversationHistory(userId, platform);
+    const history = await aiOrchestrator.getConversationHistory(userId, platform, 5, { linked: ownsAccount(req, userId, platform) });
 
     res.json({
       success: true,
@@ -357,7 +969,7 @@ router.delete('/conversation/memory/:userId', async (req, res) => {
 
     logger.info(`Clear memory request for user: ${userId}`);
 
-    aiOrchestrator.clearMemory(userId, platform);
+    await aiOrchestrator.clearMemory(userId, platform);
 
     res.json({
       success: true,
@@ -376,24 +988,123 @@ router.delete('/conversation/memory/:userId', async (req, res) => {
   }
 });
 
+function sendIdentityError(res, error) {
+  if (error.name === 'IdentityLinkError') {
+    return res.status(error.code === 'NOT_LINKED' ? 404 : 400).json({ error: error.message, code: error.code });
+  }
+
+  logger.error('Error in identity linking:', error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message
+  });
+}
+
+/**
+ * Identity linking for the session's web user: with `code`, link it to the
+ * bot account that issued it (/link in Discord or Telegram); without, issue a
+ * code to redeem from a bot
+ */
+router.post('/identity/link', requireWebSession, async (req, res) => {
+  try {
+    const account = req.webAccount;
+    const { aiOrchestrator } = req.app.locals;
+
+    if (!req.body?.code) {
+      const { code, expiresAt } = aiOrchestrator.createLinkCode(account.userId, account.platform);
+      return res.json({ success: true, code, expiresAt, timestamp: new Date().toISOString() });
+    }
+
+    const { identityId, accounts } = await aiOrchestrator.linkAccount(req.body.code, account.userId, account.platform);
+    res.json({ success: true, identityId, accounts, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    sendIdentityError(res, error);
+  }
+});
+
+/**
+ * Accounts linked with the session's web user
+ */
+router.get('/identity/link', requireWebSession, async (req, res) => {
+  try {
+    const account = req.webAccount;
+
+    const accounts = await req.app.locals.aiOrchestrator.getLinkedAccounts(account.userId, account.platform);
+    res.json({ success: true, ...account, accounts, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    sendIdentityError(res, error);
+  }
+});
+
+/**
+ * Unlink the session's web user from its identity; its own history stays
+ */
+router.delete('/identity/link', requireWebSession, async (req, res) => {
+  try {
+    const account = req.webAccount;
+
+    const remaining = await req.app.locals.aiOrchestrator.unlinkAccount(account.userId, account.platform);
+    res.json({ success: true, ...account, remaining, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    sendIdentityError(res, error);
+  }
+});
+
+/**
+ * LLM usage and cost per day, platform, intent type, model and user.
+ * Query: from/to (YYYY-MM-DD, inclusive, default today), userId, platform.
+ */
+router.get('/admin/usage', requireAdmin, (req, res) => {
+  try {
+    const { from, to, userId, platform } = req.query;
+    const { aiOrchestrator } = req.app.locals;
+
+    const invalid = [['from', from], ['to', to]].find(([, day]) => day && !/^\d{4}-\d{2}-\d{2}$/.test(day));
+    if (invalid) {
+      return res.status(400).json({ error: `Invalid ${invalid[0]} date: ${invalid[1]} (expected YYYY-MM-DD)` });
+    }
+
+    res.json({
+      success: true,
+      ...aiOrchestrator.usage.report({ from, to, userId, platform }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error in usage report:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * API status and health check
  */
 router.get('/status', async (req, res) => {
   try {
-    const { bitsCrunchAPI } = req.app.locals;
+    const { bitsCrunchAPI, aiOrchestrator } = req.app.locals;
 
     // Test bitsCrunch API connection
     const apiStatus = await bitsCrunchAPI.testConnection();
+    const clientStats = bitsCrunchAPI.getStats();
 
     res.json({
       success: true,
-      status: 'operational',
+      status: clientStats.circuitBreaker.state === 'closed' ? 'operational' : 'degraded',
       services: {
         web_api: true,
         bitscrunch_api: apiStatus.success,
+        bitscrunch_circuit: clientStats.circuitBreaker.state,
         ai_orchestrator: true
       },
+      bitscrunch_client: clientStats,
+      response_cache: aiOrchestrator?.responseCache ? aiOrchestrator.responseCache.getStats() : { type: 'none' },
+      memory: aiOrchestrator ? await aiOrchestrator.memory.getMemoryStats() : null,
       timestamp: new Date().toISOString(),
       version: '1.0.0'
     });
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -7,10 +8,15 @@ const helmet = require('helmet');
 const { AIOrchestrator } = require('./ai/orchestrator');
 const BitsCrunchAPI = require('./api/bitscrunch');
 const webRoutes = require('./api/routes');
+const { startMockServer } = require('./api/mock-server');
+const { createCacheStore } = require('./utils/cache');
+const { createConversationStore } = require('./ai/memory-store');
+const { listChains } = require('./utils/chains');
 const logger = require('./utils/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DEMO_MODE = process.env.DEMO_MODE === 'true';
 
 // Middleware
 app.use(helmet());
@@ -18,51 +24,165 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-console.log('🚀 Initializing NFT Intelligence AI with REAL DATA ONLY...');
+console.log(DEMO_MODE
+  ? '🚀 Initializing NFT Intelligence AI in DEMO MODE (local mock bitsCrunch API)...'
+  : '🚀 Initializing NFT Intelligence AI with REAL DATA ONLY...');
 
-// Initialize BitsCrunch API - REAL DATA ONLY
-function initializeBitsCrunchAPI() {
+// Initialize BitsCrunch API - REAL DATA unless DEMO_MODE or fixture replay
+async function initializeBitsCrunchAPI() {
   const apiKey = process.env.BITSCRUNCH_API_KEY;
+  const fixtureMode = process.env.BITSCRUNCH_FIXTURES; // record | replay
+  const hasApiKey = apiKey && apiKey !== 'your_bitscrunch_api_key_here';
   
-  if (!apiKey || apiKey === 'your_bitscrunch_api_key_here') {
+  if (!hasApiKey && !DEMO_MODE && fixtureMode !== 'replay') {
     console.error('❌ BITSCRUNCH_API_KEY is required for real data operation');
     console.log('💡 Get your FREE API key at: https://unleashNFTs.com');
+    console.log('💡 Or run offline from recorded fixtures: BITSCRUNCH_FIXTURES=replay npm start');
+    console.log('💡 Or demo against the local mock API: DEMO_MODE=true npm start');
     process.exit(1);
   }
   
-  console.log('🔗 Initializing Real BitsCrunch API...');
-  return new BitsCrunchAPI(apiKey);
+  let baseURL;
+  if (DEMO_MODE) {
+    const mockServer = await startMockServer(parseInt(process.env.MOCK_BITSCRUNCH_PORT) || 0);
+    baseURL = mockServer.url;
+    console.log(`🎭 Mock bitsCrunch API running at ${baseURL}`);
+  } else if (fixtureMode === 'replay') {
+    console.log('📼 Replaying bitsCrunch API responses from fixtures...');
+  } else {
+    console.log(`🔗 Initializing Real BitsCrunch API${fixtureMode === 'record' ? ' (recording fixtures)' : ''}...`);
+  }
+
+  return new BitsCrunchAPI(hasApiKey ? apiKey : 'demo', {
+    baseURL,
+    fixtures: fixtureMode ? {
+      mode: fixtureMode,
+      directory: process.env.BITSCRUNCH_FIXTURES_DIR || 'data/fixtures/bitscrunch'
+    } : null,
+    cache: createCacheStore(process.env.BITSCRUNCH_CACHE || 'memory', {
+      maxEntries: parseInt(process.env.BITSCRUNCH_CACHE_MAX_ENTRIES) || 500,
+      directory: process.env.BITSCRUNCH_CACHE_DIR || '.cache/bitscrunch'
+    }),
+    cacheTTLs: parseCacheTTLs(process.env.BITSCRUNCH_CACHE_TTLS),
+    // Replayed fixtures and the local mock cost no quota
+    rateLimit: DEMO_MODE || fixtureMode === 'replay' ? false : {
+      tokensPerInterval: parseInt(process.env.BITSCRUNCH_RATE_LIMIT_PER_MINUTE) || 30,
+      interval: 60 * 1000,
+      burst: parseInt(process.env.BITSCRUNCH_RATE_LIMIT_BURST) || 10
+    },
+    retry: {
+      maxAttempts: parseInt(process.env.BITSCRUNCH_MAX_ATTEMPTS) || 3
+    },
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.BITSCRUNCH_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeout: parseInt(process.env.BITSCRUNCH_CIRCUIT_RESET_MS) || 30000
+    }
+  });
+}
+
+// Parse "market=30,walletProfile=3600" (seconds) into per-family TTLs in ms
+function parseCacheTTLs(value) {
+  if (!value) return {};
+
+  return value.split(',').reduce((ttls, pair) => {
+    const [family, seconds] = pair.split('=').map(part => part.trim());
+    if (family && !isNaN(parseFloat(seconds))) {
+      ttls[family] = parseFloat(seconds) * 1000;
+    }
+    return ttls;
+  }, {});
+}
+
+/**
+ * Parse LLM_PRICES ("gpt-4o=2.5/10,gemini-1.5-flash=0.075/0.3") into
+ * { model: { input, output } } in USD per million tokens
+ */
+function parseLLMPrices(value) {
+  if (!value) return {};
+
+  return value.split(',').reduce((prices, pair) => {
+    const [model, rates = ''] = pair.split('=').map(part => part.trim());
+    const [input, output = input] = rates.split('/').map(parseFloat);
+    if (model && !isNaN(input) && !isNaN(output)) {
+      prices[model] = { input, output };
+    }
+    return prices;
+  }, {});
 }
 
 // Initialize AI Orchestrator - REAL AI ONLY
-function initializeAIOrchestrator() {
+function initializeAIOrchestrator(bitsCrunchAPI) {
+  const isSet = value => Boolean(value) && !value.startsWith('your_');
   const geminiKey = process.env.GOOGLE_GEMINI_API_KEY;
   const openaiKey = process.env.OPENAI_API_KEY;
+  const cohereKey = process.env.COHERE_API_KEY;
+  const localBaseURL = process.env.LOCAL_LLM_BASE_URL;
+  
+  const hasLLM = [geminiKey, openaiKey, cohereKey, localBaseURL].some(isSet);
+  // Offline replay runs without a model: rule-based intents and data-only answers
+  const offline = process.env.BITSCRUNCH_FIXTURES === 'replay';
   
-  if ((!geminiKey || geminiKey === 'your_free_gemini_key_here') && 
-      (!openaiKey || openaiKey === 'your_openai_api_key_here')) {
-    console.error('❌ AI API key is required (Google Gemini or OpenAI)');
+  if (!hasLLM && !offline) {
+    console.error('❌ AI API key is required (Google Gemini, OpenAI, Cohere or LOCAL_LLM_BASE_URL)');
     console.log('💡 Get FREE Google Gemini key at: https://aistudio.google.com/app/apikey');
+    console.log('💡 Or run offline from recorded fixtures: BITSCRUNCH_FIXTURES=replay npm start');
     process.exit(1);
   }
   
   const config = {
     provider: process.env.AI_PROVIDER || 'gemini',
+    // Fallback order, e.g. "gemini,openai,local"; defaults to AI_PROVIDER then every configured provider
+    providers: process.env.AI_PROVIDERS ? process.env.AI_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean) : null,
     apiKey: openaiKey,
     googleApiKey: geminiKey,
-    model: process.env.AI_MODEL || 'gemini-pro'
+    cohereApiKey: cohereKey,
+    local: {
+      baseURL: localBaseURL,
+      apiKey: process.env.LOCAL_LLM_API_KEY,
+      model: process.env.LOCAL_LLM_MODEL
+    },
+    model: process.env.AI_MODEL,
+    models: {
+      gemini: process.env.GEMINI_MODEL,
+      openai: process.env.OPENAI_MODEL,
+      cohere: process.env.COHERE_MODEL
+    },
+    // Directory of prompt template overrides (<template>.txt)
+    promptsDir: process.env.PROMPTS_DIR,
+    // Data tokens per synthesis prompt before fields are pruned
+    synthesisTokenBudget: parseInt(process.env.SYNTHESIS_TOKEN_BUDGET) || undefined,
+    // LLM prices (USD per million tokens) and each user's daily spend limit
+    llmPrices: parseLLMPrices(process.env.LLM_PRICES),
+    dailyBudget: parseFloat(process.env.USAGE_DAILY_BUDGET_USD) || null,
+    // What happens to figures an analysis cites that are not in the data: annotate or remove
+    groundingMode: process.env.GROUNDING_MODE,
+    demoMode: DEMO_MODE
   };
   
-  console.log(`🤖 Initializing Real AI: ${config.provider}`);
-  return new AIOrchestrator(config);
+  console.log(hasLLM
+    ? `🤖 Initializing Real AI: ${config.provider}`
+    : '📼 No AI key set: answering offline with rule-based intents and bitsCrunch data only');
+  return new AIOrchestrator(config, {
+    bitsCrunchAPI,
+    // Repeated chat questions on unchanged data skip the LLM
+    responseCache: createCacheStore(process.env.RESPONSE_CACHE || 'memory', {
+      maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000,
+      directory: process.env.RESPONSE_CACHE_DIR || '.cache/responses'
+    }),
+    // Conversation history and learned preferences survive restarts in the file store
+    memoryStore: createConversationStore(process.env.MEMORY_STORE || 'file', {
+      file: process.env.MEMORY_FILE || 'data/conversations.json',
+      writeDelay: process.env.MEMORY_WRITE_DELAY_MS !== undefined ? parseInt(process.env.MEMORY_WRITE_DELAY_MS) : undefined
+    })
+  });
 }
 
 // Main initialization
 async function startServer() {
   try {
     // Initialize services - REAL APIS ONLY
-    const bitsCrunchAPI = initializeBitsCrunchAPI();
-    const aiOrchestrator = initializeAIOrchestrator();
+    const bitsCrunchAPI = await initializeBitsCrunchAPI();
+    const aiOrchestrator = initializeAIOrchestrator(bitsCrunchAPI);
     
     // Test API connections
     console.log('🧪 Testing API connections...');
@@ -77,6 +197,11 @@ async function startServer() {
     // Make services available to routes
     app.locals.bitsCrunchAPI = bitsCrunchAPI;
     app.locals.aiOrchestrator = aiOrchestrator;
+    app.locals.adminApiKey = process.env.ADMIN_API_KEY;
+    app.locals.sessionSecret = process.env.WEB_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+    if (!process.env.WEB_SESSION_SECRET) {
+      logger.warn('WEB_SESSION_SECRET not set: web sessions end when the server restarts');
+    }
     
     // Routes
     app.use('/api', webRoutes);
@@ -87,7 +212,7 @@ async function startServer() {
         message: '🚀 NFT Intelligence AI - bitsCrunch x AI Builders Hack 2025',
         status: '🎉 REAL DATA ONLY - PRODUCTION READY',
         features: [
-          '🤖 Real AI Analysis (Google Gemini/OpenAI)',
+          '🤖 Real AI Analysis (Gemini/OpenAI/Cohere/local, with fallback)',
           '📊 Real NFT Data (bitsCrunch API)',
           '🔮 Live Market Predictions',
           '💬 Cross-Platform Memory Persistence',
@@ -96,8 +221,8 @@ async function startServer() {
         ],
         apis: {
           bitsCrunch: {
-            status: 'LIVE',
-            type: 'Production API',
+            status: DEMO_MODE ? 'DEMO' : 'LIVE',
+            type: DEMO_MODE ? 'Local mock API (demo scenarios)' : 'Production API',
             features: [
               'Real wallet analysis & risk scoring',
               'Live collection health metrics',
@@ -108,8 +233,9 @@ async function startServer() {
           },
           ai: {
             status: 'LIVE',
-            provider: process.env.AI_PROVIDER || 'gemini',
-            model: process.env.AI_MODEL || 'gemini-pro',
+            provider: aiOrchestrator.llm.providers[0].name,
+            model: aiOrchestrator.llm.providers[0].model,
+            fallbacks: aiOrchestrator.llm.names.slice(1),
             features: [
               'Natural language processing',
               'Intent analysis & context memory',
@@ -124,7 +250,8 @@ async function startServer() {
           analyze_collection: 'POST /api/analyze/collection - Real collection data',
           market_insights: 'POST /api/market/insights - Current market trends',
           risk_assessment: 'POST /api/risk/assessment - Real-time risk analysis',
-          fraud_alerts: 'GET /api/fraud/alerts - Live fraud detection'
+          fraud_alerts: 'GET /api/fraud/alerts - Live fraud detection',
+          chains: 'GET /api/chains - Supported chains (pass `chain` to any endpoint)'
         },
         demo_queries: [
           {
@@ -160,29 +287,33 @@ async function startServer() {
           ]
         },
         ready: true,
-        dataSource: 'LIVE',
-        mockData: false
+        dataSource: DEMO_MODE ? 'MOCK' : 'LIVE',
+        mockData: DEMO_MODE
       });
     });
     
     // Health check endpoint
     app.get('/health', async (req, res) => {
       const bitsCrunchHealth = await bitsCrunchAPI.testConnection();
+      const clientStats = bitsCrunchAPI.getStats();
       
       res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        mode: 'PRODUCTION',
+        mode: DEMO_MODE ? 'DEMO' : 'PRODUCTION',
         services: {
           web_api: true,
           bitscrunch_api: bitsCrunchHealth.success,
-          ai_orchestrator: !aiOrchestrator.isDemoMode,
-          real_data_only: true
+          bitscrunch_circuit: clientStats.circuitBreaker.state,
+          ai_orchestrator: true,
+          real_data_only: !DEMO_MODE && bitsCrunchAPI.fixtureMode !== 'replay'
         },
         apis: {
-          bitscrunch: 'Live Production API',
-          ai: aiOrchestrator.isDemoMode ? 'Demo Mode' : 'Live AI API'
+          bitscrunch: DEMO_MODE ? 'Local mock API (Demo Mode)' :
+            bitsCrunchAPI.fixtureMode === 'replay' ? 'Recorded fixtures (replay)' : 'Live Production API',
+          ai: aiOrchestrator.llm.names.length > 0 ? 'Live AI API' : 'Rule-based, data-only answers'
         },
+        bitscrunch_client: clientStats,
         hackathon: 'bitsCrunch x AI Builders Hack 2025',
         ready_for_judging: true
       });
@@ -240,13 +371,22 @@ async function startServer() {
       }
     }
     
+    // Batched memory store writes are saved before the process exits
+    const shutdown = async (signal) => {
+      console.log(`\n👋 ${signal} received, saving conversation memory...`);
+      await aiOrchestrator.memory.store.flush();
+      process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
     // Start server
     app.listen(PORT, () => {
       console.log(`\n🚀 NFT Intelligence AI Server running on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
       console.log(`🎬 Demo page: http://localhost:${PORT}/demo`);
-      console.log(`🤖 AI Provider: ${process.env.AI_PROVIDER || 'gemini'} (LIVE)`);
-      console.log(`🔗 bitsCrunch API: Production (LIVE)`);
+      console.log(`🤖 AI Providers: ${aiOrchestrator.llm.names.length > 0 ? `${aiOrchestrator.llm.names.join(' → ')} (LIVE)` : 'none (rule-based, data-only answers)'}`);
+      console.log(`🔗 bitsCrunch API: ${DEMO_MODE ? 'Local mock (DEMO)' : bitsCrunchAPI.fixtureMode === 'replay' ? 'Recorded fixtures (REPLAY)' : 'Production (LIVE)'}`);
       
       console.log(`\n🎉 100% REAL DATA - PRODUCTION READY!`);
       console.log(`💰 Live NFT prices, volumes, and market data`);
@@ -263,6 +403,7 @@ async function startServer() {
       console.log(`   POST /api/analyze/collection - Live collection data`);
       console.log(`   POST /api/market/insights - Current market trends`);
       console.log(`   POST /api/risk/assessment - Real-time risk analysis`);
+      console.log(`   GET  /api/chains - Supported chains (${listChains().map(({ name }) => name).join(', ')})`);
       
       console.log(`\n🎯 Test with real data:`);
       console.log(`curl http://localhost:${PORT}/demo`);
@@ -1,5 +1,22 @@
 const { Client, GatewayIntentBits, Collection, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const logger = require('../utils/logger');
+const { isValidAddress, formatAmount, formatPercent, formatLargeNumber, createThrottledUpdater } = require('../utils/helpers');
+const { resolveChain, listChains } = require('../utils/chains');
+const { toWallet, toCollection, toMarketSnapshot, toCollectionSummaries, toFraudAlerts, unwrapList } = require('../api/models');
+const { SYNTHESIS_SECTIONS } = require('../ai/schemas');
+const { LINK_CODE_TTL_MS } = require('../ai/identity');
+
+// Minimum gap between edits of a reply while a chat answer streams in (Discord rate-limits edits)
+const STREAM_EDIT_INTERVAL_MS = 1500;
+
+// Optional `chain` argument shared by every data command
+const CHAIN_OPTION = {
+  name: 'chain',
+  description: 'Blockchain (defaults to Ethereum)',
+  type: 3, // STRING
+  required: false,
+  choices: listChains().map(({ name, label }) => ({ name: label, value: name }))
+};
 
 class DiscordBot {
   constructor(token, services) {
@@ -112,7 +129,8 @@ class DiscordBot {
               { name: '30 Days', value: '30d' },
               { name: '90 Days', value: '90d' }
             ]
-          }
+          },
+          CHAIN_OPTION
         ]
       },
       {
@@ -129,7 +147,8 @@ class DiscordBot {
               { name: '7 Days', value: '7d' },
               { name: '30 Days', value: '30d' }
             ]
-          }
+          },
+          CHAIN_OPTION
         ]
       },
       {
@@ -147,7 +166,8 @@ class DiscordBot {
             description: 'Collection address to assess',
             type: 3, // STRING
             required: false
-          }
+          },
+          CHAIN_OPTION
         ]
       },
       {
@@ -159,7 +179,8 @@ class DiscordBot {
             description: 'Search query (collection name or address)',
             type: 3, // STRING
             required: true
-          }
+          },
+          CHAIN_OPTION
         ]
       },
       {
@@ -176,7 +197,8 @@ class DiscordBot {
               { name: '24 Hours', value: '24h' },
               { name: '7 Days', value: '7d' }
             ]
-          }
+          },
+          CHAIN_OPTION
         ]
       },
       {
@@ -188,9 +210,26 @@ class DiscordBot {
             description: 'Your message to the AI',
             type: 3, // STRING
             required: true
+          },
+          CHAIN_OPTION
+        ]
+      },
+      {
+        name: 'link',
+        description: 'Link your Discord, Telegram and web accounts so they share memory',
+        options: [
+          {
+            name: 'code',
+            description: 'Code from /link on another platform (leave empty to get one)',
+            type: 3, // STRING
+            required: false
           }
         ]
       },
+      {
+        name: 'unlink',
+        description: 'Unlink this Discord account from your other accounts'
+      },
       {
         name: 'help',
         description: 'Show available commands and features'
@@ -212,6 +251,8 @@ class DiscordBot {
     this.commands.set('search', this.handleSearchCommand.bind(this));
     this.commands.set('alerts', this.handleAlertsCommand.bind(this));
     this.commands.set('chat', this.handleChatCommand.bind(this));
+    this.commands.set('link', this.handleLinkCommand.bind(this));
+    this.commands.set('unlink', this.handleUnlinkCommand.bind(this));
     this.commands.set('help', this.handleHelpCommand.bind(this));
   }
 
@@ -224,36 +265,46 @@ class DiscordBot {
     const type = interaction.options.getString('type');
     const address = interaction.options.getString('address');
     const timeframe = interaction.options.getString('timeframe') || '30d';
+    const chain = resolveChain(interaction.options.getString('chain'));
+
+    if (!isValidAddress(address, chain)) {
+      await interaction.editReply(`❌ \`${address}\` is not a valid ${chain.label} address.`);
+      return;
+    }
 
     try {
+      const options = { timeframe, chain: chain.name };
       let result;
+      let model;
       if (type === 'wallet') {
-        result = await bot.bitsCrunchAPI.analyzeWallet(address, { timeframe });
+        result = await bot.bitsCrunchAPI.analyzeWallet(address, options);
         if (result.success) {
-          const riskResult = await bot.bitsCrunchAPI.getWalletRiskScore(address);
-          result.data.risk = riskResult.data;
+          const riskResult = await bot.bitsCrunchAPI.getWalletRiskScore(address, { chain: chain.name });
+          model = toWallet({ profile: result, reputation: riskResult }, { address, chain: chain.name });
         }
       } else {
-        result = await bot.bitsCrunchAPI.analyzeCollection(address, { timeframe });
+        result = await bot.bitsCrunchAPI.analyzeCollection(address, options);
         if (result.success) {
-          const healthResult = await bot.bitsCrunchAPI.getCollectionHealth(address);
-          result.data.health = healthResult.data;
+          const healthResult = await bot.bitsCrunchAPI.getCollectionHealth(address, { chain: chain.name });
+          const metricsResult = await bot.bitsCrunchAPI.getCollectionMetrics(address, { chain: chain.name });
+          model = toCollection({ profile: result, health: healthResult, metrics: metricsResult }, { address, chain: chain.name });
         }
       }
 
       if (!result.success) {
-        await interaction.editReply(`❌ Failed to analyze ${type}: ${result.error}`);
+        await interaction.editReply(`❌ Failed to analyze ${type}: ${result.error?.message || result.error}`);
         return;
       }
 
       // Synthesize with AI
       const synthesis = await bot.aiOrchestrator.synthesizeData(
-        result.data,
-        { type: `${type}_analysis`, confidence: 0.9 },
-        `Analyze ${type} ${address}`
+        { [type]: model },
+        { type: `${type}_analysis`, confidence: 0.9, chain: chain.name },
+        `Analyze ${type} ${address} on ${chain.label}`,
+        { userId: interaction.user.id, platform: 'discord' }
       );
 
-      const embed = this.createAnalysisEmbed(type, address, synthesis, result.data);
+      const embed = this.createAnalysisEmbed(type, address, synthesis, model, chain);
       await interaction.editReply({ embeds: [embed] });
 
     } catch (error) {
@@ -269,24 +320,28 @@ class DiscordBot {
     await interaction.deferReply();
 
     const timeframe = interaction.options.getString('timeframe') || '7d';
+    const chain = resolveChain(interaction.options.getString('chain'));
 
     try {
-      const marketData = await bot.bitsCrunchAPI.getMarketInsights({ timeframe });
-      const transactionData = await bot.bitsCrunchAPI.getTransactionMonitoring({ timeframe });
+      const marketData = await bot.bitsCrunchAPI.getMarketInsights({ timeframe, chain: chain.name });
+      const transactionData = await bot.bitsCrunchAPI.getTransactionMonitoring({ timeframe, chain: chain.name });
 
       if (!marketData.success) {
-        await interaction.editReply(`❌ Failed to get market insights: ${marketData.error}`);
+        await interaction.editReply(`❌ Failed to get market insights: ${marketData.error?.message || marketData.error}`);
         return;
       }
 
+      const market = toMarketSnapshot(marketData, { chain: chain.name });
+
       // Synthesize with AI
       const synthesis = await bot.aiOrchestrator.synthesizeData(
-        { market: marketData.data, transactions: transactionData.data },
-        { type: 'market_insights', confidence: 0.8 },
-        'Provide market insights and trends'
+        { market, transactions: unwrapList(transactionData) },
+        { type: 'market_insights', confidence: 0.8, chain: chain.name },
+        `Provide ${chain.label} market insights and trends`,
+        { userId: interaction.user.id, platform: 'discord' }
       );
 
-      const embed = this.createMarketEmbed(synthesis, marketData.data);
+      const embed = this.createMarketEmbed(synthesis, market, chain);
       await interaction.editReply({ embeds: [embed] });
 
     } catch (error) {
@@ -303,38 +358,47 @@ class DiscordBot {
 
     const wallet = interaction.options.getString('wallet');
     const collection = interaction.options.getString('collection');
+    const chain = resolveChain(interaction.options.getString('chain'));
 
     if (!wallet && !collection) {
       await interaction.editReply('❌ Please provide either a wallet or collection address.');
       return;
     }
 
+    const invalid = [wallet, collection].find(address => address && !isValidAddress(address, chain));
+    if (invalid) {
+      await interaction.editReply(`❌ \`${invalid}\` is not a valid ${chain.label} address.`);
+      return;
+    }
+
     try {
       const data = {};
+      const options = { chain: chain.name };
 
       if (wallet) {
-        const walletData = await bot.bitsCrunchAPI.analyzeWallet(wallet);
-        const riskData = await bot.bitsCrunchAPI.getWalletRiskScore(wallet);
-        data.wallet = { analysis: walletData.data, risk: riskData.data };
+        const walletData = await bot.bitsCrunchAPI.analyzeWallet(wallet, options);
+        const riskData = await bot.bitsCrunchAPI.getWalletRiskScore(wallet, options);
+        data.wallet = toWallet({ profile: walletData, reputation: riskData }, { address: wallet, chain: chain.name });
       }
 
       if (collection) {
-        const collectionData = await bot.bitsCrunchAPI.analyzeCollection(collection);
-        const healthData = await bot.bitsCrunchAPI.getCollectionHealth(collection);
-        data.collection = { analysis: collectionData.data, health: healthData.data };
+        const collectionData = await bot.bitsCrunchAPI.analyzeCollection(collection, options);
+        const healthData = await bot.bitsCrunchAPI.getCollectionHealth(collection, options);
+        data.collection = toCollection({ profile: collectionData, health: healthData }, { address: collection, chain: chain.name });
       }
 
-      const marketData = await bot.bitsCrunchAPI.getMarketInsights({ timeframe: '7d' });
-      data.market = marketData.data;
+      const marketData = await bot.bitsCrunchAPI.getMarketInsights({ timeframe: '7d', ...options });
+      data.market = toMarketSnapshot(marketData, options);
 
       // Synthesize risk assessment
       const synthesis = await bot.aiOrchestrator.synthesizeData(
         data,
-        { type: 'risk_assessment', confidence: 0.9 },
-        `Assess risk for wallet: ${wallet}, collection: ${collection}`
+        { type: 'risk_assessment', confidence: 0.9, chain: chain.name },
+        `Assess risk for wallet: ${wallet}, collection: ${collection} on ${chain.label}`,
+        { userId: interaction.user.id, platform: 'discord' }
       );
 
-      const embed = this.createRiskEmbed(synthesis, data);
+      const embed = this.createRiskEmbed(synthesis, data, chain);
       await interaction.editReply({ embeds: [embed] });
 
     } catch (error) {
@@ -350,16 +414,17 @@ class DiscordBot {
     await interaction.deferReply();
 
     const query = interaction.options.getString('query');
+    const chain = resolveChain(interaction.options.getString('chain'));
 
     try {
-      const searchResult = await bot.bitsCrunchAPI.searchCollections(query);
+      const searchResult = await bot.bitsCrunchAPI.searchCollections(query, { chain: chain.name });
 
       if (!searchResult.success) {
-        await interaction.editReply(`❌ Search failed: ${searchResult.error}`);
+        await interaction.editReply(`❌ Search failed: ${searchResult.error?.message || searchResult.error}`);
         return;
       }
 
-      const embed = this.createSearchEmbed(query, searchResult.data);
+      const embed = this.createSearchEmbed(query, toCollectionSummaries(searchResult, { chain: chain.name }), chain);
       await interaction.editReply({ embeds: [embed] });
 
     } catch (error) {
@@ -375,16 +440,17 @@ class DiscordBot {
     await interaction.deferReply();
 
     const timeframe = interaction.options.getString('timeframe') || '24h';
+    const chain = resolveChain(interaction.options.getString('chain'));
 
     try {
-      const alertsResult = await bot.bitsCrunchAPI.getFraudAlerts({ timeframe });
+      const alertsResult = await bot.bitsCrunchAPI.getFraudAlerts({ timeframe, chain: chain.name });
 
       if (!alertsResult.success) {
-        await interaction.editReply(`❌ Failed to get alerts: ${alertsResult.error}`);
+        await interaction.editReply(`❌ Failed to get alerts: ${alertsResult.error?.message || alertsResult.error}`);
         return;
       }
 
-      const embed = this.createAlertsEmbed(alertsResult.data, timeframe);
+      const embed = this.createAlertsEmbed(toFraudAlerts(alertsResult, { chain: chain.name }), timeframe, chain);
       await interaction.editReply({ embeds: [embed] });
 
     } catch (error) {
@@ -401,12 +467,13 @@ class DiscordBot {
 
     const message = interaction.options.getString('message');
     const userId = interaction.user.id;
+    const chain = interaction.options.getString('chain');
 
     try {
-      const result = await bot.aiOrchestrator.processQuery(message, userId, 'discord');
+      const result = await bot.streamChat(message, userId, { chain }, content => interaction.editReply({ content }));
 
-      const embed = this.createChatEmbed(message, result.response, result.intent);
-      await interaction.editReply({ embeds: [embed] });
+      const embed = this.createChatEmbed(message, result.response, result.intent, result.toolsInvoked);
+      await interaction.editReply({ content: null, embeds: [embed] });
 
     } catch (error) {
       logger.error(`Error in chat command:`, error);
@@ -414,6 +481,56 @@ class DiscordBot {
     }
   }
 
+  /**
+   * Handle link command: without a code, issue one to redeem on another
+   * platform; with a code, link this account to the one that issued it
+   */
+  async handleLinkCommand(interaction, bot) {
+    const code = interaction.options.getString('code');
+    const userId = interaction.user.id;
+
+    try {
+      if (!code) {
+        const issued = bot.aiOrchestrator.createLinkCode(userId, 'discord');
+        await interaction.reply({
+          content: `🔗 Your link code is \`${issued.code}\`. Within ${LINK_CODE_TTL_MS / 60000} minutes, send \`/link ${issued.code}\` to the Telegram bot or enter it in the web app.`,
+          ephemeral: true
+        });
+        return;
+      }
+
+      const { accounts } = await bot.aiOrchestrator.linkAccount(code, userId, 'discord');
+      await interaction.reply({
+        content: `✅ Linked! Your conversations on ${accounts.map(({ platform }) => platform).join(', ')} now share one memory.`,
+        ephemeral: true
+      });
+
+    } catch (error) {
+      if (error.name !== 'IdentityLinkError') logger.error('Error in link command:', error);
+      await interaction.reply({
+        content: `❌ ${error.name === 'IdentityLinkError' ? error.message : 'Linking failed. Please try again.'}`,
+        ephemeral: true
+      });
+    }
+  }
+
+  /**
+   * Handle unlink command
+   */
+  async handleUnlinkCommand(interaction, bot) {
+    try {
+      await bot.aiOrchestrator.unlinkAccount(interaction.user.id, 'discord');
+      await interaction.reply({ content: '✅ Unlinked. This Discord account keeps its own history from now on.', ephemeral: true });
+
+    } catch (error) {
+      if (error.name !== 'IdentityLinkError') logger.error('Error in unlink command:', error);
+      await interaction.reply({
+        content: `❌ ${error.name === 'IdentityLinkError' ? error.message : 'Unlinking failed. Please try again.'}`,
+        ephemeral: true
+      });
+    }
+  }
+
   /**
    * Handle help command
    */
@@ -429,9 +546,11 @@ class DiscordBot {
         { name: '/search', value: 'Search for NFT collections', inline: true },
         { name: '/alerts', value: 'Get recent fraud alerts', inline: true },
         { name: '/chat', value: 'Chat with the AI about NFTs', inline: true },
-        { name: '!nft', value: 'Quick chat with the AI (prefix command)', inline: true }
+        { name: '!nft', value: 'Quick chat with the AI (prefix command)', inline: true },
+        { name: '/link', value: 'Share memory with your Telegram and web accounts', inline: true }
       )
       .addFields(
+        { name: '⛓️ Chains', value: `Pass \`chain\` to any command: ${listChains().map(({ label }) => label).join(', ')} (default Ethereum)` },
         { name: '💡 Tips', value: '• Use natural language with /chat\n• Provide full addresses for analysis\n• Check /help anytime for assistance' }
       )
       .setFooter({ text: 'Powered by bitsCrunch x AI Builders Hack 2025' })
@@ -450,10 +569,11 @@ class DiscordBot {
     const userId = message.author.id;
 
     try {
-      const result = await this.aiOrchestrator.processQuery(query, userId, 'discord');
+      const reply = await message.reply('🤖 Thinking...');
+      const result = await this.streamChat(query, userId, {}, content => reply.edit({ content }));
 
-      const embed = this.createChatEmbed(query, result.response, result.intent);
-      await message.reply({ embeds: [embed] });
+      const embed = this.createChatEmbed(query, result.response, result.intent, result.toolsInvoked);
+      await reply.edit({ content: null, embeds: [embed] });
 
     } catch (error) {
       logger.error('Error handling chat message:', error);
@@ -461,58 +581,119 @@ class DiscordBot {
     }
   }
 
+  /**
+   * Run a chat query through the streaming orchestrator, editing the reply with
+   * tool progress and the partial answer as it arrives. Resolves to the final result.
+   */
+  async streamChat(query, userId, options, edit) {
+    const progress = createThrottledUpdater(edit, STREAM_EDIT_INTERVAL_MS);
+    let draft = '';
+    let result;
+
+    for await (const event of this.aiOrchestrator.streamQuery(query, userId, 'discord', options)) {
+      if (event.type === 'tool' && event.status === 'started') {
+        progress.push(`🔎 Fetching ${event.tool.replace(/_/g, ' ')}...`);
+      } else if (event.type === 'delta') {
+        draft += event.text;
+        progress.push(`${draft.substring(0, 1900)} ▌`);
+      } else if (event.type === 'message') {
+        result = event.message;
+      }
+    }
+
+    await progress.flush();
+    return result;
+  }
+
   /**
    * Create analysis embed
    */
-  createAnalysisEmbed(type, address, synthesis, data) {
+  createAnalysisEmbed(type, address, synthesis, model, chain) {
     const embed = new EmbedBuilder()
       .setTitle(`📊 ${type.charAt(0).toUpperCase() + type.slice(1)} Analysis`)
-      .setDescription(synthesis.substring(0, 2000))
       .setColor('#0099ff')
       .addFields(
         { name: 'Address', value: `\`${address}\``, inline: true },
-        { name: 'Type', value: type.charAt(0).toUpperCase() + type.slice(1), inline: true }
+        { name: 'Type', value: type.charAt(0).toUpperCase() + type.slice(1), inline: true },
+        { name: 'Chain', value: chain.label, inline: true }
       )
       .setFooter({ text: 'NFT Intelligence AI • bitsCrunch Data' })
       .setTimestamp();
 
-    return embed;
+    if (type === 'wallet') {
+      embed.addFields(
+        { name: 'Reputation', value: model.reputation ? `${model.reputation} (${model.reputationScore}/100)` : 'N/A', inline: true },
+        { name: 'Wallet Age', value: model.walletAge !== null ? `${model.walletAge} days` : 'N/A', inline: true },
+        { name: 'NFTs', value: formatLargeNumber(model.nftCount), inline: true }
+      );
+    } else {
+      embed.addFields(
+        { name: 'Floor Price', value: formatAmount(model.floorPrice, model.currency), inline: true },
+        { name: 'Health Score', value: model.healthScore !== null ? `${model.healthScore}/100` : 'N/A', inline: true },
+        { name: 'Holders', value: formatLargeNumber(model.holders), inline: true }
+      );
+    }
+
+    return this.applySynthesis(embed, synthesis);
   }
 
   /**
    * Create market embed
    */
-  createMarketEmbed(synthesis, data) {
+  createMarketEmbed(synthesis, market, chain) {
     const embed = new EmbedBuilder()
-      .setTitle('📈 Market Insights')
-      .setDescription(synthesis.substring(0, 2000))
+      .setTitle(`📈 Market Insights (${chain.label})`)
       .setColor('#00ff00')
+      .addFields(
+        { name: `Volume (${market.timeRange || 'period'})`, value: `${formatAmount(market.volume, market.currency)} (${formatPercent(market.volumeChange)})`, inline: true },
+        { name: 'Sales', value: `${formatLargeNumber(market.sales)} (${formatPercent(market.salesChange)})`, inline: true },
+        { name: 'Floor Price', value: `${formatAmount(market.floorPrice, market.currency)} (${formatPercent(market.priceChange)})`, inline: true }
+      )
       .setFooter({ text: 'NFT Intelligence AI • Real-time Market Data' })
       .setTimestamp();
 
-    return embed;
+    return this.applySynthesis(embed, synthesis);
   }
 
   /**
    * Create risk embed
    */
-  createRiskEmbed(synthesis, data) {
+  createRiskEmbed(synthesis, data, chain) {
     const embed = new EmbedBuilder()
-      .setTitle('⚠️ Risk Assessment')
-      .setDescription(synthesis.substring(0, 2000))
+      .setTitle(`⚠️ Risk Assessment (${chain.label})`)
       .setColor('#ff9900')
       .setFooter({ text: 'NFT Intelligence AI • Risk Analysis' })
       .setTimestamp();
 
+    return this.applySynthesis(embed, synthesis);
+  }
+
+  /**
+   * Put an AI synthesis on an embed: the summary as description and one field
+   * per non-empty section (falls back to the plain text)
+   */
+  applySynthesis(embed, synthesis) {
+    if (!synthesis.sections) {
+      return embed.setDescription(synthesis.text.substring(0, 2000));
+    }
+
+    embed.setDescription(synthesis.sections.summary.substring(0, 2000));
+    Object.entries(SYNTHESIS_SECTIONS).forEach(([key, heading]) => {
+      const items = synthesis.sections[key];
+      if (items.length > 0) {
+        embed.addFields({ name: heading, value: items.map(item => `• ${item}`).join('\n').substring(0, 1024), inline: false });
+      }
+    });
+
     return embed;
   }
 
   /**
    * Create search embed
    */
-  createSearchEmbed(query, results) {
+  createSearchEmbed(query, results, chain) {
     const embed = new EmbedBuilder()
-      .setTitle(`🔍 Search Results: ${query}`)
+      .setTitle(`🔍 Search Results: ${query} (${chain.label})`)
       .setDescription(`Found ${results.length} collections`)
       .setColor('#0099ff');
 
@@ -520,7 +701,7 @@ class DiscordBot {
       results.slice(0, 5).forEach((result, index) => {
         embed.addFields({
           name: `${index + 1}. ${result.name || 'Unknown'}`,
-          value: `Address: \`${result.address}\`\nFloor: ${result.floor_price || 'N/A'} ETH`,
+          value: `Address: \`${result.address}\`\nFloor: ${formatAmount(result.floorPrice, result.currency || chain.nativeCurrency)}`,
           inline: false
         });
       });
@@ -535,9 +716,9 @@ class DiscordBot {
   /**
    * Create alerts embed
    */
-  createAlertsEmbed(alerts, timeframe) {
+  createAlertsEmbed(alerts, timeframe, chain) {
     const embed = new EmbedBuilder()
-      .setTitle(`🚨 Fraud Alerts (${timeframe})`)
+      .setTitle(`🚨 Fraud Alerts (${chain.label}, ${timeframe})`)
       .setDescription(alerts.length > 0 ? 
         `Found ${alerts.length} alerts` : 
         'No fraud alerts detected in this timeframe')
@@ -545,24 +726,38 @@ class DiscordBot {
       .setFooter({ text: 'NFT Intelligence AI • Fraud Detection' })
       .setTimestamp();
 
+    alerts.slice(0, 5).forEach(alert => {
+      embed.addFields({
+        name: `${alert.severity.toUpperCase()} • ${alert.type.replace(/_/g, ' ')}`,
+        value: `${alert.description || 'No description'}${alert.collectionName ? `\nCollection: ${alert.collectionName}` : ''}${alert.address ? `\nAddress: \`${alert.address}\`` : ''}`,
+        inline: false
+      });
+    });
+
     return embed;
   }
 
   /**
    * Create chat embed
    */
-  createChatEmbed(query, response, intent) {
+  createChatEmbed(query, response, intent, toolsInvoked = []) {
     const embed = new EmbedBuilder()
       .setTitle('🤖 NFT Intelligence AI')
       .setDescription(response.substring(0, 2000))
       .setColor('#00ff00')
       .addFields(
         { name: 'Intent', value: intent.type || 'general', inline: true },
+        { name: 'Chain', value: resolveChain(intent.chain)?.label || intent.chain, inline: true },
         { name: 'Confidence', value: `${Math.round((intent.confidence || 0) * 100)}%`, inline: true }
       )
       .setFooter({ text: 'NFT Intelligence AI • AI-Powered Analysis' })
       .setTimestamp();
 
+    const sources = [...new Set(toolsInvoked.filter(call => call.success).map(call => call.tool))];
+    if (sources.length > 0) {
+      embed.addFields({ name: 'Data Sources', value: sources.map(source => `\`${source}\``).join(', '), inline: false });
+    }
+
     return embed;
   }
 }
@@ -1,5 +1,28 @@
 const TelegramBot = require('node-telegram-bot-api');
 const logger = require('../utils/logger');
+const { isValidAddress, formatAmount, formatPercent, formatLargeNumber, createThrottledUpdater } = require('../utils/helpers');
+const { resolveChain, listChains } = require('../utils/chains');
+const { toWallet, toCollection, toMarketSnapshot, toCollectionSummaries, toFraudAlerts, unwrapList } = require('../api/models');
+const { SYNTHESIS_SECTIONS } = require('../ai/schemas');
+const { LINK_CODE_TTL_MS } = require('../ai/identity');
+
+// Minimum gap between edits of a reply while a chat answer streams in (Telegram rate-limits edits)
+const STREAM_EDIT_INTERVAL_MS = 1500;
+
+/**
+ * Split command arguments into text and an optional trailing chain,
+ * e.g. "0x123... polygon" or "Pudgy Penguins base". A single word is never
+ * treated as a chain, so "/search base" still searches for "base".
+ */
+function parseChainArgs(args = '') {
+  const words = args.trim().split(/\s+/).filter(Boolean);
+  const last = words.length > 1 ? resolveChain(words[words.length - 1]) : null;
+
+  if (last) {
+    return { text: words.slice(0, -1).join(' '), chain: last };
+  }
+  return { text: words.join(' '), chain: resolveChain() };
+}
 
 class TelegramBotClass {
   constructor(token, services) {
@@ -24,6 +47,8 @@ class TelegramBotClass {
         { command: '/risk', description: 'Assess risk' },
         { command: '/search', description: 'Search collections' },
         { command: '/alerts', description: 'Get fraud alerts' },
+        { command: '/link', description: 'Link your Discord and web accounts' },
+        { command: '/unlink', description: 'Unlink this account' },
         { command: '/help', description: 'Show help' }
       ]);
 
@@ -54,8 +79,8 @@ class TelegramBotClass {
     });
 
     // Market command
-    this.bot.onText(/\/market/, async (msg) => {
-      await this.handleMarketCommand(msg);
+    this.bot.onText(/\/market(?:\s+(.+))?/, async (msg, match) => {
+      await this.handleMarketCommand(msg, match[1]);
     });
 
     // Risk command
@@ -69,8 +94,17 @@ class TelegramBotClass {
     });
 
     // Alerts command
-    this.bot.onText(/\/alerts/, async (msg) => {
-      await this.handleAlertsCommand(msg);
+    this.bot.onText(/\/alerts(?:\s+(.+))?/, async (msg, match) => {
+      await this.handleAlertsCommand(msg, match[1]);
+    });
+
+    // Identity linking commands
+    this.bot.onText(/^\/link(?:\s+(\S+))?$/, async (msg, match) => {
+      await this.handleLinkCommand(msg, match[1]);
+    });
+
+    this.bot.onText(/^\/unlink$/, async (msg) => {
+      await this.handleUnlinkCommand(msg);
     });
 
     // Handle all other messages as chat
@@ -103,11 +137,11 @@ I'm your AI-powered NFT analyst, built for the bitsCrunch x AI Builders Hack 202
 • 💬 Chat about NFTs and blockchain
 
 *Quick commands:*
-/analyze <address> - Analyze wallet or collection
-/market - Get market insights
-/risk <address> - Assess risk
-/search <query> - Search collections
-/alerts - Get fraud alerts
+/analyze <address> [chain] - Analyze wallet or collection
+/market [chain] - Get market insights
+/risk <address> [chain] - Assess risk
+/search <query> [chain] - Search collections
+/alerts [chain] - Get fraud alerts
 /help - Show all commands
 
 *Or just chat with me naturally!* I understand natural language and can help with any NFT-related questions.
@@ -146,22 +180,29 @@ I'm your AI-powered NFT analyst, built for the bitsCrunch x AI Builders Hack 202
 *Available Commands:*
 
 📊 *Analysis*
-/analyze <address> - Analyze wallet or collection
-Example: \`/analyze 0x123...\`
+/analyze <address> [chain] - Analyze wallet or collection
+Example: \`/analyze 0x123... polygon\`
 
 📈 *Market Data*
-/market - Get current market insights and trends
+/market [chain] - Get current market insights and trends
 
 ⚠️ *Risk Assessment*
-/risk <address> - Assess risk for wallet or collection
+/risk <address> [chain] - Assess risk for wallet or collection
 Example: \`/risk 0x123...\`
 
 🔍 *Search*
-/search <query> - Search for NFT collections
+/search <query> [chain] - Search for NFT collections
 Example: \`/search Bored Ape\`
 
 🚨 *Alerts*
-/alerts - Get recent fraud alerts
+/alerts [chain] - Get recent fraud alerts
+
+🔗 *Linked Accounts*
+/link [code] - Share memory with your Discord and web accounts
+/unlink - Stop sharing memory
+
+⛓️ *Chains*
+${listChains().map(({ name }) => name).join(', ')} (default: ethereum)
 
 💬 *Chat*
 Just send me a message! I understand natural language.
@@ -177,10 +218,55 @@ Just send me a message! I understand natural language.
     await this.bot.sendMessage(msg.chat.id, helpMessage, { parse_mode: 'Markdown' });
   }
 
+  /**
+   * Handle link command: without a code, issue one to redeem on another
+   * platform; with a code, link this account to the one that issued it.
+   * Private chats only, so nobody else in a group sees or redeems the code.
+   */
+  async handleLinkCommand(msg, code) {
+    const userId = msg.from.id.toString();
+
+    if (msg.chat.type !== 'private') {
+      await this.bot.sendMessage(msg.chat.id, '🔒 Link codes are private: send /link to me in a direct message.');
+      return;
+    }
+
+    try {
+      if (!code) {
+        const issued = this.aiOrchestrator.createLinkCode(userId, 'telegram');
+        await this.bot.sendMessage(msg.chat.id, `🔗 Your link code is \`${issued.code}\`. Within ${LINK_CODE_TTL_MS / 60000} minutes, run \`/link code:${issued.code}\` in Discord or enter it in the web app.`, { parse_mode: 'Markdown' });
+        return;
+      }
+
+      const { accounts } = await this.aiOrchestrator.linkAccount(code, userId, 'telegram');
+      await this.bot.sendMessage(msg.chat.id, `✅ Linked! Your conversations on ${accounts.map(({ platform }) => platform).join(', ')} now share one memory.`);
+
+    } catch (error) {
+      if (error.name !== 'IdentityLinkError') logger.error('Error in link command:', error);
+      await this.bot.sendMessage(msg.chat.id, `❌ ${error.name === 'IdentityLinkError' ? error.message : 'Linking failed. Please try again.'}`);
+    }
+  }
+
+  /**
+   * Handle unlink command
+   */
+  async handleUnlinkCommand(msg) {
+    try {
+      await this.aiOrchestrator.unlinkAccount(msg.from.id.toString(), 'telegram');
+      await this.bot.sendMessage(msg.chat.id, '✅ Unlinked. This Telegram account keeps its own history from now on.');
+
+    } catch (error) {
+      if (error.name !== 'IdentityLinkError') logger.error('Error in unlink command:', error);
+      await this.bot.sendMessage(msg.chat.id, `❌ ${error.name === 'IdentityLinkError' ? error.message : 'Unlinking failed. Please try again.'}`);
+    }
+  }
+
   /**
    * Handle analyze command
    */
-  async handleAnalyzeCommand(msg, address) {
+  async handleAnalyzeCommand(msg, args) {
+    const { text: address, chain } = parseChainArgs(args);
+
     if (!address) {
       await this.bot.sendMessage(msg.chat.id, '❌ Please provide an address to analyze.\nExample: `/analyze 0x123...`', { parse_mode: 'Markdown' });
       return;
@@ -190,25 +276,28 @@ Just send me a message! I understand natural language.
 
     try {
       // Determine if it's a wallet or collection (basic heuristic)
-      const isWallet = address.length === 42 && address.startsWith('0x');
+      const isWallet = isValidAddress(address, chain);
+      const options = { chain: chain.name };
       
       let result;
+      let model;
       if (isWallet) {
-        result = await this.bitsCrunchAPI.analyzeWallet(address);
+        result = await this.bitsCrunchAPI.analyzeWallet(address, options);
         if (result.success) {
-          const riskResult = await this.bitsCrunchAPI.getWalletRiskScore(address);
-          result.data.risk = riskResult.data;
+          const riskResult = await this.bitsCrunchAPI.getWalletRiskScore(address, options);
+          model = toWallet({ profile: result, reputation: riskResult }, { address, ...options });
         }
       } else {
-        result = await this.bitsCrunchAPI.analyzeCollection(address);
+        result = await this.bitsCrunchAPI.analyzeCollection(address, options);
         if (result.success) {
-          const healthResult = await this.bitsCrunchAPI.getCollectionHealth(address);
-          result.data.health = healthResult.data;
+          const healthResult = await this.bitsCrunchAPI.getCollectionHealth(address, options);
+          const metricsResult = await this.bitsCrunchAPI.getCollectionMetrics(address, options);
+          model = toCollection({ profile: result, health: healthResult, metrics: metricsResult }, { address, ...options });
         }
       }
 
       if (!result.success) {
-        await this.bot.editMessageText(`❌ Failed to analyze: ${result.error}`, {
+        await this.bot.editMessageText(`❌ Failed to analyze: ${result.error?.message || result.error}`, {
           chat_id: msg.chat.id,
           message_id: loadingMsg.message_id
         });
@@ -217,18 +306,28 @@ Just send me a message! I understand natural language.
 
       // Synthesize with AI
       const synthesis = await this.aiOrchestrator.synthesizeData(
-        result.data,
-        { type: isWallet ? 'wallet_analysis' : 'collection_analysis', confidence: 0.9 },
-        `Analyze ${isWallet ? 'wallet' : 'collection'} ${address}`
+        isWallet ? { wallet: model } : { collection: model },
+        { type: isWallet ? 'wallet_analysis' : 'collection_analysis', confidence: 0.9, chain: chain.name },
+        `Analyze ${isWallet ? 'wallet' : 'collection'} ${address} on ${chain.label}`,
+        { userId: String(msg.from?.id ?? msg.chat.id), platform: 'telegram' }
       );
 
+      const keyFacts = isWallet
+        ? `*Reputation:* ${model.reputation ? `${model.reputation} (${model.reputationScore}/100)` : 'N/A'}
+*Wallet Age:* ${model.walletAge !== null ? `${model.walletAge} days` : 'N/A'}`
+        : `*Floor Price:* ${formatAmount(model.floorPrice, model.currency)}
+*Health Score:* ${model.healthScore !== null ? `${model.healthScore}/100` : 'N/A'}
+*Holders:* ${formatLargeNumber(model.holders)}`;
+
       const analysisMessage = `
 📊 *${isWallet ? 'Wallet' : 'Collection'} Analysis*
 
 *Address:* \`${address}\`
 *Type:* ${isWallet ? 'Wallet' : 'Collection'}
+*Chain:* ${chain.label}
+${keyFacts}
 
-${synthesis}
+${this.formatSynthesis(synthesis)}
 
 *Powered by bitsCrunch API + AI*
       `;
@@ -241,7 +340,7 @@ ${synthesis}
           inline_keyboard: [
             [
               { text: '📊 More Details', callback_data: `details_${isWallet ? 'wallet' : 'collection'}_${address}` },
-              { text: '⚠️ Risk Assessment', callback_data: `risk_${address}` }
+              { text: '⚠️ Risk Assessment', callback_data: `risk_${address}:${chain.name}` }
             ],
             [
               { text: '🔍 Search Similar', callback_data: 'search_similar' },
@@ -263,32 +362,44 @@ ${synthesis}
   /**
    * Handle market command
    */
-  async handleMarketCommand(msg) {
+  async handleMarketCommand(msg, args) {
+    const chain = resolveChain(args);
+    if (!chain) {
+      await this.bot.sendMessage(msg.chat.id, `❌ Unknown chain "${args}". Try: ${listChains().map(({ name }) => name).join(', ')}`);
+      return;
+    }
+
     const loadingMsg = await this.bot.sendMessage(msg.chat.id, '📈 Getting market insights...');
 
     try {
-      const marketData = await this.bitsCrunchAPI.getMarketInsights({ timeframe: '7d' });
-      const transactionData = await this.bitsCrunchAPI.getTransactionMonitoring({ timeframe: '1h' });
+      const marketData = await this.bitsCrunchAPI.getMarketInsights({ timeframe: '7d', chain: chain.name });
+      const transactionData = await this.bitsCrunchAPI.getTransactionMonitoring({ timeframe: '1h', chain: chain.name });
 
       if (!marketData.success) {
-        await this.bot.editMessageText(`❌ Failed to get market insights: ${marketData.error}`, {
+        await this.bot.editMessageText(`❌ Failed to get market insights: ${marketData.error?.message || marketData.error}`, {
           chat_id: msg.chat.id,
           message_id: loadingMsg.message_id
         });
         return;
       }
 
+      const market = toMarketSnapshot(marketData, { chain: chain.name });
+
       // Synthesize with AI
       const synthesis = await this.aiOrchestrator.synthesizeData(
-        { market: marketData.data, transactions: transactionData.data },
-        { type: 'market_insights', confidence: 0.8 },
-        'Provide market insights and trends'
+        { market, transactions: unwrapList(transactionData) },
+        { type: 'market_insights', confidence: 0.8, chain: chain.name },
+        `Provide ${chain.label} market insights and trends`,
+        { userId: String(msg.from?.id ?? msg.chat.id), platform: 'telegram' }
       );
 
       const marketMessage = `
-📈 *Market Insights*
+📈 *Market Insights (${chain.label})*
+
+*Volume (${market.timeRange || 'period'}):* ${formatAmount(market.volume, market.currency)} (${formatPercent(market.volumeChange)})
+*Floor Price:* ${formatAmount(market.floorPrice, market.currency)} (${formatPercent(market.priceChange)})
 
-${synthesis}
+${this.formatSynthesis(synthesis)}
 
 *Powered by bitsCrunch API + AI*
       `;
@@ -323,7 +434,9 @@ ${synthesis}
   /**
    * Handle risk command
    */
-  async handleRiskCommand(msg, address) {
+  async handleRiskCommand(msg, args) {
+    const { text: address, chain } = parseChainArgs(args);
+
     if (!address) {
       await this.bot.sendMessage(msg.chat.id, '❌ Please provide an address to assess.\nExample: `/risk 0x123...`', { parse_mode: 'Markdown' });
       return;
@@ -332,27 +445,29 @@ ${synthesis}
     const loadingMsg = await this.bot.sendMessage(msg.chat.id, '⚠️ Assessing risk... Please wait.');
 
     try {
-      const isWallet = address.length === 42 && address.startsWith('0x');
+      const isWallet = isValidAddress(address, chain);
+      const options = { chain: chain.name };
       const data = {};
 
       if (isWallet) {
-        const walletData = await this.bitsCrunchAPI.analyzeWallet(address);
-        const riskData = await this.bitsCrunchAPI.getWalletRiskScore(address);
-        data.wallet = { analysis: walletData.data, risk: riskData.data };
+        const walletData = await this.bitsCrunchAPI.analyzeWallet(address, options);
+        const riskData = await this.bitsCrunchAPI.getWalletRiskScore(address, options);
+        data.wallet = toWallet({ profile: walletData, reputation: riskData }, { address, ...options });
       } else {
-        const collectionData = await this.bitsCrunchAPI.analyzeCollection(address);
-        const healthData = await this.bitsCrunchAPI.getCollectionHealth(address);
-        data.collection = { analysis: collectionData.data, health: healthData.data };
+        const collectionData = await this.bitsCrunchAPI.analyzeCollection(address, options);
+        const healthData = await this.bitsCrunchAPI.getCollectionHealth(address, options);
+        data.collection = toCollection({ profile: collectionData, health: healthData }, { address, ...options });
       }
 
-      const marketData = await this.bitsCrunchAPI.getMarketInsights({ timeframe: '7d' });
-      data.market = marketData.data;
+      const marketData = await this.bitsCrunchAPI.getMarketInsights({ timeframe: '7d', ...options });
+      data.market = toMarketSnapshot(marketData, options);
 
       // Synthesize risk assessment
       const synthesis = await this.aiOrchestrator.synthesizeData(
         data,
-        { type: 'risk_assessment', confidence: 0.9 },
-        `Assess risk for ${isWallet ? 'wallet' : 'collection'} ${address}`
+        { type: 'risk_assessment', confidence: 0.9, chain: chain.name },
+        `Assess risk for ${isWallet ? 'wallet' : 'collection'} ${address} on ${chain.label}`,
+        { userId: String(msg.from?.id ?? msg.chat.id), platform: 'telegram' }
       );
 
       const riskMessage = `
@@ -360,8 +475,9 @@ ${synthesis}
 
 *Address:* \`${address}\`
 *Type:* ${isWallet ? 'Wallet' : 'Collection'}
+*Chain:* ${chain.label}
 
-${synthesis}
+${this.formatSynthesis(synthesis)}
 
 *Powered by bitsCrunch API + AI*
       `;
@@ -373,7 +489,7 @@ ${synthesis}
         reply_markup: {
           inline_keyboard: [
             [
-              { text: '📊 Full Analysis', callback_data: `analyze_${address}` },
+              { text: '📊 Full Analysis', callback_data: `analyze_${address}:${chain.name}` },
               { text: '🚨 More Alerts', callback_data: 'alerts' }
             ],
             [
@@ -395,7 +511,9 @@ ${synthesis}
   /**
    * Handle search command
    */
-  async handleSearchCommand(msg, query) {
+  async handleSearchCommand(msg, args) {
+    const { text: query, chain } = parseChainArgs(args);
+
     if (!query) {
       await this.bot.sendMessage(msg.chat.id, '❌ Please provide a search query.\nExample: `/search Bored Ape`', { parse_mode: 'Markdown' });
       return;
@@ -404,24 +522,24 @@ ${synthesis}
     const loadingMsg = await this.bot.sendMessage(msg.chat.id, '🔍 Searching collections...');
 
     try {
-      const searchResult = await this.bitsCrunchAPI.searchCollections(query);
+      const searchResult = await this.bitsCrunchAPI.searchCollections(query, { chain: chain.name });
 
       if (!searchResult.success) {
-        await this.bot.editMessageText(`❌ Search failed: ${searchResult.error}`, {
+        await this.bot.editMessageText(`❌ Search failed: ${searchResult.error?.message || searchResult.error}`, {
           chat_id: msg.chat.id,
           message_id: loadingMsg.message_id
         });
         return;
       }
 
-      const results = searchResult.data;
-      let searchMessage = `🔍 *Search Results: ${query}*\n\nFound ${results.length} collections\n\n`;
+      const results = toCollectionSummaries(searchResult, { chain: chain.name });
+      let searchMessage = `🔍 *Search Results: ${query}* (${chain.label})\n\nFound ${results.length} collections\n\n`;
 
       if (results.length > 0) {
         results.slice(0, 5).forEach((result, index) => {
           searchMessage += `${index + 1}. *${result.name || 'Unknown'}*\n`;
           searchMessage += `   Address: \`${result.address}\`\n`;
-          searchMessage += `   Floor: ${result.floor_price || 'N/A'} ETH\n\n`;
+          searchMessage += `   Floor: ${formatAmount(result.floorPrice, result.currency || chain.nativeCurrency)}\n\n`;
         });
       } else {
         searchMessage += 'No collections found matching your query.';
@@ -432,7 +550,7 @@ ${synthesis}
       const keyboard = [];
       if (results.length > 0) {
         results.slice(0, 3).forEach((result, index) => {
-          keyboard.push([{ text: `📊 ${result.name || 'Collection'}`, callback_data: `analyze_${result.address}` }]);
+          keyboard.push([{ text: `📊 ${result.name || 'Collection'}`, callback_data: `analyze_${result.address}:${chain.name}` }]);
         });
       }
       keyboard.push([{ text: '🔍 New Search', callback_data: 'search' }]);
@@ -458,28 +576,34 @@ ${synthesis}
   /**
    * Handle alerts command
    */
-  async handleAlertsCommand(msg) {
+  async handleAlertsCommand(msg, args) {
+    const chain = resolveChain(args);
+    if (!chain) {
+      await this.bot.sendMessage(msg.chat.id, `❌ Unknown chain "${args}". Try: ${listChains().map(({ name }) => name).join(', ')}`);
+      return;
+    }
+
     const loadingMsg = await this.bot.sendMessage(msg.chat.id, '🚨 Getting fraud alerts...');
 
     try {
-      const alertsResult = await this.bitsCrunchAPI.getFraudAlerts({ timeframe: '24h' });
+      const alertsResult = await this.bitsCrunchAPI.getFraudAlerts({ timeframe: '24h', chain: chain.name });
 
       if (!alertsResult.success) {
-        await this.bot.editMessageText(`❌ Failed to get alerts: ${alertsResult.error}`, {
+        await this.bot.editMessageText(`❌ Failed to get alerts: ${alertsResult.error?.message || alertsResult.error}`, {
           chat_id: msg.chat.id,
           message_id: loadingMsg.message_id
         });
         return;
       }
 
-      const alerts = alertsResult.data;
-      let alertsMessage = `🚨 *Fraud Alerts (24h)*\n\n`;
+      const alerts = toFraudAlerts(alertsResult, { chain: chain.name });
+      let alertsMessage = `🚨 *Fraud Alerts (${chain.label}, 24h)*\n\n`;
 
       if (alerts.length > 0) {
         alertsMessage += `Found ${alerts.length} alerts\n\n`;
         alerts.slice(0, 3).forEach((alert, index) => {
-          alertsMessage += `${index + 1}. *${alert.type || 'Alert'}*\n`;
-          alertsMessage += `   Severity: ${alert.severity || 'Unknown'}\n`;
+          alertsMessage += `${index + 1}. *${alert.type.replace(/_/g, ' ')}*\n`;
+          alertsMessage += `   Severity: ${alert.severity}\n`;
           alertsMessage += `   Address: \`${alert.address || 'N/A'}\`\n\n`;
         });
       } else {
@@ -524,7 +648,25 @@ ${synthesis}
     const loadingMsg = await this.bot.sendMessage(msg.chat.id, '🤖 Thinking...');
 
     try {
-      const result = await this.aiOrchestrator.processQuery(query, userId, 'telegram');
+      // Edit the placeholder with tool progress and the partial answer while it streams
+      const progress = createThrottledUpdater(text => this.bot.editMessageText(text, {
+        chat_id: msg.chat.id,
+        message_id: loadingMsg.message_id
+      }), STREAM_EDIT_INTERVAL_MS);
+      let draft = '';
+      let result;
+
+      for await (const event of this.aiOrchestrator.streamQuery(query, userId, 'telegram')) {
+        if (event.type === 'tool' && event.status === 'started') {
+          progress.push(`🔎 Fetching ${event.tool.replace(/_/g, ' ')}...`);
+        } else if (event.type === 'delta') {
+          draft += event.text;
+          progress.push(`${draft.substring(0, 4000)} ▌`);
+        } else if (event.type === 'message') {
+          result = event.message;
+        }
+      }
+      await progress.flush();
 
       const chatMessage = `
 🤖 *NFT Intelligence AI*
@@ -532,8 +674,9 @@ ${synthesis}
 ${result.response}
 
 *Intent:* ${result.intent.type || 'general'}
+*Chain:* ${resolveChain(result.chain)?.label || result.chain}
 *Confidence:* ${Math.round((result.intent.confidence || 0) * 100)}%
-
+${result.toolsInvoked.length > 0 ? `*Data:* ${[...new Set(result.toolsInvoked.filter(call => call.success).map(call => call.tool.replace(/_/g, ' ')))].join(', ') || 'unavailable'}\n` : ''}
 *Powered by bitsCrunch x AI Builders Hack 2025*
       `;
 
@@ -598,12 +741,13 @@ ${result.response}
           break;
 
         default:
+          // Payloads look like analyze_<address>:<chain>
           if (data.startsWith('analyze_')) {
-            const address = data.substring(8);
-            await this.handleAnalyzeCommand({ chat: { id: chatId } }, address);
+            const [address, chain = ''] = data.substring(8).split(':');
+            await this.handleAnalyzeCommand({ chat: { id: chatId } }, `${address} ${chain}`);
           } else if (data.startsWith('risk_')) {
-            const address = data.substring(5);
-            await this.handleRiskCommand({ chat: { id: chatId } }, address);
+            const [address, chain = ''] = data.substring(5).split(':');
+            await this.handleRiskCommand({ chat: { id: chatId } }, `${address} ${chain}`);
           }
           break;
       }
@@ -616,6 +760,23 @@ ${result.response}
       await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Error processing request' });
     }
   }
+
+  /**
+   * Render an AI synthesis as Markdown sections (falls back to the plain text)
+   */
+  formatSynthesis(synthesis) {
+    if (!synthesis.sections) return synthesis.text;
+
+    const blocks = [synthesis.sections.summary];
+    Object.entries(SYNTHESIS_SECTIONS).forEach(([key, heading]) => {
+      const items = synthesis.sections[key];
+      if (items.length > 0) {
+        blocks.push(`*${heading}*\n${items.map(item => `• ${item}`).join('\n')}`);
+      }
+    });
+
+    return blocks.join('\n\n');
+  }
 }
 
 module.exports = TelegramBotClass; 
\ No newline at end of file
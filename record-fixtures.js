@@ -0,0 +1,84 @@
+// record-fixtures.js - Record bitsCrunch fixtures for offline replay
+// Seeds every wallet and collection from data/demo-scenarios.json with the
+// same calls the routes and bots make, plus each demo chat query, so
+// BITSCRUNCH_FIXTURES=replay can serve them without network access.
+// With DEMO_MODE=true the calls go to the local mock API and need no key.
+require('dotenv').config();
+const BitsCrunchAPI = require('./api/bitscrunch');
+const { AIOrchestrator } = require('./ai/orchestrator');
+const { startMockServer } = require('./api/mock-server');
+const scenarios = require('./data/demo-scenarios.json');
+
+const FIXTURES_DIR = process.env.BITSCRUNCH_FIXTURES_DIR || 'data/fixtures/bitscrunch';
+
+async function recordFixtures() {
+  const demoMode = process.env.DEMO_MODE === 'true';
+  const apiKey = process.env.BITSCRUNCH_API_KEY;
+  if (!demoMode && (!apiKey || apiKey === 'your_bitscrunch_api_key_here')) {
+    console.error('❌ BITSCRUNCH_API_KEY is required to record fixtures (or record from the mock API with DEMO_MODE=true)');
+    process.exit(1);
+  }
+
+  const mockServer = demoMode ? await startMockServer() : null;
+  const bitsCrunchAPI = new BitsCrunchAPI(demoMode ? 'demo' : apiKey, {
+    baseURL: mockServer?.url,
+    cache: null,
+    fixtures: { mode: 'record', directory: FIXTURES_DIR },
+    // The mock API has no quota
+    rateLimit: demoMode ? false : {
+      tokensPerInterval: parseInt(process.env.BITSCRUNCH_RATE_LIMIT_PER_MINUTE) || 30,
+      interval: 60 * 1000,
+      burst: 1
+    }
+  });
+
+  console.log(`📼 Recording bitsCrunch fixtures into ${FIXTURES_DIR}${demoMode ? ' from the mock API' : ''}\n`);
+
+  const steps = [
+    ['Connection test', () => bitsCrunchAPI.testConnection()],
+    ['Market insights (24h)', () => bitsCrunchAPI.getMarketInsights()],
+    ['Market insights (7d)', () => bitsCrunchAPI.getMarketInsights({ timeframe: '7d' })],
+    ['Transactions (24h)', () => bitsCrunchAPI.getTransactionMonitoring()],
+    ['Transactions (1h)', () => bitsCrunchAPI.getTransactionMonitoring({ timeframe: '1h' })],
+    ['Transactions (7d)', () => bitsCrunchAPI.getTransactionMonitoring({ timeframe: '7d' })],
+    ['Fraud alerts (24h)', () => bitsCrunchAPI.getFraudAlerts()]
+  ];
+
+  Object.entries(scenarios.wallets).forEach(([name, address]) => {
+    steps.push([`Wallet ${name}`, () => bitsCrunchAPI.getCompleteWalletAnalysis(address)]);
+  });
+
+  Object.entries(scenarios.collections).forEach(([name, address]) => {
+    steps.push([`Collection ${name}`, () => Promise.all([
+      bitsCrunchAPI.analyzeCollection(address),
+      bitsCrunchAPI.getCollectionHealth(address),
+      bitsCrunchAPI.getCollectionMetrics(address)
+    ])]);
+    steps.push([`Search "${name}"`, () => bitsCrunchAPI.searchCollections(name.replace(/-/g, ' '))]);
+  });
+
+  // Chat answers fetch what their rule-based intent needs; no LLM provider is configured here
+  const orchestrator = new AIOrchestrator({}, { bitsCrunchAPI });
+  scenarios.demoQueries.forEach(query => {
+    steps.push([`Chat "${query}"`, () => orchestrator.processQuery(query, 'fixtures', 'web')]);
+  });
+
+  for (const [label, step] of steps) {
+    try {
+      await step();
+      console.log(`✅ ${label}`);
+    } catch (error) {
+      console.log(`❌ ${label}: ${error.message}`);
+    }
+  }
+
+  if (mockServer) await mockServer.close();
+  console.log('\n🎉 Done. Run offline with: BITSCRUNCH_FIXTURES=replay npm start');
+}
+
+// Run if called directly
+if (require.main === module) {
+  recordFixtures().catch(console.error);
+}
+
+module.exports = { recordFixtures };
@@ -16,8 +16,10 @@ NODE_ENV=development
 # REAL APIS - Set to false for production
 DEMO_MODE=false
 
-# AI Provider Configuration (Choose ONE)
+# AI Provider Configuration (primary provider)
 AI_PROVIDER=gemini
+# Optional fallback order across configured providers
+# AI_PROVIDERS=gemini,openai,cohere,local
 
 # Google Gemini (COMPLETELY FREE)
 # Get at: https://aistudio.google.com/app/apikey
@@ -26,6 +28,38 @@ GOOGLE_GEMINI_API_KEY=your_free_gemini_key_here
 # Alternative: OpenAI (if you have credits)
 # OPENAI_API_KEY=sk-proj-your_openai_key_here
 
+# Alternative: Cohere
+# COHERE_API_KEY=your_cohere_key_here
+
+# Alternative: local OpenAI-compatible server (Ollama, LM Studio...)
+# LOCAL_LLM_BASE_URL=http://localhost:11434/v1
+# LOCAL_LLM_MODEL=llama3
+
+# Data tokens per AI synthesis before low-relevance fields are pruned
+# SYNTHESIS_TOKEN_BUDGET=1500
+
+# Conversation memory: file (survives restarts) or memory
+# MEMORY_STORE=file
+# MEMORY_FILE=data/conversations.json
+# MEMORY_WRITE_DELAY_MS=1000
+
+# Figures in AI analyses that are not in the bitsCrunch data: annotate or remove
+# GROUNDING_MODE=annotate
+
+# Chat response cache for repeated questions on unchanged data: memory, file, or none
+# RESPONSE_CACHE=memory
+# RESPONSE_CACHE_MAX_ENTRIES=1000
+# RESPONSE_CACHE_DIR=.cache/responses
+
+# LLM cost accounting: prices in USD per million input/output tokens, and an
+# optional daily spend limit per user. GET /api/admin/usage needs ADMIN_API_KEY
+# LLM_PRICES=gemini-1.5-flash=0.075/0.3,gpt-4o=2.5/10
+# USAGE_DAILY_BUDGET_USD=0.10
+# ADMIN_API_KEY=change_me
+
+# signs web session tokens (POST /api/session); random per process when unset
+# WEB_SESSION_SECRET=change_me
+
 # bitsCrunch API (FREE for hackathon)
 # Get at: https://unleashNFTs.com
 BITSCRUNCH_API_KEY=your_free_bitscrunch_key_here
@@ -0,0 +1,214 @@
+/**
+ * Cache stores for NFT Intelligence AI
+ * Pluggable key/value backends with per-entry TTLs.
+ *
+ * Every store implements the same async interface so callers can swap
+ * backends without code changes:
+ *   get(key) -> { value, storedAt, expiresAt } | null
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *   clear()
+ *   getStats()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { hashKey } = require('./helpers');
+
+/**
+ * In-memory LRU cache
+ * Map insertion order doubles as recency order: reads re-insert the entry
+ * so the first key is always the least recently used one.
+ */
+class MemoryCacheStore {
+  constructor(options = {}) {
+    this.type = 'memory';
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+  }
+
+  /**
+   * Get a live entry, or null when missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // Refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries when full
+   */
+  async set(key, value, ttlMs) {
+    const storedAt = Date.now();
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, storedAt, expiresAt: storedAt + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return {
+      type: this.type,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * File-backed cache
+ * One JSON file per key, so entries survive restarts and can be shared
+ * between processes that point at the same directory.
+ */
+class FileCacheStore {
+  constructor(options = {}) {
+    this.type = 'file';
+    this.directory = options.directory || path.join(process.cwd(), '.cache');
+    this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Resolve the file that holds a key
+   */
+  getFilePath(key) {
+    return path.join(this.directory, `${hashKey(key)}.json`);
+  }
+
+  async get(key) {
+    const filePath = this.getFilePath(key);
+
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+      if (entry.expiresAt <= Date.now()) {
+        await fs.promises.unlink(filePath).catch(() => {});
+        this.stats.misses++;
+        return null;
+      }
+
+      this.stats.hits++;
+      return entry;
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.stats.errors++;
+        logger.warn(`File cache read failed for ${filePath}:`, error.message);
+      }
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  async set(key, value, ttlMs) {
+    const filePath = this.getFilePath(key);
+    const storedAt = Date.now();
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    // Write-then-rename so readers never see a half-written entry
+    await fs.promises.writeFile(tempPath, JSON.stringify({ key, value, storedAt, expiresAt: storedAt + ttlMs }));
+    await fs.promises.rename(tempPath, filePath);
+    this.stats.writes++;
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this.getFilePath(key)).catch(() => {});
+  }
+
+  async clear() {
+    const files = await fs.promises.readdir(this.directory);
+    await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => fs.promises.unlink(path.join(this.directory, file)).catch(() => {})));
+  }
+
+  /**
+   * Remove expired entries from disk
+   */
+  async prune() {
+    const files = await fs.promises.readdir(this.directory);
+    let removed = 0;
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const filePath = path.join(this.directory, file);
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        if (entry.expiresAt <= Date.now()) {
+          await fs.promises.unlink(filePath);
+          removed++;
+        }
+      } catch (error) {
+        // Unreadable entries are dropped too
+        await fs.promises.unlink(filePath).catch(() => {});
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  getStats() {
+    return {
+      type: this.type,
+      directory: this.directory,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Build a cache store from a backend name ('memory', 'file', 'none')
+ */
+function createCacheStore(type = 'memory', options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryCacheStore(options);
+    case 'file':
+      return new FileCacheStore(options);
+    case 'none':
+    case 'off':
+    case 'false':
+      return null;
+    default:
+      throw new Error(`Unknown cache backend: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryCacheStore,
+  FileCacheStore,
+  createCacheStore
+};
@@ -0,0 +1,124 @@
+/**
+ * Chain registry for NFT Intelligence AI
+ * Maps chain names, aliases and numeric IDs to the identifiers bitsCrunch expects
+ */
+
+const DEFAULT_CHAIN = 'ethereum';
+
+// `id` is the value bitsCrunch takes in `blockchain` params and path segments
+const CHAINS = {
+  ethereum: {
+    id: 1,
+    name: 'ethereum',
+    label: 'Ethereum',
+    type: 'evm',
+    nativeCurrency: 'ETH',
+    aliases: ['eth', 'mainnet', 'homestead']
+  },
+  polygon: {
+    id: 137,
+    name: 'polygon',
+    label: 'Polygon',
+    type: 'evm',
+    nativeCurrency: 'POL',
+    aliases: ['matic', 'poly', 'polygon-pos']
+  },
+  base: {
+    id: 8453,
+    name: 'base',
+    label: 'Base',
+    type: 'evm',
+    nativeCurrency: 'ETH',
+    aliases: ['base-mainnet']
+  },
+  arbitrum: {
+    id: 42161,
+    name: 'arbitrum',
+    label: 'Arbitrum',
+    type: 'evm',
+    nativeCurrency: 'ETH',
+    aliases: ['arb', 'arbitrum-one']
+  },
+  solana: {
+    id: 'solana',
+    name: 'solana',
+    label: 'Solana',
+    type: 'solana',
+    nativeCurrency: 'SOL',
+    aliases: ['sol']
+  }
+};
+
+// Lookup table: lowercase name, alias or id -> chain
+const CHAIN_LOOKUP = new Map();
+Object.values(CHAINS).forEach(chain => {
+  [chain.name, String(chain.id), ...chain.aliases].forEach(key => CHAIN_LOOKUP.set(key.toLowerCase(), chain));
+});
+
+/**
+ * Error thrown when a chain name or ID is not in the registry
+ */
+class UnsupportedChainError extends Error {
+  constructor(chain) {
+    super(`Unsupported chain "${chain}". Supported chains: ${Object.keys(CHAINS).join(', ')}`);
+    this.name = 'UnsupportedChainError';
+    this.code = 'UNSUPPORTED_CHAIN';
+    this.chain = chain;
+  }
+}
+
+/**
+ * Resolve a chain name, alias or bitsCrunch ID to its registry entry.
+ * Empty input resolves to the default chain; unknown input returns null.
+ */
+function resolveChain(value) {
+  if (value === undefined || value === null || value === '') return CHAINS[DEFAULT_CHAIN];
+  if (typeof value === 'object' && value.name && CHAINS[value.name]) return CHAINS[value.name];
+
+  return CHAIN_LOOKUP.get(String(value).trim().toLowerCase()) || null;
+}
+
+/**
+ * Like resolveChain, but throws UnsupportedChainError for unknown chains
+ */
+function getChain(value) {
+  const chain = resolveChain(value);
+  if (!chain) throw new UnsupportedChainError(value);
+  return chain;
+}
+
+/**
+ * Find a chain mentioned in free text ("floor price on polygon", "my sol wallet")
+ */
+function extractChain(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const words = text.toLowerCase().match(/[a-z][a-z-]*/g) || [];
+  for (const word of words) {
+    // Bare "base" and "eth" are too common in everyday phrasing to count as a chain mention
+    if (word === 'base' || word === 'eth') continue;
+    const chain = CHAIN_LOOKUP.get(word);
+    if (chain) return chain;
+  }
+
+  return /\b(?:on|chain)\s+base\b/i.test(text) ? CHAINS.base : null;
+}
+
+/**
+ * Supported chains for help text and API discovery
+ */
+function listChains() {
+  return Object.values(CHAINS).map(({ id, name, label, type, nativeCurrency }) => ({
+    id, name, label, type, nativeCurrency
+  }));
+}
+
+module.exports = {
+  CHAINS,
+  DEFAULT_CHAIN,
+  UnsupportedChainError,
+  resolveChain,
+  getChain,
+  extractChain,
+  listChains
+};
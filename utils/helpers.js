@@ -3,7 +3,9 @@
  * Common functions used across the application
  */
 
+const crypto = require('crypto');
 const logger = require('./logger');
+const { resolveChain } = require('./chains');
 
 /**
  * Validate Ethereum address format
@@ -16,17 +18,43 @@ function isValidEthereumAddress(address) {
   return ethereumAddressRegex.test(address);
 }
 
+/**
+ * Validate Solana address format (base58, 32-byte public key)
+ */
+function isValidSolanaAddress(address) {
+  if (!address || typeof address !== 'string') return false;
+  
+  // Base58 excludes 0, O, I and l
+  const solanaAddressRegex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+  return solanaAddressRegex.test(address);
+}
+
+/**
+ * Validate an address for a chain (name, alias or bitsCrunch ID; defaults to Ethereum)
+ */
+function isValidAddress(address, chain) {
+  const resolved = resolveChain(chain);
+  if (!resolved) return false;
+  
+  return resolved.type === 'solana' ? isValidSolanaAddress(address) : isValidEthereumAddress(address);
+}
+
 /**
  * Validate and normalize wallet address
+ * EVM addresses are lowercased; Solana addresses are case-sensitive and kept as-is.
  */
-function normalizeWalletAddress(address) {
-  if (!address) return null;
+function normalizeWalletAddress(address, chain) {
+  if (!address || typeof address !== 'string') return null;
   
-  // Remove whitespace and convert to lowercase
-  const normalized = address.trim().toLowerCase();
+  const resolved = resolveChain(chain);
+  if (!resolved) return null;
   
-  // Check if it's a valid Ethereum address
-  if (!isValidEthereumAddress(normalized)) {
+  // Remove whitespace and convert EVM addresses to lowercase
+  const trimmed = address.trim();
+  const normalized = resolved.type === 'evm' ? trimmed.toLowerCase() : trimmed;
+  
+  // Check if it's a valid address for the chain
+  if (!isValidAddress(normalized, resolved)) {
     return null;
   }
   
@@ -35,10 +63,18 @@ function normalizeWalletAddress(address) {
 
 /**
  * Extract wallet addresses from text
+ * EVM addresses by default; pass a Solana chain to extract base58 addresses instead.
  */
-function extractWalletAddresses(text) {
+function extractWalletAddresses(text, chain) {
   if (!text || typeof text !== 'string') return [];
   
+  const resolved = resolveChain(chain);
+  if (resolved && resolved.type === 'solana') {
+    const solanaAddressRegex = /\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g;
+    const matches = text.match(solanaAddressRegex) || [];
+    return [...new Set(matches)].filter(addr => isValidSolanaAddress(addr));
+  }
+  
   const ethereumAddressRegex = /0x[a-fA-F0-9]{40}/gi;
   const matches = text.match(ethereumAddressRegex) || [];
   
@@ -111,6 +147,27 @@ function formatLargeNumber(num) {
   }
 }
 
+/**
+ * Format a model money field with its currency ("$1.2M", "12.5 ETH")
+ */
+function formatAmount(amount, currency) {
+  if (amount === null || amount === undefined || isNaN(parseFloat(amount))) return 'N/A';
+  if (!currency) return formatLargeNumber(amount);
+  if (currency.toLowerCase() === 'usd') return `$${formatLargeNumber(parseFloat(amount).toFixed(2))}`;
+
+  return `${parseFloat(parseFloat(amount).toFixed(4))} ${currency.toUpperCase()}`;
+}
+
+/**
+ * Format a percent change with its sign ("+4.2%")
+ */
+function formatPercent(value) {
+  if (value === null || value === undefined || isNaN(parseFloat(value))) return 'N/A';
+
+  const number = parseFloat(value);
+  return `${number > 0 ? '+' : ''}${number.toFixed(1)}%`;
+}
+
 /**
  * Calculate percentage change
  */
@@ -161,6 +218,26 @@ function parseTimeframe(timeframe) {
   return timeframes[timeframe] || timeframes['7d'];
 }
 
+/**
+ * Extract a bitsCrunch timeframe ('1h', '24h', '7d', '30d', '90d', 'all') from text
+ * Understands short forms ("7d") and phrases ("last week", "today"); null when none is mentioned.
+ */
+function extractTimeframe(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const patterns = [
+    ['1h', /\b(?:1h|1 ?hr|(?:one|1|past|last) hour)\b/i],
+    ['24h', /\b(?:24h|1d|24 ?hours?|today|daily|(?:one|1|past|last) day)\b/i],
+    ['7d', /\b(?:7d|7 ?days|(?:this|past|last|one|a) week|weekly)\b/i],
+    ['30d', /\b(?:30d|30 ?days|(?:this|past|last|one|a) month|monthly)\b/i],
+    ['90d', /\b(?:90d|90 ?days|(?:3|three) months|quarter(?:ly)?)\b/i],
+    ['all', /\b(?:all[- ]time|ever)\b/i]
+  ];
+
+  const match = patterns.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
 /**
  * Generate unique user ID
  */
@@ -199,17 +276,33 @@ function validateApiResponse(response) {
 
 /**
  * Retry function with exponential backoff
+ *
+ * Options:
+ * - shouldRetry(error, attempt): return false to fail immediately
+ * - getRetryDelay(error, attempt): return a delay in ms to override backoff (e.g. Retry-After)
+ * - jitter: randomize each delay between 50% and 100% of its value
+ * - maxDelay: upper bound for any single delay
  */
-async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, options = {}) {
+  const { shouldRetry = () => true, getRetryDelay = () => null, jitter = false, maxDelay = Infinity } = options;
+
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      return await fn();
+      return await fn(attempt);
     } catch (error) {
-      if (attempt === maxRetries) {
+      if (attempt === maxRetries || !shouldRetry(error, attempt)) {
         throw error;
       }
       
-      const delay = baseDelay * Math.pow(2, attempt - 1);
+      let delay = getRetryDelay(error, attempt);
+      if (delay === null || delay === undefined) {
+        delay = baseDelay * Math.pow(2, attempt - 1);
+        if (jitter) {
+          delay = delay / 2 + Math.random() * (delay / 2);
+        }
+      }
+      delay = Math.round(Math.min(delay, maxDelay));
+
       logger.warn(`Retry attempt ${attempt} failed, retrying in ${delay}ms`, { error: error.message });
       
       await new Promise(resolve => setTimeout(resolve, delay));
@@ -309,6 +402,83 @@ function isValidJSON(str) {
   }
 }
 
+/**
+ * Serialize a value to JSON with object keys sorted, so equal inputs
+ * always produce the same string regardless of key order
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Hash any value into a short, filesystem-safe key
+ */
+function hashKey(value) {
+  const input = typeof value === 'string' ? value : stableStringify(value);
+  return crypto.createHash('sha1').update(input).digest('hex');
+}
+
+/**
+ * Encode a pagination position as an opaque URL-safe cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor; returns null for malformed input
+ */
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!position || typeof position !== 'object') return null;
+    if (!Number.isInteger(position.offset) || position.offset < 0) return null;
+    return position;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Signed web session token for a server-issued user id: base64url payload,
+ * then an HMAC-SHA256 signature. Returns { token, expiresAt }.
+ */
+function createSessionToken(userId, secret, ttlMs = 30 * 24 * 60 * 60 * 1000) {
+  const expiresAt = Date.now() + ttlMs;
+  const payload = Buffer.from(JSON.stringify({ userId, expiresAt })).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return { token: `${payload}.${signature}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Session from a createSessionToken token ({ userId, expiresAt }); null when
+ * the token is malformed, tampered with or expired
+ */
+function verifySessionToken(token, secret) {
+  if (!token || typeof token !== 'string' || !secret) return null;
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('base64url'));
+  const provided = Buffer.from(signature);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!session || typeof session.userId !== 'string' || !(session.expiresAt > Date.now())) return null;
+    return session;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Truncate text with ellipsis
  */
@@ -343,6 +513,52 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Throttled, serialized updates for a message edited while a response streams in.
+ * push(text) applies at most one update per `interval` ms and skips repeats;
+ * flush() resolves once the last update has finished. Update errors are logged, not thrown.
+ */
+function createThrottledUpdater(update, interval = 1500) {
+  let lastUpdate = 0;
+  let lastText = null;
+  let pending = Promise.resolve();
+
+  return {
+    push(text) {
+      const now = Date.now();
+      if (text === lastText || now - lastUpdate < interval) return;
+      lastUpdate = now;
+      lastText = text;
+      pending = pending
+        .then(() => update(text))
+        .catch(error => logger.debug(`Progressive update failed: ${error.message}`));
+    },
+    flush() {
+      return pending;
+    }
+  };
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight.
+ * Results keep the input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
 /**
  * Measure execution time
  */
@@ -362,14 +578,19 @@ async function measureExecutionTime(fn, operationName = 'Operation') {
 
 module.exports = {
   isValidEthereumAddress,
+  isValidSolanaAddress,
+  isValidAddress,
   normalizeWalletAddress,
   extractWalletAddresses,
   extractCollectionNames,
   formatEthAmount,
   formatLargeNumber,
+  formatAmount,
+  formatPercent,
   calculatePercentageChange,
   getTimeAgo,
   parseTimeframe,
+  extractTimeframe,
   generateUserId,
   sanitizeInput,
   validateApiResponse,
@@ -380,9 +601,17 @@ module.exports = {
   deepMerge,
   generateRandomString,
   isValidJSON,
+  stableStringify,
+  hashKey,
+  encodeCursor,
+  decodeCursor,
+  createSessionToken,
+  verifySessionToken,
   truncateText,
   getFileExtension,
   isValidEmail,
   sleep,
+  mapWithConcurrency,
+  createThrottledUpdater,
   measureExecutionTime
 }; 
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * Resilience primitives for upstream API clients
+ * Token-bucket rate limiting and a circuit breaker
+ */
+
+const logger = require('./logger');
+
+/**
+ * Token bucket rate limiter
+ * Holds up to `burst` tokens and refills `tokensPerInterval` every `interval` ms.
+ * Callers await removeToken(); requests beyond the budget are queued FIFO.
+ */
+class TokenBucket {
+  constructor(options = {}) {
+    this.tokensPerInterval = options.tokensPerInterval || 30;
+    this.interval = options.interval || 60 * 1000;
+    this.capacity = options.burst || this.tokensPerInterval;
+    this.maxQueueSize = options.maxQueueSize || 500;
+
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.timer = null;
+    this.stats = { granted: 0, queued: 0, rejected: 0 };
+  }
+
+  /**
+   * Add tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const earned = ((now - this.lastRefill) / this.interval) * this.tokensPerInterval;
+
+    if (earned > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + earned);
+      this.lastRefill = now;
+    }
+  }
+
+  /**
+   * Wait for a token
+   */
+  removeToken() {
+    this.refill();
+
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.stats.granted++;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      this.stats.rejected++;
+      return Promise.reject(new Error('Rate limiter queue is full'));
+    }
+
+    this.stats.queued++;
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.scheduleDrain();
+    });
+  }
+
+  /**
+   * Release queued callers as tokens become available
+   */
+  scheduleDrain() {
+    if (this.timer) return;
+
+    const msPerToken = this.interval / this.tokensPerInterval;
+    const wait = Math.max(0, Math.ceil((1 - this.tokens) * msPerToken));
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.refill();
+
+      while (this.queue.length > 0 && this.tokens >= 1) {
+        this.tokens -= 1;
+        this.stats.granted++;
+        this.queue.shift()();
+      }
+
+      if (this.queue.length > 0) {
+        this.scheduleDrain();
+      }
+    }, wait);
+  }
+
+  getStats() {
+    this.refill();
+    return {
+      tokensPerInterval: this.tokensPerInterval,
+      interval: this.interval,
+      availableTokens: Math.floor(this.tokens),
+      queueLength: this.queue.length,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Error thrown while the circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit "${name}" is open; upstream calls are paused`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Circuit breaker
+ * closed    - calls pass through, consecutive failures are counted
+ * open      - calls fail fast with CircuitOpenError until resetTimeout elapses
+ * half_open - one trial call is let through; success closes, failure re-opens
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || 'upstream';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30 * 1000;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  /**
+   * Run fn through the breaker.
+   * isFailure(error) decides whether an error counts against the upstream;
+   * client errors (bad address, 404) should not trip the breaker.
+   */
+  async execute(fn, isFailure = () => true) {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeout) {
+        this.stats.rejected++;
+        throw new CircuitOpenError(this.name, new Date(this.openedAt + this.resetTimeout).toISOString());
+      }
+      this.transition('half_open');
+    }
+
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) {
+        this.stats.rejected++;
+        throw new CircuitOpenError(this.name, null);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.onFailure();
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      this.trialInFlight = false;
+    }
+  }
+
+  onSuccess() {
+    this.stats.successes++;
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  onFailure() {
+    this.stats.failures++;
+    this.failures++;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.stats.opened++;
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+    logger.warn(`Circuit "${this.name}" ${this.state} -> ${state}`);
+    this.state = state;
+    if (state === 'closed') {
+      this.openedAt = null;
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  CircuitBreaker,
+  CircuitOpenError
+};